@@ -0,0 +1,78 @@
+/**
+ * TeXmExDeX Type Modeler - Backend Adapters
+ * Transports behind API._call. An adapter implements:
+ *
+ *   init()                              -> Promise<boolean>  reachable?
+ *   call(fnName, args, { signal, onProgress, onQueue })
+ *                                       -> Promise<Array>    output list, same
+ *                                                            order as the Gradio outputs
+ *
+ * The Gradio queue protocol lives in API itself; this file holds the others.
+ */
+
+const BACKEND_PROTOCOLS = {
+    gradio: 'Gradio (HF Space)',
+    rest: 'REST server',
+    local: 'In-browser (offline)'
+};
+
+// JSON field names for each endpoint's positional arguments
+const REST_ARG_NAMES = {
+    chat_to_code: ['message', 'history', 'current_code'],
+    parse_parameters: ['code'],
+    generate_mesh: ['code', 'params'],
+    export_stl: ['code', 'params'],
+    get_component_template: ['component_type', 'params'],
+    validate_code: ['code'],
+    auto_fix_code: ['code']
+};
+
+/**
+ * Plain REST backend: POST {baseUrl}/{fnName} with named JSON fields,
+ * answering with the output list (or { data: [...] }). GET {baseUrl}/health
+ * is the reachability check.
+ */
+class RestAdapter {
+    constructor(api) {
+        this.api = api;
+    }
+
+    async init() {
+        try {
+            await this.api._fetch(`${this.api.baseUrl}/health`, { headers: this.api.requestHeaders() });
+            return true;
+        } catch (error) {
+            console.log('REST health check failed:', error.message);
+            return false;
+        }
+    }
+
+    async call(fnName, args, options = {}) {
+        const names = REST_ARG_NAMES[fnName];
+        if (!names) {
+            throw new EndpointNotFoundError(fnName);
+        }
+
+        const body = {};
+        names.forEach((name, i) => {
+            body[name] = args[i];
+        });
+
+        const response = await this.api._fetch(`${this.api.baseUrl}/${fnName}`, {
+            method: 'POST',
+            headers: this.api.requestHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(body)
+        }, options.signal);
+
+        const result = await response.json();
+        if (result && result.error) {
+            throw new BackendError(result.error);
+        }
+
+        const output = Array.isArray(result) ? result : result && result.data;
+        if (!Array.isArray(output)) {
+            throw new BackendError(`${fnName} returned no output list`);
+        }
+        return output;
+    }
+}
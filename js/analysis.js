@@ -0,0 +1,439 @@
+/**
+ * TeXmExDeX Type Modeler - Printability Analysis
+ * Overhangs, thin walls, open/non-manifold edges and floating shells on the loaded mesh
+ */
+
+const ANALYSIS_DEFAULTS = {
+    overhangAngle: 45,   // Degrees from vertical beyond which a downward face needs support
+    nozzleWidth: 0.4,    // Walls thinner than this cannot be printed (mm)
+    bedTolerance: 0.05   // Faces/shells within this distance of the bed count as supported (mm)
+};
+
+const ANALYSIS_COLORS = {
+    overhangStart: new THREE.Color(0xfbbf24),
+    overhangEnd: new THREE.Color(0xef4444),
+    thinWall: new THREE.Color(0xa855f7),
+    floating: new THREE.Color(0xec4899),
+    edge: 0xff3030
+};
+
+class PrintAnalyzer {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.options = { ...ANALYSIS_DEFAULTS };
+        this.report = null;
+
+        // Overlay is built in world space at analysis time, outside currentMesh
+        this.group = new THREE.Group();
+        this.viewer.scene.add(this.group);
+
+        document.addEventListener('meshChanged', () => this.clear());
+    }
+
+    /**
+     * Analyze the current mesh in world space and draw the heatmap overlay
+     */
+    analyze(options = {}) {
+        this.clear();
+        this.options = { ...this.options, ...options };
+
+        const data = this._collectWorldTriangles();
+        if (!data) return null;
+
+        const report = PrintAnalyzer.analyzeTriangles(data.positions, data.indices, this.options);
+        this.report = report;
+        this._drawOverlay(data, report);
+
+        document.dispatchEvent(new CustomEvent('analysisChanged', { detail: { report } }));
+        return report;
+    }
+
+    /**
+     * Remove the overlay and forget the last report
+     */
+    clear() {
+        [...this.group.children].forEach(child => {
+            this.group.remove(child);
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+        const hadReport = this.report !== null;
+        this.report = null;
+        if (hadReport) {
+            document.dispatchEvent(new CustomEvent('analysisChanged', { detail: { report: null } }));
+        }
+    }
+
+    _collectWorldTriangles() {
+        return PrintAnalyzer.collectWorldTriangles(this.viewer.currentMesh);
+    }
+
+    /**
+     * Merge every mesh under root into one world-space triangle soup
+     */
+    static collectWorldTriangles(root) {
+        if (!root) return null;
+
+        const positions = [];
+        const indices = [];
+        const vertex = new THREE.Vector3();
+
+        root.updateMatrixWorld(true);
+        root.traverse((child) => {
+            if (!child.isMesh || !child.geometry) return;
+
+            const source = child.geometry.attributes.position;
+            const base = positions.length / 3;
+            for (let i = 0; i < source.count; i++) {
+                vertex.fromBufferAttribute(source, i).applyMatrix4(child.matrixWorld);
+                positions.push(vertex.x, vertex.y, vertex.z);
+            }
+
+            const index = child.geometry.index;
+            const count = index ? index.count : source.count;
+            for (let i = 0; i < count; i++) {
+                indices.push(base + (index ? index.getX(i) : i));
+            }
+        });
+
+        if (indices.length === 0) return null;
+        return { positions: new Float32Array(positions), indices: new Uint32Array(indices) };
+    }
+
+    /**
+     * Pure geometry pass over a world-space triangle list (Y-up, bed at min Y).
+     * Returns a report with per-face flags and summary counts.
+     */
+    static analyzeTriangles(positions, indices, options = {}) {
+        const opts = { ...ANALYSIS_DEFAULTS, ...options };
+        const faceCount = Math.floor(indices.length / 3);
+
+        let bedY = Infinity;
+        for (let i = 1; i < positions.length; i += 3) bedY = Math.min(bedY, positions[i]);
+
+        // Weld coincident vertices so topology checks see shared edges
+        const weld = PrintAnalyzer._weldVertices(positions);
+        const faceVertex = (f, k) => weld.map[indices[f * 3 + k]];
+
+        const normals = new Float32Array(faceCount * 3);
+        const areas = new Float32Array(faceCount);
+        const centroids = new Float32Array(faceCount * 3);
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+        const n = new THREE.Vector3();
+
+        for (let f = 0; f < faceCount; f++) {
+            a.fromArray(positions, indices[f * 3] * 3);
+            b.fromArray(positions, indices[f * 3 + 1] * 3);
+            c.fromArray(positions, indices[f * 3 + 2] * 3);
+            n.subVectors(c, b).cross(a.clone().sub(b));
+            areas[f] = n.length() / 2;
+            n.normalize();
+            normals.set([n.x, n.y, n.z], f * 3);
+            centroids.set([
+                (a.x + b.x + c.x) / 3,
+                (a.y + b.y + c.y) / 3,
+                (a.z + b.z + c.z) / 3
+            ], f * 3);
+        }
+
+        // Overhangs: downward faces steeper than the threshold, ignoring the bed layer
+        const overhang = new Float32Array(faceCount);  // 0 = fine, otherwise severity 0..1
+        const limit = Math.sin(THREE.MathUtils.degToRad(opts.overhangAngle));
+        let overhangFaces = 0;
+        let overhangArea = 0;
+        for (let f = 0; f < faceCount; f++) {
+            const down = -normals[f * 3 + 1];
+            const onBed = centroids[f * 3 + 1] - bedY <= opts.bedTolerance;
+            if (down > limit && !onBed && areas[f] > 0) {
+                overhang[f] = (down - limit) / (1 - limit);
+                overhangFaces++;
+                overhangArea += areas[f];
+            }
+        }
+
+        // Edges: count faces per welded edge
+        const edgeFaces = new Map();
+        for (let f = 0; f < faceCount; f++) {
+            for (let k = 0; k < 3; k++) {
+                const v1 = faceVertex(f, k);
+                const v2 = faceVertex(f, (k + 1) % 3);
+                if (v1 === v2) continue;
+                const key = v1 < v2 ? `${v1}_${v2}` : `${v2}_${v1}`;
+                edgeFaces.set(key, (edgeFaces.get(key) || 0) + 1);
+            }
+        }
+        const openEdges = [];
+        const nonManifoldEdges = [];
+        edgeFaces.forEach((count, key) => {
+            const [v1, v2] = key.split('_').map(Number);
+            if (count === 1) openEdges.push([v1, v2]);
+            else if (count > 2) nonManifoldEdges.push([v1, v2]);
+        });
+
+        // Shells: union-find over welded vertices
+        const parent = new Int32Array(weld.count).map((_, i) => i);
+        const find = (x) => {
+            while (parent[x] !== x) {
+                parent[x] = parent[parent[x]];
+                x = parent[x];
+            }
+            return x;
+        };
+        for (let f = 0; f < faceCount; f++) {
+            const r0 = find(faceVertex(f, 0));
+            parent[find(faceVertex(f, 1))] = r0;
+            parent[find(faceVertex(f, 2))] = r0;
+        }
+        const shellMinY = new Map();
+        const faceShell = new Int32Array(faceCount);
+        for (let f = 0; f < faceCount; f++) {
+            const root = find(faceVertex(f, 0));
+            faceShell[f] = root;
+            let minY = shellMinY.has(root) ? shellMinY.get(root) : Infinity;
+            for (let k = 0; k < 3; k++) {
+                minY = Math.min(minY, positions[indices[f * 3 + k] * 3 + 1]);
+            }
+            shellMinY.set(root, minY);
+        }
+        const floatingShells = new Set();
+        shellMinY.forEach((minY, root) => {
+            if (minY - bedY > opts.bedTolerance) floatingShells.add(root);
+        });
+        const floating = new Uint8Array(faceCount);
+        for (let f = 0; f < faceCount; f++) {
+            floating[f] = floatingShells.has(faceShell[f]) ? 1 : 0;
+        }
+
+        // Thin walls: march inward from each face and look for the opposite wall
+        const thickness = PrintAnalyzer._measureThickness(
+            positions, indices, normals, centroids, opts.nozzleWidth
+        );
+        let thinFaces = 0;
+        let minThickness = Infinity;
+        for (let f = 0; f < faceCount; f++) {
+            if (thickness[f] < opts.nozzleWidth) {
+                thinFaces++;
+                minThickness = Math.min(minThickness, thickness[f]);
+            }
+        }
+
+        return {
+            options: opts,
+            faceCount: faceCount,
+            overhang: overhang,
+            overhangFaces: overhangFaces,
+            overhangArea: overhangArea,
+            thickness: thickness,
+            thinFaces: thinFaces,
+            minThickness: Number.isFinite(minThickness) ? minThickness : null,
+            openEdges: openEdges,
+            nonManifoldEdges: nonManifoldEdges,
+            weldedPositions: weld.positions,
+            shells: shellMinY.size,
+            floating: floating,
+            floatingShells: floatingShells.size
+        };
+    }
+
+    static _weldVertices(positions, precision = 1e-4) {
+        const map = new Uint32Array(positions.length / 3);
+        const lookup = new Map();
+        const welded = [];
+        const q = (v) => Math.round(v / precision);
+
+        for (let i = 0; i < map.length; i++) {
+            const key = `${q(positions[i * 3])},${q(positions[i * 3 + 1])},${q(positions[i * 3 + 2])}`;
+            let id = lookup.get(key);
+            if (id === undefined) {
+                id = welded.length / 3;
+                lookup.set(key, id);
+                welded.push(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+            }
+            map[i] = id;
+        }
+
+        return { map: map, count: welded.length / 3, positions: new Float32Array(welded) };
+    }
+
+    /**
+     * Distance to the nearest surface behind each face, up to maxDistance.
+     * Uses a uniform grid so each probe only tests nearby triangles.
+     */
+    static _measureThickness(positions, indices, normals, centroids, maxDistance) {
+        const faceCount = Math.floor(indices.length / 3);
+        const thickness = new Float32Array(faceCount).fill(Infinity);
+
+        const box = new THREE.Box3();
+        for (let i = 0; i < positions.length; i += 3) {
+            box.expandByPoint(new THREE.Vector3(positions[i], positions[i + 1], positions[i + 2]));
+        }
+        const size = box.getSize(new THREE.Vector3());
+        const cell = Math.max(maxDistance * 2, Math.max(size.x, size.y, size.z) / 64, 1e-3);
+        const dims = [
+            Math.max(1, Math.ceil(size.x / cell)),
+            Math.max(1, Math.ceil(size.y / cell)),
+            Math.max(1, Math.ceil(size.z / cell))
+        ];
+        const cellOf = (v, axis) => Math.min(dims[axis] - 1,
+            Math.max(0, Math.floor((v - box.min.getComponent(axis)) / cell)));
+
+        // Bucket triangles by the cells their bounds overlap
+        const grid = new Map();
+        const lo = [0, 0, 0];
+        const hi = [0, 0, 0];
+        for (let f = 0; f < faceCount; f++) {
+            for (let axis = 0; axis < 3; axis++) {
+                let min = Infinity;
+                let max = -Infinity;
+                for (let k = 0; k < 3; k++) {
+                    const v = positions[indices[f * 3 + k] * 3 + axis];
+                    min = Math.min(min, v);
+                    max = Math.max(max, v);
+                }
+                lo[axis] = cellOf(min, axis);
+                hi[axis] = cellOf(max, axis);
+            }
+            for (let x = lo[0]; x <= hi[0]; x++) {
+                for (let y = lo[1]; y <= hi[1]; y++) {
+                    for (let z = lo[2]; z <= hi[2]; z++) {
+                        const key = (x * dims[1] + y) * dims[2] + z;
+                        if (!grid.has(key)) grid.set(key, []);
+                        grid.get(key).push(f);
+                    }
+                }
+            }
+        }
+
+        const origin = new THREE.Vector3();
+        const direction = new THREE.Vector3();
+        const end = new THREE.Vector3();
+        const ray = new THREE.Ray();
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+        const hit = new THREE.Vector3();
+        const seen = new Int32Array(faceCount).fill(-1);
+
+        for (let f = 0; f < faceCount; f++) {
+            origin.fromArray(centroids, f * 3);
+            direction.fromArray(normals, f * 3).negate();
+            if (direction.lengthSq() === 0) continue;
+            end.copy(direction).multiplyScalar(maxDistance).add(origin);
+            ray.set(origin, direction);
+
+            for (let axis = 0; axis < 3; axis++) {
+                lo[axis] = cellOf(Math.min(origin.getComponent(axis), end.getComponent(axis)), axis);
+                hi[axis] = cellOf(Math.max(origin.getComponent(axis), end.getComponent(axis)), axis);
+            }
+
+            for (let x = lo[0]; x <= hi[0]; x++) {
+                for (let y = lo[1]; y <= hi[1]; y++) {
+                    for (let z = lo[2]; z <= hi[2]; z++) {
+                        const bucket = grid.get((x * dims[1] + y) * dims[2] + z);
+                        if (!bucket) continue;
+
+                        bucket.forEach(g => {
+                            if (g === f || seen[g] === f) return;
+                            seen[g] = f;
+
+                            a.fromArray(positions, indices[g * 3] * 3);
+                            b.fromArray(positions, indices[g * 3 + 1] * 3);
+                            c.fromArray(positions, indices[g * 3 + 2] * 3);
+                            if (!ray.intersectTriangle(a, b, c, false, hit)) return;
+
+                            const distance = hit.distanceTo(origin);
+                            if (distance > 1e-4 && distance < thickness[f]) {
+                                thickness[f] = distance;
+                            }
+                        });
+                    }
+                }
+            }
+        }
+
+        return thickness;
+    }
+
+    _drawOverlay(data, report) {
+        const faceColors = [];
+        const facePositions = [];
+        const color = new THREE.Color();
+
+        for (let f = 0; f < report.faceCount; f++) {
+            if (report.floating[f]) {
+                color.copy(ANALYSIS_COLORS.floating);
+            } else if (report.thickness[f] < report.options.nozzleWidth) {
+                color.copy(ANALYSIS_COLORS.thinWall);
+            } else if (report.overhang[f] > 0) {
+                color.copy(ANALYSIS_COLORS.overhangStart).lerp(ANALYSIS_COLORS.overhangEnd, report.overhang[f]);
+            } else {
+                continue;
+            }
+
+            for (let k = 0; k < 3; k++) {
+                const v = data.indices[f * 3 + k] * 3;
+                facePositions.push(data.positions[v], data.positions[v + 1], data.positions[v + 2]);
+                faceColors.push(color.r, color.g, color.b);
+            }
+        }
+
+        if (facePositions.length > 0) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(facePositions, 3));
+            geometry.setAttribute('color', new THREE.Float32BufferAttribute(faceColors, 3));
+
+            const heatmap = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                vertexColors: true,
+                side: THREE.DoubleSide,
+                polygonOffset: true,
+                polygonOffsetFactor: -1,
+                polygonOffsetUnits: -1
+            }));
+            heatmap.renderOrder = 10;
+            this.group.add(heatmap);
+        }
+
+        const badEdges = [...report.openEdges, ...report.nonManifoldEdges];
+        if (badEdges.length > 0) {
+            const edgePositions = [];
+            badEdges.forEach(([v1, v2]) => {
+                edgePositions.push(
+                    ...report.weldedPositions.subarray(v1 * 3, v1 * 3 + 3),
+                    ...report.weldedPositions.subarray(v2 * 3, v2 * 3 + 3)
+                );
+            });
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(edgePositions, 3));
+            const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+                color: ANALYSIS_COLORS.edge,
+                depthTest: false
+            }));
+            lines.renderOrder = 11;
+            this.group.add(lines);
+        }
+    }
+
+    /**
+     * One-line summary for the viewport info bar
+     */
+    summarize(report = this.report) {
+        if (!report) return '';
+
+        const parts = [
+            `Overhangs ${report.overhangFaces}`,
+            `Thin walls ${report.thinFaces}`,
+            `Open edges ${report.openEdges.length}`,
+            `Non-manifold ${report.nonManifoldEdges.length}`,
+            `Shells ${report.shells}`
+        ];
+        if (report.floatingShells > 0) {
+            parts.push(`Floating ${report.floatingShells}`);
+        }
+        return parts.join(' · ');
+    }
+}
+
+// Global analyzer instance
+let printAnalyzer = null;
@@ -3,14 +3,263 @@
  * Handles communication with HuggingFace Space backend (Gradio 5.x compatible)
  */
 
+// Per-call timeouts in ms, keyed by api_name ('default' for the rest)
+const API_TIMEOUTS = {
+    default: 60000,
+    chat_to_code: 180000,
+    generate_mesh: 120000,
+    export_stl: 120000
+};
+
+// Calls that are safe to repeat after a transient failure
+const API_IDEMPOTENT = [
+    'parse_parameters',
+    'generate_mesh',
+    'export_stl',
+    'get_component_template',
+    'validate_code'
+];
+
+// Long jobs that are not resubmitted after timing out: another try would
+// queue a second copy of the heaviest work and keep the UI waiting minutes more
+const API_NO_TIMEOUT_RETRY = ['generate_mesh', 'export_stl'];
+
+const API_RETRY = {
+    attempts: 3,      // Retries after the first try
+    baseDelay: 500,   // ms, doubled each retry
+    maxDelay: 8000
+};
+
+/**
+ * Base class for backend failures. kind lets the UI pick a message/severity;
+ * retryable marks transient failures.
+ */
+class APIError extends Error {
+    constructor(message, kind = 'unknown', retryable = false) {
+        super(message);
+        this.name = 'APIError';
+        this.kind = kind;
+        this.retryable = retryable;
+    }
+}
+
+class NetworkError extends APIError {
+    constructor(message, status = null) {
+        // 4xx means the request itself is wrong, so repeating it won't help
+        super(message, 'network', status === null || status >= 500);
+        this.name = 'NetworkError';
+        this.status = status;
+    }
+}
+
+class QueueFullError extends APIError {
+    constructor() {
+        super('The backend queue is full. Try again in a moment.', 'queue_full', true);
+        this.name = 'QueueFullError';
+    }
+}
+
+class BackendError extends APIError {
+    constructor(detail) {
+        super(`Backend error: ${detail || 'the server raised an exception'}`, 'backend', false);
+        this.name = 'BackendError';
+        this.detail = detail;
+    }
+}
+
+class APITimeoutError extends APIError {
+    constructor(fnName, timeout) {
+        super(`${fnName} timed out after ${Math.round(timeout / 1000)} s`, 'timeout', true);
+        this.name = 'APITimeoutError';
+    }
+}
+
+class EndpointNotFoundError extends APIError {
+    constructor(fnName) {
+        super(`Backend has no endpoint named "${fnName}"`, 'endpoint', false);
+        this.name = 'EndpointNotFoundError';
+    }
+}
+
+// How long messages for an event nobody has registered are held (ms)
+const GRADIO_UNCLAIMED_TTL = 60000;
+
+/**
+ * One /queue/data stream per session, shared by every queued job.
+ * Messages are routed to the job that owns their event_id; messages that
+ * arrive before the job registers (join and stream race) are held until it
+ * does, across reconnects, and dropped once GRADIO_UNCLAIMED_TTL old.
+ */
+class GradioEventStream {
+    constructor(openStream) {
+        this.openStream = openStream;  // () => Promise<Response>
+        this.handlers = new Map();     // event_id -> { onMessage, onError }
+        this.unclaimed = new Map();    // event_id -> { received, messages } before register()
+        this.reader = null;
+        this.stopping = false;         // Set when we close the stream ourselves
+    }
+
+    /**
+     * Start receiving messages for an event. Opens the stream if needed.
+     */
+    register(eventId, onMessage, onError) {
+        this.handlers.set(eventId, { onMessage, onError });
+
+        const early = this.unclaimed.get(eventId);
+        this.unclaimed.delete(eventId);
+        if (early) early.messages.forEach(data => this._dispatch(data));
+
+        if (!this.reader && this.handlers.has(eventId)) {
+            this._run();
+        }
+    }
+
+    /**
+     * Stop routing messages for an event; closes the stream once nothing is pending
+     */
+    unregister(eventId) {
+        this.handlers.delete(eventId);
+        if (this.handlers.size === 0 && this.reader) {
+            this.stopping = true;
+            if (this.reader.cancel) this.reader.cancel().catch(() => {});
+        }
+    }
+
+    async _run() {
+        // Claim the slot synchronously so concurrent register() calls share one stream
+        this.reader = {};
+        this.stopping = false;
+        let closedByServer = false;
+
+        try {
+            const response = await this.openStream();
+            this.reader = response.body.getReader();
+            if (this.stopping) this.reader.cancel().catch(() => {});
+            closedByServer = await this._read(this.reader);
+        } catch (error) {
+            this._failAll(error);
+        } finally {
+            this.reader = null;
+            this._pruneUnclaimed();
+        }
+
+        if (this.handlers.size === 0) return;
+
+        if (closedByServer || this.stopping) {
+            // The server closes the stream once it has nothing queued for us, and we
+            // close it when idle; a job that joined in the meantime needs a fresh one
+            this._run();
+        } else {
+            this._failAll(new NetworkError('Connection closed before the job completed'));
+        }
+    }
+
+    /**
+     * Read until the stream ends; true if the server sent close_stream
+     */
+    async _read(reader) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let dataLines = [];
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return false;
+
+            // Chunks can end mid-line, so only complete lines leave the buffer
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (line === '') {
+                    // Blank line terminates an SSE event
+                    if (dataLines.length > 0) {
+                        const closed = this._handleEvent(dataLines.join('\n'));
+                        dataLines = [];
+                        if (closed) return true;
+                    }
+                } else if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(line.startsWith('data: ') ? 6 : 5));
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns true when the server signals the end of the stream
+     */
+    _handleEvent(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return false;
+        }
+
+        if (data.msg === 'close_stream') return true;
+        if (data.msg === 'heartbeat') return false;
+        this._dispatch(data);
+        return false;
+    }
+
+    _dispatch(data) {
+        const handler = this.handlers.get(data.event_id);
+        if (handler) {
+            handler.onMessage(data);
+        } else if (data.event_id) {
+            this._pruneUnclaimed();
+            if (!this.unclaimed.has(data.event_id)) {
+                this.unclaimed.set(data.event_id, { received: Date.now(), messages: [] });
+            }
+            this.unclaimed.get(data.event_id).messages.push(data);
+        }
+    }
+
+    /**
+     * Drop held messages for events that never registered, e.g. a cancelled join
+     */
+    _pruneUnclaimed() {
+        const cutoff = Date.now() - GRADIO_UNCLAIMED_TTL;
+        this.unclaimed.forEach((entry, eventId) => {
+            if (entry.received < cutoff) this.unclaimed.delete(eventId);
+        });
+    }
+
+    _failAll(error) {
+        const handlers = [...this.handlers.values()];
+        this.handlers.clear();
+        handlers.forEach(handler => handler.onError(error));
+    }
+}
+
+// Leading status markers of validate_code messages
+const VALIDATE_MARKERS = {
+    valid: /^\s*[✓✔✅]/u,
+    invalid: /^\s*([✗✘❌]|Traceback \(most recent call last\))/u
+};
+
+// localStorage key for the settings dialog
+const BACKEND_SETTINGS_KEY = 'texmexdex-backend';
+
 class API {
     constructor(baseUrl = null) {
         // Auto-detect HF Space URL or use localhost for development
         this.baseUrl = baseUrl || this._detectBaseUrl();
+        this.protocol = 'gradio';  // Key of BACKEND_PROTOCOLS
+        this.token = '';  // Sent as a Bearer token, e.g. an HF access token
         // Default to /gradio_api which is standard for Gradio 5+ on HF Spaces
         this.apiPrefix = '/gradio_api';
         this.isConnected = false;
-        this.fnIndex = {};
+        this.fnIndex = {};  // api_name -> fn_index, from /config dependencies
+        this.timeouts = { ...API_TIMEOUTS };
+        this.mode = 'remote';  // 'remote' (HF Space) or 'local' (in-browser Pyodide)
+        this.local = new LocalBackend();
+        this.rest = new RestAdapter(this);
+        this.eventStream = new GradioEventStream(() => this._fetch(
+            `${this.baseUrl}${this.apiPrefix}/queue/data?session_hash=${this.sessionHash}`,
+            { headers: this.requestHeaders() }
+        ));
         this.sessionHash = this._generateSessionHash();
     }
 
@@ -27,37 +276,147 @@ class API {
         return 'https://texmexdex-texmexdex-type-modeler.hf.space';
     }
 
+    /**
+     * Backend settings: ?backend= beats saved settings, which beat detection.
+     * ?backend= takes a URL (Gradio), rest:URL for a REST server, or "local";
+     * the saved token is kept only when it names the saved backend.
+     */
+    static loadSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(BACKEND_SETTINGS_KEY) || '{}');
+        } catch (error) {
+            console.warn('Ignoring unreadable backend settings:', error);
+        }
+
+        const settings = { protocol: 'gradio', baseUrl: '', token: '', ...saved };
+        const query = new URLSearchParams(window.location.search).get('backend');
+        if (query) {
+            settings.fromQuery = true;
+            if (query === 'local') {
+                settings.protocol = 'local';
+            } else if (query.startsWith('rest:')) {
+                settings.protocol = 'rest';
+                settings.baseUrl = query.slice(5);
+            } else {
+                settings.protocol = 'gradio';
+                settings.baseUrl = query;
+            }
+
+            // A link can name any server; only send the saved token where it was saved for
+            const trim = (url) => (url || '').replace(/\/+$/, '');
+            if (settings.protocol !== (saved.protocol || 'gradio') || trim(settings.baseUrl) !== trim(saved.baseUrl)) {
+                settings.token = '';
+            }
+        }
+        return settings;
+    }
+
+    static saveSettings({ protocol, baseUrl, token }) {
+        localStorage.setItem(BACKEND_SETTINGS_KEY, JSON.stringify({ protocol, baseUrl, token }));
+    }
+
+    /**
+     * Point the client at a backend. An empty baseUrl falls back to detection.
+     */
+    configure({ protocol = 'gradio', baseUrl = '', token = '' } = {}) {
+        if (!(protocol in BACKEND_PROTOCOLS)) {
+            throw new Error(`Unknown backend protocol: ${protocol}`);
+        }
+
+        this.protocol = protocol;
+        this.baseUrl = (baseUrl || this._detectBaseUrl()).replace(/\/+$/, '');
+        this.token = token;
+
+        // Anything learned from the previous backend no longer applies
+        this.apiPrefix = '/gradio_api';
+        this.fnIndex = {};
+        this.isConnected = false;
+
+        this.setMode(protocol === 'local' ? 'local' : 'remote');
+    }
+
+    /**
+     * Request headers with auth added
+     */
+    requestHeaders(extra = {}) {
+        const headers = { ...extra };
+        if (this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+        return headers;
+    }
+
     _generateSessionHash() {
         return Math.random().toString(36).substring(2, 15);
     }
 
     /**
-     * Initialize by fetching the API config
+     * Initialize by fetching the API config and mapping api_name to fn_index
      */
     async init() {
+        if (this.protocol === 'rest') {
+            this.isConnected = await this.rest.init();
+            return this.isConnected;
+        }
+
         try {
-            const response = await fetch(`${this.baseUrl}/config`);
-            if (response.ok) {
-                const config = await response.json();
-
-                // Store API prefix if present (common in Gradio 5.x)
-                if (config.api_prefix) {
-                    this.apiPrefix = config.api_prefix;
-                    console.log('Using API prefix:', this.apiPrefix);
-                }
+            const response = await this._withTimeout('config', this.timeouts.default, null, (signal) =>
+                this._fetch(`${this.baseUrl}/config`, { headers: this.requestHeaders() }, signal));
+            const config = await response.json();
 
-                // Build function index map from config
-                if (config.components) {
-                    // Gradio 5.x config structure
-                    this.isConnected = true;
-                }
-                return true;
+            // Store API prefix if present (common in Gradio 5.x)
+            if (config.api_prefix) {
+                this.apiPrefix = config.api_prefix;
+                console.log('Using API prefix:', this.apiPrefix);
             }
+
+            this.fnIndex = API.parseDependencies(config.dependencies || []);
+            this.isConnected = true;
         } catch (error) {
-            console.log('Config fetch failed, defaulting to /gradio_api');
-            this.apiPrefix = '/gradio_api';
+            console.log('Config fetch failed:', error.message);
+            this.isConnected = false;
+        }
+        return this.isConnected;
+    }
+
+    /**
+     * Map api_name to fn_index. Later handlers sharing a name (e.g. a button
+     * click and a textbox submit) get suffixed names, so the first one wins.
+     */
+    static parseDependencies(dependencies) {
+        const fnIndex = {};
+        dependencies.forEach((dependency, i) => {
+            const name = dependency.api_name;
+            if (typeof name === 'string' && name && !(name in fnIndex)) {
+                fnIndex[name] = typeof dependency.id === 'number' ? dependency.id : i;
+            }
+        });
+        return fnIndex;
+    }
+
+    /**
+     * Switch between the HF Space and the in-browser runtime
+     */
+    setMode(mode) {
+        if (mode !== 'remote' && mode !== 'local') {
+            throw new Error(`Unknown backend mode: ${mode}`);
+        }
+        this.mode = mode;
+        if (mode === 'local') {
+            this.local.warmUp();
         }
-        return true; // Assume success even if config fails, as we have a default
+    }
+
+    /**
+     * Result for features that only the HF Space provides
+     */
+    _remoteOnly(feature) {
+        return {
+            success: false,
+            error: `${feature} needs the online backend`,
+            errorKind: 'offline'
+        };
     }
 
     /**
@@ -72,17 +431,29 @@ class API {
 
     /**
      * Send a chat message to generate code
+     *
+     * options.onProgress({ code, status }) is called for each partial output while
+     * the model is still generating; options.signal cancels the queued job.
      */
-    async chatToCode(message, history = [], currentCode = '') {
+    async chatToCode(message, history = [], currentCode = '', options = {}) {
+        if (this.mode === 'local') return this._remoteOnly('AI chat');
+
         console.log('=== chatToCode CALLED ===');
         console.log('Message:', message);
         console.log('Base URL:', this.baseUrl);
         console.log('API Prefix:', this.apiPrefix);
 
+        const { onProgress, signal } = options;
+
         try {
-            console.log('Calling _callGradio5 with fn_name: chat_to_code');
-            const response = await this._callGradio5('chat_to_code', [message, history, currentCode]);
-            console.log('_callGradio5 returned:', response);
+            console.log('Calling _call with fn_name: chat_to_code');
+            const response = await this._call('chat_to_code', [message, history, currentCode], {
+                signal: signal,
+                onProgress: onProgress && ((data) => {
+                    onProgress({ code: data[0] || '', status: data[1] || '' });
+                })
+            });
+            console.log('_call returned:', response);
 
             return {
                 success: true,
@@ -91,57 +462,76 @@ class API {
                 history: response[2]
             };
         } catch (error) {
+            if (error.name === 'AbortError') {
+                return {
+                    success: false,
+                    cancelled: true,
+                    error: 'Cancelled'
+                };
+            }
             console.error('Chat API error:', error);
             console.error('Error stack:', error.stack);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                errorKind: error.kind || 'unknown'
             };
         }
     }
 
     /**
      * Generate mesh from code
+     *
+     * options.signal cancels the queued job; the result then has cancelled: true.
      */
-    async generateMesh(code, params = {}) {
+    async generateMesh(code, params = {}, options = {}) {
+        if (this.mode === 'local') return this.local.generateMesh(code, params, options);
+
         try {
             const paramsJson = JSON.stringify(params);
-            const response = await this._callGradio5('generate_mesh', [code, paramsJson]);
-
-            // Gradio 5.x returns file outputs as objects with 'url' or 'path'
-            let meshUrl = response[0];
-            if (meshUrl && typeof meshUrl === 'object') {
-                // Extract URL from Gradio file object
-                meshUrl = meshUrl.url || meshUrl.path || null;
-                // If it's a relative path, make it absolute
-                if (meshUrl && !meshUrl.startsWith('http')) {
-                    meshUrl = `${this.baseUrl}${meshUrl.startsWith('/') ? '' : '/'}${meshUrl}`;
-                }
-            }
+            const response = await this._call('generate_mesh', [code, paramsJson], {
+                signal: options.signal
+            });
+
+            const meshUrl = this._resolveFileUrl(response[0]);
 
             console.log('Mesh URL:', meshUrl);  // Debug logging
 
+            // A script error comes back as a null mesh with the traceback in the status
             return {
                 success: meshUrl !== null,
                 meshUrl: meshUrl,
                 status: response[1],
-                meshInfo: response[2]
+                meshInfo: response[2],
+                diagnostics: meshUrl === null ? Diagnostics.parse(response[1], code, { source: 'run' }) : []
             };
         } catch (error) {
+            if (error.name === 'AbortError') {
+                return {
+                    success: false,
+                    cancelled: true,
+                    error: 'Cancelled'
+                };
+            }
             console.error('Mesh generation error:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                errorKind: error.kind || 'unknown',
+                diagnostics: Diagnostics.fromError(error, code, 'run')
             };
         }
     }
 
     /**
-     * Parse parameters from code
+     * Parse parameters from code.
+     * Returns raw specs; see ParamSchema for the accepted forms.
      */
     async parseParameters(code) {
+        if (this.mode === 'local') return this.local.parseParameters(code);
+
         try {
-            const response = await this._callGradio5('parse_parameters', [code]);
+            const response = await this._call('parse_parameters', [code]);
             const params = JSON.parse(response[0] || '{}');
             return {
                 success: true,
@@ -153,6 +543,7 @@ class API {
             return {
                 success: false,
                 error: error.message,
+                errorKind: error.kind || 'unknown',
                 params: {}
             };
         }
@@ -162,30 +553,52 @@ class API {
      * Validate code
      */
     async validateCode(code) {
+        if (this.mode === 'local') return this.local.validateCode(code);
+
         try {
-            const response = await this._callGradio5('validate_code', [code]);
+            const response = await this._call('validate_code', [code]);
 
-            // Parse warnings JSON string
+            // Parse warnings JSON string; newer backends send { valid, warnings }
             let warnings = [];
+            let flag = null;
             try {
-                if (response[1]) {
-                    warnings = JSON.parse(response[1]);
+                const parsed = response[1] ? JSON.parse(response[1]) : [];
+                if (Array.isArray(parsed)) {
+                    warnings = parsed;
+                } else if (parsed && typeof parsed === 'object') {
+                    warnings = parsed.warnings || [];
+                    if (typeof parsed.valid === 'boolean') flag = parsed.valid;
                 }
             } catch (e) {
                 console.warn('Failed to parse warnings JSON:', e);
                 warnings = [];
             }
 
+            // Without a flag, only the message's leading status marker counts; null when it has none
+            const message = response[0] || '';
+            const isValid = flag !== null ? flag
+                : VALIDATE_MARKERS.valid.test(message) ? true
+                    : VALIDATE_MARKERS.invalid.test(message) ? false
+                        : null;
+            const diagnostics = [
+                ...(isValid === false ? Diagnostics.parse(message, code, { source: 'validate' }) : []),
+                ...Diagnostics.parse(warnings, code, { source: 'validate', severity: 'warning' })
+            ];
+
             return {
                 success: true,
-                message: response[0],
-                warnings: warnings
+                isValid: isValid,
+                message: message,
+                warnings: warnings,
+                diagnostics: diagnostics
             };
         } catch (error) {
             console.error('Validation error:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                errorKind: error.kind || 'unknown',
+                diagnostics: Diagnostics.fromError(error, code, 'validate')
             };
         }
     }
@@ -194,8 +607,10 @@ class API {
      * Auto-fix code issues
      */
     async autoFixCode(code) {
+        if (this.mode === 'local') return this._remoteOnly('Auto-fix');
+
         try {
-            const response = await this._callGradio5('auto_fix_code', [code]);
+            const response = await this._call('auto_fix_code', [code]);
 
             // Parse fixes JSON string
             let fixes = [];
@@ -218,7 +633,8 @@ class API {
             console.error('Auto-fix error:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                errorKind: error.kind || 'unknown'
             };
         }
     }
@@ -227,18 +643,13 @@ class API {
      * Export STL
      */
     async exportSTL(code, params = {}) {
+        if (this.mode === 'local') return this.local.exportSTL(code, params);
+
         try {
             const paramsJson = JSON.stringify(params);
-            const response = await this._callGradio5('export_stl', [code, paramsJson]);
-
-            // Gradio 5.x returns file outputs as objects
-            let fileUrl = response[0];
-            if (fileUrl && typeof fileUrl === 'object') {
-                fileUrl = fileUrl.url || fileUrl.path || null;
-                if (fileUrl && !fileUrl.startsWith('http')) {
-                    fileUrl = `${this.baseUrl}${fileUrl.startsWith('/') ? '' : '/'}${fileUrl}`;
-                }
-            }
+            const response = await this._call('export_stl', [code, paramsJson]);
+
+            const fileUrl = this._resolveFileUrl(response[0]);
 
             return {
                 success: fileUrl !== null,
@@ -249,7 +660,8 @@ class API {
             console.error('Export error:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                errorKind: error.kind || 'unknown'
             };
         }
     }
@@ -258,9 +670,11 @@ class API {
      * Get component template
      */
     async getComponentTemplate(componentType, params = {}) {
+        if (this.mode === 'local') return this._remoteOnly('The component library');
+
         try {
             const paramsJson = JSON.stringify(params);
-            const response = await this._callGradio5('get_component_template', [componentType, paramsJson]);
+            const response = await this._call('get_component_template', [componentType, paramsJson]);
 
             return {
                 success: true,
@@ -271,22 +685,83 @@ class API {
             console.error('Component template error:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                errorKind: error.kind || 'unknown'
             };
         }
     }
 
     /**
-     * Call Gradio 5.x API using queue/join pattern
+     * Absolute URL for a file output. Gradio 5.x returns file objects with
+     * 'url' or 'path'; REST servers may return a plain (relative) URL.
      */
-    async _callGradio5(fnName, args) {
-        console.log('=== _callGradio5 START ===');
-        console.log('Function name:', fnName);
-        console.log('Arguments:', args);
+    _resolveFileUrl(output) {
+        let url = output && typeof output === 'object' ? output.url || output.path || null : output || null;
+        // If it's a relative path, make it absolute
+        if (url && !/^(https?|blob|data):/.test(url)) {
+            url = `${this.baseUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+        }
+        return url;
+    }
+
+    /**
+     * Call a backend endpoint through the configured protocol
+     *
+     * options.onProgress(data) receives the full output list for every
+     * process_generating event; options.onQueue({ stage, position, queueSize, eta })
+     * reports queue status; options.signal aborts and cancels the job.
+     * options.timeout (ms) and options.retries override the per-endpoint defaults.
+     * Idempotent endpoints retry transient failures with exponential backoff.
+     */
+    async _call(fnName, args, options = {}) {
+        const { onProgress, onQueue, signal } = options;
+        const timeout = options.timeout ?? this.timeouts[fnName] ?? this.timeouts.default;
+        const retries = options.retries ?? (API_IDEMPOTENT.includes(fnName) ? API_RETRY.attempts : 0);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._withTimeout(fnName, timeout, signal, (attemptSignal) =>
+                    this._submit(fnName, args, { onProgress, onQueue, signal: attemptSignal }));
+            } catch (error) {
+                const timedOut = error instanceof APITimeoutError && API_NO_TIMEOUT_RETRY.includes(fnName);
+                if (error.name === 'AbortError' || !error.retryable || timedOut || attempt >= retries) {
+                    throw error;
+                }
+                const delay = Math.min(API_RETRY.baseDelay * 2 ** attempt, API_RETRY.maxDelay);
+                console.warn(`${fnName} failed (${error.message}), retrying in ${delay} ms`);
+                await this._sleep(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * One attempt over the configured protocol
+     */
+    async _submit(fnName, args, options = {}) {
+        if (options.signal && options.signal.aborted) {
+            throw new DOMException('Request cancelled', 'AbortError');
+        }
 
         // Ensure connection is initialized
-        await this.checkConnection();
-        console.log('Connection check done, isConnected:', this.isConnected);
+        if (!await this.checkConnection()) {
+            throw new NetworkError('Cannot reach the backend');
+        }
+
+        if (this.protocol === 'rest') {
+            return this.rest.call(fnName, args, options);
+        }
+        return this._submitGradio5(fnName, args, options);
+    }
+
+    /**
+     * Gradio 5.x queue: join, then read the event stream until the job completes
+     */
+    async _submitGradio5(fnName, args, options = {}) {
+        const { onProgress, onQueue, signal } = options;
+
+        console.log('=== _submitGradio5 START ===');
+        console.log('Function name:', fnName);
+        console.log('Arguments:', args);
 
         // Step 1: Submit to queue
         const submitUrl = `${this.baseUrl}${this.apiPrefix}/queue/join`;
@@ -297,135 +772,284 @@ class API {
             fn_index: this._getFnIndex(fnName),
             session_hash: this.sessionHash
         };
-        console.log('Request body:', JSON.stringify(requestBody));
 
-        const submitResponse = await fetch(submitUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(requestBody)
-        });
+        let submitResponse;
+        try {
+            submitResponse = await fetch(submitUrl, {
+                method: 'POST',
+                headers: this.requestHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify(requestBody),
+                signal: signal
+            });
+        } catch (error) {
+            throw this._networkError(error);
+        }
 
         console.log('Submit response status:', submitResponse.status, submitResponse.statusText);
 
+        if (submitResponse.status === 404) {
+            console.log('Queue/join missing, falling back to legacy...');
+            // Fallback: try the old /api/predict endpoint
+            return await this._callGradioLegacy(fnName, args, signal);
+        }
+        if (submitResponse.status === 429 || submitResponse.status === 503) {
+            throw new QueueFullError();
+        }
         if (!submitResponse.ok) {
-            console.log('Queue/join failed, falling back to legacy...');
-            // Fallback: try the old /api/predict endpoint  
-            return await this._callGradioLegacy(fnName, args);
+            throw new NetworkError(`Queue join failed: HTTP ${submitResponse.status}`, submitResponse.status);
         }
 
         const submitResult = await submitResponse.json();
         console.log('Submit result:', submitResult);
-        const eventId = submitResult.event_id;
 
-        // Step 2: Poll for result using SSE or data endpoint
-        const resultUrl = `${this.baseUrl}${this.apiPrefix}/queue/data?session_hash=${this.sessionHash}`;
-
-        // Use EventSource if needed, but fetch usually works for polling if Gradio supports it
-        // Note: fetch for SSE needs careful handling. 
-        // Gradio 5 usually supports GET /queue/data?session_hash=... which returns an event stream
+        // Step 2: Wait for this event's messages on the shared session stream
+        return await this._awaitEvent(fnName, submitResult.event_id, { onProgress, onQueue, signal });
+    }
 
-        const resultResponse = await fetch(resultUrl);
+    /**
+     * Resolve with the output of one queued event, reporting progress and queue
+     * status along the way. Fires 'backendQueue' for every status change.
+     */
+    _awaitEvent(fnName, eventId, options = {}) {
+        const { onProgress, onQueue, signal } = options;
 
-        if (!resultResponse.ok) {
-            throw new Error(`Queue data error: ${resultResponse.status}`);
-        }
+        return new Promise((resolve, reject) => {
+            let partial = null;  // Latest process_generating output, diffs applied
+            let settled = false;
 
-        // Parse SSE response
-        const reader = resultResponse.body.getReader();
-        const decoder = new TextDecoder();
-        let result = null;
+            const reportQueue = (status) => {
+                const detail = { fnName: fnName, eventId: eventId, ...status };
+                if (onQueue) onQueue(detail);
+                document.dispatchEvent(new CustomEvent('backendQueue', { detail: detail }));
+            };
 
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
+            const settle = (error, result) => {
+                if (settled) return;
+                settled = true;
+                this.eventStream.unregister(eventId);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                reportQueue({ stage: 'done' });
+                if (error) reject(error);
+                else resolve(result);
+            };
 
-            const text = decoder.decode(value);
-            const lines = text.split('\n');
+            const onAbort = () => {
+                this._cancelJob(fnName, eventId);
+                settle(new DOMException('Request cancelled', 'AbortError'));
+            };
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
 
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    try {
-                        const data = JSON.parse(line.slice(6));
-                        if (data.msg === 'process_completed' && data.output) {
-                            result = data.output.data;
-                            reader.cancel();
-                            break;
+            const onMessage = (data) => {
+                switch (data.msg) {
+                    case 'estimation':
+                        reportQueue({
+                            stage: 'queued',
+                            position: data.rank,
+                            queueSize: data.queue_size,
+                            eta: data.rank_eta ?? null
+                        });
+                        break;
+                    case 'process_starts':
+                        reportQueue({ stage: 'running', eta: data.eta ?? null });
+                        break;
+                    case 'queue_full':
+                        settle(new QueueFullError());
+                        break;
+                    case 'unexpected_error':
+                        settle(new BackendError(data.message));
+                        break;
+                    case 'process_generating':
+                        if (data.output && data.output.data && onProgress) {
+                            // First message carries full values, later ones carry diffs
+                            partial = partial
+                                ? partial.map((previous, i) => this._applyDiff(previous, data.output.data[i]))
+                                : data.output.data;
+                            onProgress(partial);
                         }
-                    } catch (e) {
-                        // Continue parsing
-                    }
+                        break;
+                    case 'process_completed':
+                        if (data.success === false || !data.output || data.output.error) {
+                            settle(new BackendError(data.output && data.output.error));
+                        } else {
+                            this.isConnected = true;
+                            settle(null, data.output.data);
+                        }
+                        break;
                 }
+            };
+
+            const onError = (error) => settle(this._networkError(error));
+
+            this.eventStream.register(eventId, onMessage, onError);
+        });
+    }
+
+    /**
+     * Run fn with a signal that aborts on the caller's signal or after timeout ms.
+     * A timeout surfaces as APITimeoutError, a caller abort as AbortError.
+     */
+    async _withTimeout(fnName, timeout, signal, fn) {
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const onAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+
+        try {
+            return await fn(controller.signal);
+        } catch (error) {
+            if (timedOut && error.name === 'AbortError') {
+                throw new APITimeoutError(fnName, timeout);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
             }
+        }
+    }
 
-            if (result) break;
+    /**
+     * fetch() that reports transport failures and HTTP errors as NetworkError
+     */
+    async _fetch(url, init = {}, signal = null) {
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: signal });
+        } catch (error) {
+            throw this._networkError(error);
         }
+        if (!response.ok) {
+            throw new NetworkError(`Backend returned HTTP ${response.status}`, response.status);
+        }
+        return response;
+    }
+
+    _networkError(error) {
+        // Aborts are cancellations, not failures
+        if (error.name === 'AbortError' || error instanceof APIError) return error;
+        return new NetworkError(`Cannot reach the backend: ${error.message}`);
+    }
+
+    _sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request cancelled', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
 
-        if (!result) {
-            throw new Error('No result received from queue');
+    /**
+     * Apply a Gradio streaming diff (list of [action, path, value] ops) to a value
+     */
+    _applyDiff(value, diff) {
+        if (!Array.isArray(diff) || !diff.every(op => Array.isArray(op) && typeof op[0] === 'string')) {
+            return diff;  // Not a diff - a full replacement value
         }
 
-        this.isConnected = true;
-        return result;
+        let target = value;
+        diff.forEach(([action, path, opValue]) => {
+            if (path.length === 0) {
+                if (action === 'replace') target = opValue;
+                else if (action === 'append') target = target + opValue;
+                return;
+            }
+
+            let parent = target;
+            for (let i = 0; i < path.length - 1; i++) {
+                parent = parent[path[i]];
+            }
+            const key = path[path.length - 1];
+
+            switch (action) {
+                case 'replace':
+                    parent[key] = opValue;
+                    break;
+                case 'append':
+                    parent[key] += opValue;
+                    break;
+                case 'add':
+                    if (Array.isArray(parent)) parent.splice(key, 0, opValue);
+                    else parent[key] = opValue;
+                    break;
+                case 'delete':
+                    if (Array.isArray(parent)) parent.splice(key, 1);
+                    else delete parent[key];
+                    break;
+            }
+        });
+        return target;
+    }
+
+    /**
+     * Ask the backend to drop a queued or running job
+     */
+    async _cancelJob(fnName, eventId) {
+        try {
+            await fetch(`${this.baseUrl}${this.apiPrefix}/cancel`, {
+                method: 'POST',
+                headers: this.requestHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    fn_index: this._getFnIndex(fnName),
+                    session_hash: this.sessionHash,
+                    event_id: eventId
+                })
+            });
+        } catch (error) {
+            console.warn('Cancel request failed:', error);
+        }
     }
 
     /**
      * Legacy Gradio API call (fallback)
      */
-    async _callGradioLegacy(fnName, args) {
+    async _callGradioLegacy(fnName, args, signal = null) {
         const url = `${this.baseUrl}${this.apiPrefix}/api/predict`;
 
-        const response = await fetch(url, {
+        const response = await this._fetch(url, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
+            headers: this.requestHeaders({ 'Content-Type': 'application/json' }),
             body: JSON.stringify({
                 data: args,
                 fn_index: this._getFnIndex(fnName)
             })
-        });
-
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status} ${response.statusText}`);
-        }
+        }, signal);
 
         const result = await response.json();
+        if (result.error) {
+            throw new BackendError(result.error);
+        }
         this.isConnected = true;
 
         return result.data;
     }
 
     /**
-     * Get function index from name (maps to button click handlers)
+     * Resolve an api_name to the fn_index discovered from /config
      */
     _getFnIndex(fnName) {
-        // These indices correspond to the order of .click() handlers in app.py
-        const indexMap = {
-            'chat_to_code': 0,       // send_btn.click and msg_input.submit
-            'parse_parameters': 2,    // parse_btn.click
-            'generate_mesh': 3,       // generate_btn.click
-            'export_stl': 4,          // export_btn.click
-            'get_component_template': 5, // get_template_btn.click
-            'validate_code': 6,       // validate_btn.click
-            'auto_fix_code': 7        // fix_btn.click
-        };
-        return indexMap[fnName] ?? 0;
-    }
-
-    /**
-     * Check backend connection
-     */
-    async checkConnection() {
-        try {
-            const response = await fetch(`${this.baseUrl}/config`);
-            this.isConnected = response.ok;
-            return this.isConnected;
-        } catch (error) {
-            this.isConnected = false;
-            return false;
+        if (!(fnName in this.fnIndex)) {
+            throw new EndpointNotFoundError(fnName);
         }
+        return this.fnIndex[fnName];
     }
 
     /**
@@ -6,22 +6,48 @@
 class App {
     constructor() {
         this.currentParams = {};
+        this.currentParamSpecs = {};
+        this.presets = new PresetTable();  // Named parameter sets / design table rows
+        this.assembly = new Assembly();  // Parts in the scene; the active one is being edited
+        this.assembly.add();
+        this.exportScope = 'assembly';  // With several parts: export 'assembly' or the selected 'part'
+        this.namedViews = [];  // Saved camera views: { name, projection, position, target, zoom, height }
+        this.drawing = null;  // TechnicalDrawing shown in the drawing dialog
+        this.drawingSuffix = '';  // Part suffix for its file names
         this.currentCode = '';
+        this.projectName = 'Untitled';
+        this.autosaveTimer = null;  // For IndexedDB autosave
+        this.restorePending = null;  // Autosaved session awaiting restore/discard
+        this.editBatchTimer = null;  // Groups typing into one history entry
+        this.lastUserCode = null;  // Buffer as of the latest keystroke in the pending batch
         this.paramDebounceTimer = null;  // For auto-regeneration
+        this.meshControllers = new Map();  // Part id (null outside assemblies) -> AbortController of its in-flight generate_mesh
         this.autoRegenerate = true;  // Auto-regen toggle
+        this.problems = { validate: [], run: [], lint: [] };  // Diagnostics per source, shown in the Problems panel
+        this.lintTimer = null;  // Debounces the client-side checks while typing
+        this.paramSyncTimer = null;  // Debounces re-reading the parameters block while typing
 
         // Initialize components
         this._initComponents();
         this._setupEventListeners();
         this._checkBackendConnection();
+        this._offerSessionRestore();
     }
 
     _initComponents() {
         // Initialize viewer
         viewer = new Viewer('viewport-container');
+        viewCube = new ViewCube(viewer, 'view-cube');
+        this._configureBackend(API.loadSettings());
+        measureTool = new MeasureTool(viewer);
+        sectionTool = new SectionTool(viewer);
+        printAnalyzer = new PrintAnalyzer(viewer);
+        meshComparer = new MeshComparer(viewer);
+        massCalculator = new MassCalculator(viewer);
 
         // Initialize editor
         editor = new Editor('code-container');
+        codeReview = new CodeReview();
 
         // Initialize chat
         chat = new Chat();
@@ -42,6 +68,8 @@ class App {
             this._showToast('View reset', 'success');
         });
 
+        this._setupViewControls();
+
         document.getElementById('btn-wireframe').addEventListener('click', (e) => {
             const isWireframe = viewer.toggleWireframe();
             e.target.classList.toggle('active', isWireframe);
@@ -53,15 +81,81 @@ class App {
             e.target.classList.toggle('active', showGrid);
         });
 
+        document.getElementById('btn-measure').addEventListener('click', (e) => {
+            const panel = document.getElementById('measure-panel');
+            const open = panel.classList.toggle('active');
+            e.target.classList.toggle('active', open);
+            if (!open) {
+                this._setMeasureMode(null);
+            }
+        });
+
+        this._setupMeasureControls();
+
+        document.getElementById('btn-analysis').addEventListener('click', (e) => {
+            const panel = document.getElementById('analysis-panel');
+            const open = panel.classList.toggle('active');
+            e.target.classList.toggle('active', open);
+            if (!open) {
+                printAnalyzer.clear();
+            }
+        });
+
+        document.getElementById('btn-analysis-run').addEventListener('click', () => {
+            this._runAnalysis();
+        });
+
+        document.addEventListener('analysisChanged', (e) => {
+            this._renderAnalysisReport(e.detail.report);
+        });
+
+        document.getElementById('btn-compare').addEventListener('click', (e) => {
+            const panel = document.getElementById('compare-panel');
+            const open = panel.classList.toggle('active');
+            e.target.classList.toggle('active', open);
+            this._setCompareMode(open ? 'overlay' : null);
+        });
+
+        this._setupCompareControls();
+        this._setupMassControls();
+
         // Header actions
         document.getElementById('btn-library').addEventListener('click', () => {
             this._openLibraryModal();
         });
 
-        document.getElementById('btn-export').addEventListener('click', () => {
-            this._exportSTL();
+        document.getElementById('btn-save-project').addEventListener('click', () => {
+            this._saveProject();
+        });
+
+        document.getElementById('btn-open-project').addEventListener('click', () => {
+            document.getElementById('project-file-input').click();
+        });
+
+        document.getElementById('project-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this._openProjectFile(file);
+            }
+        });
+
+        document.getElementById('btn-export').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._toggleExportMenu();
+        });
+
+        document.addEventListener('click', () => {
+            document.getElementById('export-menu').classList.remove('active');
+            document.getElementById('views-menu').classList.remove('active');
+            document.getElementById('mass-menu').classList.remove('active');
+            document.getElementById('btn-mass').classList.remove('active');
         });
 
+        this._renderExportMenu();
+        this._setupDrawingControls();
+        this._setupPresetControls();
+
         // Code panel actions
         document.getElementById('btn-parse').addEventListener('click', () => {
             this._parseParameters();
@@ -71,6 +165,10 @@ class App {
             this._validateCode();
         });
 
+        document.getElementById('btn-autofix').addEventListener('click', () => {
+            this._autoFix();
+        });
+
         document.getElementById('btn-copy-code').addEventListener('click', () => {
             this._copyCode();
         });
@@ -87,6 +185,27 @@ class App {
             });
         }
 
+        // Backend settings
+        document.getElementById('btn-settings').addEventListener('click', () => {
+            this._openSettingsModal();
+        });
+
+        document.getElementById('settings-close').addEventListener('click', () => {
+            this._closeSettingsModal();
+        });
+
+        document.getElementById('btn-settings-cancel').addEventListener('click', () => {
+            this._closeSettingsModal();
+        });
+
+        document.getElementById('btn-settings-save').addEventListener('click', () => {
+            this._saveSettings();
+        });
+
+        document.getElementById('settings-protocol').addEventListener('change', (e) => {
+            this._updateSettingsForm(e.target.value);
+        });
+
         // Modal
         document.getElementById('modal-close').addEventListener('click', () => {
             this._closeLibraryModal();
@@ -107,47 +226,238 @@ class App {
             });
         });
 
+        // Queue position / ETA for mesh jobs while the spinner is up
+        document.addEventListener('backendQueue', (e) => {
+            if (e.detail.fnName === 'generate_mesh') {
+                this._updateQueueStatus(e.detail);
+            }
+        });
+
         // Listen for mesh generation events
-        document.addEventListener('generateMesh', (e) => {
-            this._generateMesh(e.detail.code);
+        document.addEventListener('generateMesh', async (e) => {
+            const { code, source, prompt } = e.detail;
+            await this._generateMesh(code);
+            if (source === 'chat') {
+                this._recordHistory(`AI: ${this._truncate(prompt, 40)}`, 'ai');
+            }
         });
 
         // Listen for code changes
         document.addEventListener('codeChanged', (e) => {
             this.currentCode = e.detail.code;
+            this._scheduleAutosave();
+            this._scheduleLint();
+            if (e.detail.source === 'user') {
+                this.lastUserCode = e.detail.code;
+                this._scheduleEditSnapshot();
+                this._scheduleParamSync();
+            } else {
+                // Close the typing batch before a programmatic replace lands in it
+                this._flushEditSnapshot();
+            }
+        });
+
+        // History baseline once Monaco has its initial buffer
+        document.addEventListener('editorReady', () => {
+            this._scheduleLint();
+            if (historyStack.entries.length === 0) {
+                this._recordHistory('Start', 'init');
+            }
+        });
+
+        document.addEventListener('historyChanged', () => this._renderHistory());
+
+        document.getElementById('btn-undo').addEventListener('click', () => this._undo());
+        document.getElementById('btn-redo').addEventListener('click', () => this._redo());
+
+        // App-level undo/redo; inside Monaco and form fields the native undo wins
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest('.monaco-editor, input, textarea')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this._undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this._redo();
+            }
+        });
+
+        // Persist chat turns along with the rest of the session
+        document.addEventListener('chatChanged', () => {
+            this._scheduleAutosave();
+        });
+
+        // Session restore prompt
+        document.getElementById('btn-restore-session').addEventListener('click', () => {
+            this._restoreAutosave();
+        });
+
+        document.getElementById('btn-discard-session').addEventListener('click', () => {
+            document.getElementById('modal-restore').classList.remove('active');
+            this.restorePending = null;
+            projectStore.remove(AUTOSAVE_KEY).catch(() => {});
         });
 
         // Transform controls
         this._setupTransformControls();
+        this._setupAssemblyControls();
+        this._setupSectionControls();
+    }
+
+    _setupSectionControls() {
+        document.querySelectorAll('[data-section]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const kind = btn.dataset.section;
+                if (sectionTool.planes.length >= SECTION_MAX_PLANES) {
+                    this._showToast(`At most ${SECTION_MAX_PLANES} section planes`, 'warning');
+                    return;
+                }
+
+                if (kind === 'face') {
+                    this._setMeasureMode(null);
+                    this._showToast('Click a face to place the section plane', 'info');
+                    sectionTool.startFacePick(() => this._renderSectionPlanes());
+                } else {
+                    sectionTool.addAxisPlane(kind);
+                    this._renderSectionPlanes();
+                }
+            });
+        });
+
+        document.addEventListener('meshChanged', () => this._renderSectionPlanes());
+    }
+
+    _renderSectionPlanes() {
+        const container = document.getElementById('section-planes');
+        container.innerHTML = '';
+
+        sectionTool.planes.forEach(section => {
+            const range = sectionTool.getRange(section.id);
+            const row = document.createElement('div');
+            row.className = 'transform-row section-row';
+            row.innerHTML = `
+                <span class="axis-label axis-${section.kind}">${section.kind === 'face' ? 'F' : section.kind.toUpperCase()}</span>
+                <input type="range" min="${range.min.toFixed(2)}" max="${range.max.toFixed(2)}"
+                    step="${((range.max - range.min) / 200).toFixed(3)}" value="${section.offset}">
+                <span class="axis-value">${section.offset.toFixed(1)}</span>
+                <button class="btn-icon btn-tiny" data-action="flip" title="Flip side">⇄</button>
+                <button class="btn-icon btn-tiny" data-action="remove" title="Remove plane">&times;</button>
+            `;
+
+            const slider = row.querySelector('input');
+            const valueDisplay = row.querySelector('.axis-value');
+            slider.addEventListener('input', () => {
+                const offset = parseFloat(slider.value);
+                valueDisplay.textContent = offset.toFixed(1);
+                sectionTool.setOffset(section.id, offset);
+            });
+
+            row.querySelector('[data-action="flip"]').addEventListener('click', () => {
+                sectionTool.flip(section.id);
+                this._renderSectionPlanes();
+            });
+
+            row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+                sectionTool.removePlane(section.id);
+                this._renderSectionPlanes();
+            });
+
+            container.appendChild(row);
+        });
     }
 
     _setupTransformControls() {
-        // Position sliders
-        ['x', 'y', 'z'].forEach(axis => {
-            const slider = document.getElementById(`pos-${axis}`);
-            const valueDisplay = document.getElementById(`pos-${axis}-val`);
+        const updates = {
+            pos: () => this._updatePosition(),
+            rot: () => this._updateRotation(),
+            scale: () => this._updateScale()
+        };
+
+        // Each slider has a number box beside it; the box takes values past the slider's range
+        for (const [kind, update] of Object.entries(updates)) {
+            ['x', 'y', 'z'].forEach(axis => {
+                const slider = document.getElementById(`${kind}-${axis}`);
+                const input = document.getElementById(`${kind}-${axis}-val`);
 
-            if (slider) {
                 slider.addEventListener('input', () => {
-                    const val = parseFloat(slider.value);
-                    valueDisplay.textContent = val;
-                    this._updatePosition();
+                    input.value = slider.value;
+                    update();
+                });
+
+                input.addEventListener('change', () => {
+                    const value = parseFloat(input.value);
+                    if (!Number.isFinite(value) || (kind === 'scale' && value <= 0)) {
+                        input.value = slider.value;
+                        return;
+                    }
+                    slider.value = value;
+                    update();
+                });
+            });
+        }
+
+        // Gizmo mode buttons; clicking the active one hides the gizmo
+        document.querySelectorAll('#gizmo-modes [data-gizmo]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this._setGizmoMode(viewer.gizmoMode === btn.dataset.gizmo ? null : btn.dataset.gizmo);
+            });
+        });
+
+        const snapInputs = ['snap-enabled', 'snap-translate', 'snap-rotate'].map(id => document.getElementById(id));
+        snapInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                viewer.setSnap({
+                    enabled: snapInputs[0].checked,
+                    translate: Math.max(parseFloat(snapInputs[1].value) || 0, 0),
+                    rotate: Math.max(parseFloat(snapInputs[2].value) || 0, 0)
                 });
+            });
+        });
+
+        document.getElementById('btn-drop-to-bed').addEventListener('click', () => {
+            if (!viewer.dropToBed()) this._showToast('No mesh to move', 'warning');
+        });
+
+        document.getElementById('btn-center-on-bed').addEventListener('click', () => {
+            if (!viewer.centerOnBed()) this._showToast('No mesh to move', 'warning');
+        });
+
+        document.getElementById('btn-align-face').addEventListener('click', () => this._toggleAlignFace());
+
+        // W / E / R switch gizmo modes, Escape hides it or cancels a face pick
+        document.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest('.monaco-editor, input, textarea, select')) return;
+
+            const modes = { w: 'translate', e: 'rotate', r: 'scale' };
+            const key = e.key.toLowerCase();
+            if (modes[key]) {
+                this._setGizmoMode(modes[key]);
+            } else if (key === 'escape') {
+                if (viewer.facePickCallback) {
+                    this._toggleAlignFace();
+                } else {
+                    this._setGizmoMode(null);
+                }
             }
         });
 
-        // Rotation sliders
-        ['x', 'y', 'z'].forEach(axis => {
-            const slider = document.getElementById(`rot-${axis}`);
-            const valueDisplay = document.getElementById(`rot-${axis}-val`);
+        // The gizmo and bed actions move the mesh; the panel follows
+        document.addEventListener('transformChanged', (e) => {
+            const { partId, position, rotation, scale } = e.detail;
+            const part = partId ? this.assembly.get(partId) : this.assembly.active;
+            if (!part) return;
 
-            if (slider) {
-                slider.addEventListener('input', () => {
-                    const val = parseFloat(slider.value);
-                    valueDisplay.textContent = val + '°';
-                    this._updateRotation();
-                });
+            Object.assign(part, { position: position, rotation: rotation, scale: scale });
+            if (part.id === this.assembly.activeId) {
+                this._setTransformSliders(position, rotation, scale);
             }
+            printAnalyzer.clear();
+            massCalculator.scheduleUpdate();
+            this._scheduleAutosave();
         });
 
         // Reset transform button
@@ -157,265 +467,1721 @@ class App {
         }
     }
 
-    _updatePosition() {
-        const x = parseFloat(document.getElementById('pos-x').value);
-        const y = parseFloat(document.getElementById('pos-y').value);
-        const z = parseFloat(document.getElementById('pos-z').value);
-        viewer.setPosition(x, y, z);
+    _setGizmoMode(mode) {
+        viewer.setGizmoMode(mode);
+        document.querySelectorAll('#gizmo-modes [data-gizmo]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.gizmo === mode);
+        });
     }
 
-    _updateRotation() {
-        const x = parseFloat(document.getElementById('rot-x').value);
-        const y = parseFloat(document.getElementById('rot-y').value);
-        const z = parseFloat(document.getElementById('rot-z').value);
-        viewer.setRotation(x, y, z);
+    _toggleAlignFace() {
+        const btn = document.getElementById('btn-align-face');
+        if (viewer.facePickCallback) {
+            viewer.cancelFacePick();
+            btn.classList.remove('active');
+            return;
+        }
+
+        // One click tool at a time
+        this._setMeasureMode(null);
+        sectionTool.cancelFacePick();
+
+        btn.classList.add('active');
+        this._showToast('Click the face that should rest on the bed', 'info');
+        viewer.pickFace(hit => {
+            btn.classList.remove('active');
+            viewer.alignFaceToBed(hit);
+        });
     }
 
-    _resetTransform() {
-        // Reset position
-        ['x', 'y', 'z'].forEach(axis => {
-            const slider = document.getElementById(`pos-${axis}`);
-            const valueDisplay = document.getElementById(`pos-${axis}-val`);
-            slider.value = 0;
-            valueDisplay.textContent = '0';
+    _setupViewControls() {
+        document.getElementById('btn-projection').addEventListener('click', (e) => {
+            const ortho = viewer.setProjection(viewer.projection === 'orthographic' ? 'perspective' : 'orthographic') === 'orthographic';
+            e.target.classList.toggle('active', ortho);
+            this._showToast(ortho ? 'Orthographic view' : 'Perspective view', 'success');
         });
 
-        // Reset rotation
-        ['x', 'y', 'z'].forEach(axis => {
-            const slider = document.getElementById(`rot-${axis}`);
-            const valueDisplay = document.getElementById(`rot-${axis}-val`);
-            slider.value = 0;
-            valueDisplay.textContent = '0°';
+        document.getElementById('btn-zoom-selection').addEventListener('click', () => {
+            if (!viewer.zoomToSelection()) {
+                this._showToast('Nothing to zoom to', 'warning');
+            }
         });
 
-        viewer.setPosition(0, 0, 0);
-        viewer.setRotation(0, 0, 0);
-        this._showToast('Transform reset', 'success');
+        document.getElementById('btn-views').addEventListener('click', (e) => {
+            e.stopPropagation();
+            document.getElementById('export-menu').classList.remove('active');
+            document.getElementById('views-menu').classList.toggle('active');
+        });
+
+        // Keep the menu open while typing a view name
+        document.getElementById('views-menu').addEventListener('click', (e) => e.stopPropagation());
+
+        this._renderViewsMenu();
     }
 
-    async _checkBackendConnection() {
-        const connected = await api.checkConnection();
-        if (!connected) {
-            this._showToast('Backend not connected - using offline mode', 'warning');
-        } else {
-            this._updateViewportInfo('Connected to backend');
+    _renderViewsMenu() {
+        const menu = document.getElementById('views-menu');
+        menu.innerHTML = '';
+
+        const addItem = (label, onClick) => {
+            const item = document.createElement('button');
+            item.className = 'dropdown-item';
+            item.textContent = label;
+            item.addEventListener('click', () => {
+                menu.classList.remove('active');
+                onClick();
+            });
+            return item;
+        };
+
+        for (const [name, preset] of Object.entries(VIEW_PRESETS)) {
+            menu.appendChild(addItem(preset.label, () => viewer.setView(name)));
         }
-    }
 
-    _switchTab(tabName) {
-        // Update tab buttons
-        document.querySelectorAll('.tab').forEach(t => {
-            t.classList.toggle('active', t.dataset.tab === tabName);
-        });
+        if (this.namedViews.length > 0) {
+            const heading = document.createElement('div');
+            heading.className = 'dropdown-label';
+            heading.textContent = 'Saved views';
+            menu.appendChild(heading);
+        }
 
-        // Update tab content
-        document.querySelectorAll('.tab-content').forEach(c => {
-            c.classList.toggle('active', c.id === `tab-${tabName}`);
+        this.namedViews.forEach(view => {
+            const row = document.createElement('div');
+            row.className = 'view-item';
+            row.appendChild(addItem(view.name, () => this._restoreView(view)));
+
+            const remove = document.createElement('button');
+            remove.className = 'view-delete';
+            remove.title = 'Delete view';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => this._deleteView(view.name));
+            row.appendChild(remove);
+            menu.appendChild(row);
         });
 
-        // Trigger editor layout if switching to code tab
-        if (tabName === 'code' && editor) {
-            editor.layout();
-        }
+        const save = document.createElement('div');
+        save.className = 'view-save';
+        save.innerHTML = `
+            <input type="text" class="preset-name" placeholder="View name">
+            <button class="btn btn-secondary btn-small">Save</button>
+        `;
+        const input = save.querySelector('input');
+        const submit = () => this._saveView(input.value);
+        save.querySelector('button').addEventListener('click', submit);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submit();
+        });
+        menu.appendChild(save);
     }
 
-    async _generateMesh(code = null) {
-        const codeToUse = code || (editor ? editor.getCode() : '');
-        if (!codeToUse) {
-            this._showToast('No code to execute', 'error');
+    /**
+     * Store the current camera under a name, replacing a view of the same name
+     */
+    _saveView(name) {
+        name = String(name || '').trim();
+        if (!name) {
+            this._showToast('Enter a view name', 'warning');
             return;
         }
 
-        this._showLoading(true);
-        this._updateViewportInfo('Generating mesh...');
-
-        try {
-            const result = await api.generateMesh(codeToUse, this.currentParams);
+        const view = { name: name, ...viewer.getCameraState() };
+        const index = this.namedViews.findIndex(v => v.name === name);
+        if (index >= 0) {
+            this.namedViews[index] = view;
+        } else {
+            this.namedViews.push(view);
+        }
 
-            this._showLoading(false);
+        this._renderViewsMenu();
+        this._scheduleAutosave();
+        this._showToast(`View saved: ${name}`, 'success');
+    }
 
-            if (result.success && result.meshUrl) {
-                await viewer.loadGLB(result.meshUrl);
-                this._updateViewportInfo(result.meshInfo);
-                this._showToast('Mesh generated!', 'success');
+    _restoreView(view) {
+        viewer.setCameraState(view);
+        document.getElementById('btn-projection').classList.toggle('active', viewer.projection === 'orthographic');
+    }
 
-                // Parse parameters for the UI
-                this._parseParameters();
-            } else {
-                this._updateViewportInfo(result.status || 'Generation failed');
-                this._showToast(result.error || 'Mesh generation failed', 'error');
-            }
-        } catch (error) {
-            this._showLoading(false);
-            this._updateViewportInfo('Error');
-            this._showToast(`Error: ${error.message}`, 'error');
-        }
+    _deleteView(name) {
+        this.namedViews = this.namedViews.filter(view => view.name !== name);
+        this._renderViewsMenu();
+        this._scheduleAutosave();
     }
 
-    async _parseParameters() {
-        const code = editor ? editor.getCode() : '';
-        if (!code) return;
+    _setupMeasureControls() {
+        const modes = document.getElementById('measure-modes');
 
-        try {
-            const result = await api.parseParameters(code);
+        for (const [mode, spec] of Object.entries(MEASURE_MODES)) {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-secondary btn-small';
+            btn.dataset.mode = mode;
+            btn.textContent = spec.label;
+            btn.addEventListener('click', () => {
+                this._setMeasureMode(measureTool.mode === mode ? null : mode);
+            });
+            modes.appendChild(btn);
+        }
+
+        document.getElementById('btn-measure-clear').addEventListener('click', () => {
+            measureTool.clear();
+        });
 
-            if (result.success && Object.keys(result.params).length > 0) {
-                this.currentParams = this._getDefaultParamValues(result.params);
-                this._renderParameters(result.params);
+        document.getElementById('btn-measure-export').addEventListener('click', () => {
+            if (measureTool.measurements.length === 0) {
+                this._showToast('No measurements to export', 'warning');
+                return;
             }
-        } catch (error) {
-            console.error('Parse error:', error);
-        }
+            const blob = new Blob([measureTool.toCSV()], { type: 'text/csv' });
+            this._downloadBlob(blob, `${this._getExportBaseName()}_measurements.csv`);
+        });
+
+        document.addEventListener('measurementsChanged', () => this._renderMeasurements());
+
+        document.addEventListener('measureMessage', (e) => {
+            this._showToast(e.detail.message, 'warning');
+        });
     }
 
-    _getDefaultParamValues(params) {
-        const values = {};
-        for (const [key, spec] of Object.entries(params)) {
-            if (Array.isArray(spec) && spec.length >= 1) {
-                values[key] = spec[0];
-            } else {
-                values[key] = spec;
-            }
+    _setMeasureMode(mode) {
+        if (mode) {
+            sectionTool.cancelFacePick();
         }
-        return values;
-    }
+        const active = measureTool.setMode(mode);
 
-    _renderParameters(params) {
-        const container = document.getElementById('params-container');
-        container.innerHTML = '';
+        document.querySelectorAll('#measure-modes .btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === active);
+        });
+        document.getElementById('measure-hint').textContent =
+            active ? MEASURE_MODES[active].hint : 'Choose a measurement mode';
+    }
 
-        for (const [key, spec] of Object.entries(params)) {
-            const [defaultVal, minVal, maxVal] = Array.isArray(spec) ? spec : [spec, 0, spec * 2];
-
-            const group = document.createElement('div');
-            group.className = 'param-group';
-
-            group.innerHTML = `
-                <div class="param-label">
-                    <span>${this._formatParamName(key)}</span>
-                    <span class="param-value" id="value-${key}">${defaultVal}</span>
-                </div>
-                <input 
-                    type="range" 
-                    class="param-slider" 
-                    id="param-${key}"
-                    min="${minVal}" 
-                    max="${maxVal}" 
-                    value="${defaultVal}"
-                    step="${(maxVal - minVal) / 100}"
-                >
+    _renderMeasurements() {
+        const list = document.getElementById('measure-list');
+        list.innerHTML = '';
+
+        measureTool.measurements.forEach(measurement => {
+            const item = document.createElement('li');
+            item.className = 'measure-item';
+            item.title = measurement.detail || '';
+            item.innerHTML = `
+                <span class="measure-type">${MEASURE_MODES[measurement.type].label}</span>
+                <span class="measure-value">${measureTool.formatValue(measurement)}</span>
+                <button class="measure-remove" title="Remove">&times;</button>
             `;
+            item.querySelector('.measure-remove').addEventListener('click', () => {
+                measureTool.remove(measurement.id);
+            });
+            list.appendChild(item);
+        });
+    }
 
-            container.appendChild(group);
+    _runAnalysis() {
+        if (!viewer.currentMesh) {
+            this._showToast('No mesh to analyze', 'error');
+            return;
+        }
 
-            // Add event listener
-            const slider = group.querySelector(`#param-${key}`);
-            const valueDisplay = group.querySelector(`#value-${key}`);
+        const overhangAngle = parseFloat(document.getElementById('analysis-overhang').value);
+        const nozzleWidth = parseFloat(document.getElementById('analysis-nozzle').value);
 
-            slider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                valueDisplay.textContent = value.toFixed(2);
-                this.currentParams[key] = value;
+        const report = printAnalyzer.analyze({
+            overhangAngle: Number.isFinite(overhangAngle) ? overhangAngle : ANALYSIS_DEFAULTS.overhangAngle,
+            nozzleWidth: Number.isFinite(nozzleWidth) ? nozzleWidth : ANALYSIS_DEFAULTS.nozzleWidth
+        });
 
-                // Auto-regenerate with debounce
-                if (this.autoRegenerate) {
-                    this._debouncedRegenerate();
-                }
-            });
+        if (report) {
+            this._updateViewportInfo(printAnalyzer.summarize(report));
         }
     }
 
-    _debouncedRegenerate() {
-        // Clear previous timer
-        if (this.paramDebounceTimer) {
-            clearTimeout(this.paramDebounceTimer);
+    _renderAnalysisReport(report) {
+        const list = document.getElementById('analysis-report');
+        list.innerHTML = '';
+        if (!report) return;
+
+        const rows = [
+            ['Faces', report.faceCount, true],
+            ['Overhang faces', `${report.overhangFaces} (${report.overhangArea.toFixed(1)} mm²)`, report.overhangFaces === 0],
+            ['Thin-wall faces', report.minThickness !== null
+                ? `${report.thinFaces} (min ${report.minThickness.toFixed(2)} mm)` : '0', report.thinFaces === 0],
+            ['Open edges', report.openEdges.length, report.openEdges.length === 0],
+            ['Non-manifold edges', report.nonManifoldEdges.length, report.nonManifoldEdges.length === 0],
+            ['Shells', report.shells, report.shells === 1],
+            ['Floating shells', report.floatingShells, report.floatingShells === 0]
+        ];
+
+        rows.forEach(([label, value, ok]) => {
+            const item = document.createElement('li');
+            item.className = `analysis-item ${ok ? 'ok' : 'issue'}`;
+            item.innerHTML = `<span>${label}</span><span class="analysis-value">${value}</span>`;
+            list.appendChild(item);
+        });
+    }
+
+    _setupCompareControls() {
+        const modes = document.getElementById('compare-modes');
+
+        for (const [mode, spec] of Object.entries(COMPARE_MODES)) {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-secondary btn-small';
+            btn.dataset.mode = mode;
+            btn.textContent = spec.label;
+            btn.addEventListener('click', () => this._setCompareMode(mode));
+            modes.appendChild(btn);
         }
 
-        // Set new timer (500ms delay)
-        this.paramDebounceTimer = setTimeout(() => {
-            this._regenerateMesh();
-        }, 500);
+        document.addEventListener('comparisonChanged', (e) => {
+            this._renderComparison(e.detail.mode, e.detail.report, e.detail.pending);
+        });
     }
 
-    _formatParamName(name) {
-        return name
-            .replace(/_/g, ' ')
-            .replace(/\b\w/g, l => l.toUpperCase());
+    _setCompareMode(mode) {
+        const active = meshComparer.setMode(mode);
+        document.querySelectorAll('#compare-modes .btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === active);
+        });
     }
 
-    async _regenerateMesh() {
-        const code = editor ? editor.getCode() : '';
-        await this._generateMesh(code);
+    _renderComparison(mode, report, pending = false) {
+        const list = document.getElementById('compare-report');
+        list.innerHTML = '';
+        document.getElementById('compare-hint').textContent = !report
+            ? 'Regenerate to compare with the previous mesh'
+            : pending ? 'Measuring distances...' : COMPARE_MODES[mode].hint;
+
+        const legend = meshComparer.legend(report);
+        document.getElementById('compare-legend').classList.toggle('active', legend !== null);
+        if (!report) return;
+
+        const signed = (value, digits = 2) => `${value > 0 ? '+' : value < 0 ? '−' : ''}${Math.abs(value).toFixed(digits)}`;
+        const { volume, size, range } = report;
+        const volumeDelta = volume.after - volume.before;
+        const percent = volume.before > 0 ? ` (${signed(volumeDelta / volume.before * 100, 1)}%)` : '';
+        const rows = [
+            ['Volume', `${volume.after.toFixed(2)} mm³`],
+            ['Δ Volume', `${signed(volumeDelta)} mm³${percent}`],
+            ['Size', `${size.after.x.toFixed(2)} × ${size.after.y.toFixed(2)} × ${size.after.z.toFixed(2)}`],
+            ['Δ Size', ['x', 'y', 'z'].map(axis => signed(size.after[axis] - size.before[axis])).join(' × ')]
+        ];
+        if (range) {
+            rows.push(
+                ['Max outward', `${signed(range.max, 3)} mm`],
+                ['Max inward', `${signed(range.min, 3)} mm`],
+                ['Mean deviation', `${range.mean.toFixed(3)} mm`]
+            );
+        }
+
+        rows.forEach(([label, value]) => {
+            const item = document.createElement('li');
+            item.className = 'analysis-item';
+            item.innerHTML = `<span>${label}</span><span class="analysis-value">${value}</span>`;
+            list.appendChild(item);
+        });
+
+        if (legend) {
+            document.getElementById('compare-legend-min').textContent = signed(legend.min, 3);
+            document.getElementById('compare-legend-max').textContent = signed(legend.max, 3);
+        }
     }
 
-    async _validateCode() {
-        const code = editor ? editor.getCode() : '';
-        if (!code) return;
+    _setupMassControls() {
+        const material = document.getElementById('mass-material');
+        for (const [key, spec] of Object.entries(MASS_MATERIALS)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${spec.label} (${spec.density} g/cm³)`;
+            material.appendChild(option);
+        }
 
-        try {
-            const result = await api.validateCode(code);
+        document.getElementById('btn-mass').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const open = document.getElementById('mass-menu').classList.toggle('active');
+            e.target.classList.toggle('active', open);
+        });
 
-            if (result.success) {
-                if (result.isValid) {
-                    editor.clearMarkers();
-                    this._showToast(result.message, 'success');
-                } else {
-                    this._showToast(result.message, 'error');
-                }
+        // Keep the menu open while editing settings
+        document.getElementById('mass-menu').addEventListener('click', (e) => e.stopPropagation());
 
-                if (result.warnings && result.warnings.length > 0) {
-                    result.warnings.forEach((warning, i) => {
-                        editor.setWarning(1, warning);
-                    });
+        material.addEventListener('change', () => {
+            massCalculator.setSettings({ material: material.value });
+        });
+
+        const number = (id, apply) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value) && value >= 0) {
+                    apply(value);
+                } else {
+                    this._renderMassProperties();
                 }
-            }
-        } catch (error) {
-            this._showToast(`Validation error: ${error.message}`, 'error');
-        }
+            });
+        };
+        number('mass-infill', value => massCalculator.setSettings({ infill: Math.min(value, 100) }));
+        number('mass-walls', value => massCalculator.setSettings({ walls: Math.round(value) }));
+        number('mass-cost', value => massCalculator.setSettings({
+            costs: { ...massCalculator.settings.costs, [massCalculator.settings.material]: value }
+        }));
+
+        document.addEventListener('massChanged', () => this._renderMassProperties());
+        massCalculator.update();
     }
 
-    _copyCode() {
-        const code = editor ? editor.getCode() : '';
-        navigator.clipboard.writeText(code).then(() => {
-            this._showToast('Code copied to clipboard', 'success');
-        }).catch(() => {
-            this._showToast('Failed to copy', 'error');
+    /**
+     * Summary beside the viewport info, details and settings in its menu
+     */
+    _renderMassProperties() {
+        const { settings } = massCalculator;
+        const properties = massCalculator.properties;
+        const estimate = massCalculator.estimate();
+        const printable = MASS_MATERIALS[settings.material].filament;
+
+        document.getElementById('btn-mass').textContent = massCalculator.summarize();
+        document.getElementById('mass-material').value = settings.material;
+        document.getElementById('mass-infill').value = settings.infill;
+        document.getElementById('mass-walls').value = settings.walls;
+        document.getElementById('mass-cost').value = massCalculator.costPerKg();
+        ['mass-infill', 'mass-walls', 'mass-cost'].forEach(id => {
+            document.getElementById(id).disabled = !printable;
         });
-    }
 
-    async _exportSTL() {
-        const code = editor ? editor.getCode() : '';
-        if (!code) {
-            this._showToast('No code to export', 'error');
-            return;
+        const list = document.getElementById('mass-report');
+        list.innerHTML = '';
+        if (!properties) return;
+
+        const scalar = value => (Math.abs(value) >= 1e5 ? value.toExponential(2) : value.toFixed(1));
+        const { center } = properties;
+        const [[ixx, ixy, izx], [, iyy, iyz], [, , izz]] = estimate.inertia;
+        const rows = [
+            ['Volume', `${(properties.volume / 1000).toFixed(3)} cm³`],
+            ['Surface area', `${(properties.area / 100).toFixed(2)} cm²`],
+            ['Center of mass', `${center.x.toFixed(2)}, ${center.y.toFixed(2)}, ${center.z.toFixed(2)}`],
+            ['Ixx / Iyy / Izz', `${scalar(ixx)} / ${scalar(iyy)} / ${scalar(izz)}`],
+            ['Ixy / Iyz / Izx', `${scalar(ixy)} / ${scalar(iyz)} / ${scalar(izx)}`],
+            ['Weight (solid)', `${estimate.weight.toFixed(1)} g`]
+        ];
+        if (estimate.print) {
+            rows.push(
+                ['Printed weight', `${estimate.print.weight.toFixed(1)} g`],
+                ['Filament', `${estimate.print.length.toFixed(2)} m`],
+                ['Cost', estimate.print.cost.toFixed(2)]
+            );
         }
 
-        this._showToast('Generating STL...', 'info');
+        rows.forEach(([label, value]) => {
+            const item = document.createElement('li');
+            item.className = 'analysis-item';
+            item.innerHTML = `<span>${label}</span><span class="analysis-value">${value}</span>`;
+            list.appendChild(item);
+        });
 
-        try {
-            const result = await api.exportSTL(code, this.currentParams);
+        const note = document.createElement('li');
+        note.className = 'mass-note';
+        note.textContent = 'Inertia about the center of mass in g·mm², viewer axes';
+        list.appendChild(note);
+    }
 
-            if (result.success && result.fileUrl) {
-                await api.downloadFile(result.fileUrl, 'model.stl');
-                this._showToast('STL downloaded!', 'success');
-            } else {
-                this._showToast(result.error || 'Export failed', 'error');
-            }
-        } catch (error) {
-            this._showToast(`Export error: ${error.message}`, 'error');
-        }
+    _updatePosition() {
+        this.assembly.active.position = this._readTransformInputs('pos');
+        this._applyActiveTransform();
     }
 
-    _openLibraryModal() {
-        document.getElementById('modal-library').classList.add('active');
-        this._loadLibraryCategory('fasteners');
+    _updateRotation() {
+        this.assembly.active.rotation = this._readTransformInputs('rot');
+        this._applyActiveTransform();
     }
 
-    _closeLibraryModal() {
-        document.getElementById('modal-library').classList.remove('active');
+    _updateScale() {
+        this.assembly.active.scale = this._readTransformInputs('scale');
+        this._applyActiveTransform();
     }
 
-    _loadLibraryCategory(category) {
+    _readTransformInputs(kind) {
+        const value = axis => parseFloat(document.getElementById(`${kind}-${axis}-val`).value);
+        return { x: value('x'), y: value('y'), z: value('z') };
+    }
+
+    /**
+     * Push the active part's transform to the viewer
+     */
+    _applyActiveTransform() {
+        const { id, position, rotation, scale } = this.assembly.active;
+        if (this.assembly.size > 1) {
+            viewer.setPartTransform(id, position, rotation, scale);
+        } else {
+            viewer.setPosition(position.x, position.y, position.z);
+            viewer.setRotation(rotation.x, rotation.y, rotation.z);
+            viewer.setScale(scale.x, scale.y, scale.z);
+        }
+        printAnalyzer.clear();
+        massCalculator.scheduleUpdate();
+        this._scheduleAutosave();
+    }
+
+    _resetTransform() {
+        const part = this.assembly.active;
+        part.position = { x: 0, y: 0, z: 0 };
+        part.rotation = { x: 0, y: 0, z: 0 };
+        part.scale = { x: 1, y: 1, z: 1 };
+        this._setTransformSliders(part.position, part.rotation, part.scale);
+        this._applyActiveTransform();
+        this._showToast('Transform reset', 'success');
+    }
+
+    _setTransformSliders(position, rotation, scale = { x: 1, y: 1, z: 1 }) {
+        const values = { pos: position, rot: rotation, scale: scale };
+        for (const [kind, value] of Object.entries(values)) {
+            ['x', 'y', 'z'].forEach(axis => {
+                document.getElementById(`${kind}-${axis}`).value = value[axis];
+                document.getElementById(`${kind}-${axis}-val`).value = value[axis];
+            });
+        }
+    }
+
+    _setupAssemblyControls() {
+        document.getElementById('btn-part-add').addEventListener('click', () => this._addPart());
+        document.getElementById('btn-part-duplicate').addEventListener('click', () => this._duplicatePart(this.assembly.activeId));
+        document.getElementById('btn-part-fit').addEventListener('click', () => viewer.fitAll());
+        this._renderSceneTree();
+    }
+
+    _renderSceneTree() {
+        const list = document.getElementById('scene-tree');
+        list.innerHTML = '';
+        const multiple = this.assembly.size > 1;
+
+        this.assembly.parts.forEach(part => {
+            const item = document.createElement('li');
+            item.className = 'scene-item';
+            item.classList.toggle('active', part.id === this.assembly.activeId);
+            item.classList.toggle('hidden', !part.visible);
+            item.innerHTML = `
+                <span class="scene-swatch"></span>
+                <span class="scene-name"></span>
+                <button data-action="visible" title="Show / hide">${part.visible ? '👁' : '–'}</button>
+                <button data-action="isolate" title="Show only this part">◎</button>
+                <button data-action="rename" title="Rename">✎</button>
+                <button data-action="remove" title="Delete part">✕</button>
+            `;
+            item.querySelector('.scene-swatch').style.background = `#${part.color.toString(16).padStart(6, '0')}`;
+            item.querySelector('.scene-name').textContent = part.name;
+            item.querySelector('[data-action="isolate"]').classList.toggle('on', viewer.isolatedPartId === part.id);
+
+            // Hiding, isolating and deleting only make sense with more than one part
+            ['visible', 'isolate', 'remove'].forEach(action => {
+                item.querySelector(`[data-action="${action}"]`).hidden = !multiple;
+            });
+
+            item.addEventListener('click', () => this._selectPart(part.id));
+            item.querySelector('.scene-name').addEventListener('dblclick', () => this._renamePart(part.id, item));
+            item.querySelectorAll('button').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const action = btn.dataset.action;
+                    if (action === 'visible') this._togglePartVisible(part.id);
+                    if (action === 'isolate') this._isolatePart(part.id);
+                    if (action === 'rename') this._renamePart(part.id, item);
+                    if (action === 'remove') this._removePart(part.id);
+                });
+            });
+            list.appendChild(item);
+        });
+
+        document.getElementById('btn-part-fit').disabled = !multiple;
+    }
+
+    /**
+     * Copy the editor, parameters and presets into the active part
+     */
+    _storeActivePart() {
+        const part = this.assembly.active;
+        part.code = editor ? editor.getCode() : this.currentCode;
+        part.paramSpecs = this.currentParamSpecs;
+        part.params = { ...this.currentParams };
+        part.presets = this.presets.toArray();
+    }
+
+    /**
+     * Show the active part in the editor, Parameters panel and transform sliders
+     */
+    _loadActivePart() {
+        const part = this.assembly.active;
+        this.currentCode = part.code;
+        this.currentParamSpecs = part.paramSpecs;
+        this.currentParams = { ...this._getDefaultParamValues(part.paramSpecs), ...part.params };
+        this.presets = new PresetTable(part.presets);
+        this._renderPresets();
+
+        editor.setCode(part.code);
+        if (Object.keys(part.paramSpecs).length > 0) {
+            this._renderParameters(part.paramSpecs, this.currentParams);
+        } else {
+            document.getElementById('params-container').innerHTML = '';
+        }
+
+        this._setTransformSliders(part.position, part.rotation, part.scale);
+        viewer.selectPart(this.assembly.size > 1 ? part.id : null);
+        this._setProblems('validate', []);
+        this._setProblems('run', []);
+        this._renderSceneTree();
+    }
+
+    _selectPart(id) {
+        if (id === this.assembly.activeId || !this.assembly.get(id)) return;
+
+        // A pending typing batch belongs to the part being left
+        this._flushEditSnapshot();
+        this._storeActivePart();
+        this.assembly.activeId = id;
+        this._loadActivePart();
+    }
+
+    /**
+     * Turn the single mesh into part 1 of an assembly
+     */
+    _enterAssembly() {
+        if (viewer.isAssembly()) return;
+
+        const part = this.assembly.active;
+        part.position = { ...viewer.getPosition() };
+        part.rotation = { ...viewer.getRotation() };
+        part.scale = { ...viewer.getScale() };
+        part.placed = viewer.currentMesh !== null;
+        viewer.enterAssembly(part.id);
+        this._renderExportMenu();
+    }
+
+    async _addPart() {
+        this._enterAssembly();
+        const part = this.assembly.add({ code: editor._getDefaultCode() });
+        this._selectPart(part.id);
+        this._recordHistory(`Add ${part.name}`, 'component');
+        this._scheduleAutosave();
+        await this._generateMesh(part.code);
+    }
+
+    async _duplicatePart(id) {
+        this._storeActivePart();
+        this._enterAssembly();
+        const part = this.assembly.duplicate(id);
+        if (!part) return;
+
+        this._selectPart(part.id);
+        this._recordHistory(`Duplicate ${this.assembly.get(id).name}`, 'component');
+        this._scheduleAutosave();
+        await this._generateMesh(part.code, { reparse: false });
+    }
+
+    _removePart(id) {
+        const part = this.assembly.get(id);
+        if (!part || this.assembly.size < 2) return;
+
+        if (!confirm(`Delete ${part.name}?`)) return;
+
+        this._flushEditSnapshot();
+        this._storeActivePart();
+        viewer.removePart(id);
+        this.assembly.remove(id);
+
+        if (this.assembly.size === 1) {
+            // Back to the plain single-part scene
+            viewer.exitAssembly(this.assembly.active.id);
+            this._renderExportMenu();
+        }
+        this._loadActivePart();
+        this._scheduleAutosave();
+        this._showToast(`Deleted ${part.name}`, 'info');
+    }
+
+    _renamePart(id, item) {
+        const part = this.assembly.get(id);
+        const label = item.querySelector('.scene-name');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'scene-rename';
+        input.value = part.name;
+        label.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save) {
+                this.assembly.rename(id, input.value);
+                this._scheduleAutosave();
+            }
+            this._renderSceneTree();
+        };
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+    }
+
+    _togglePartVisible(id) {
+        const part = this.assembly.get(id);
+        part.visible = !part.visible;
+        viewer.setPartVisible(id, part.visible);
+        this._renderSceneTree();
+        this._scheduleAutosave();
+    }
+
+    _isolatePart(id) {
+        viewer.isolatePart(viewer.isolatedPartId === id ? null : id);
+        this._renderSceneTree();
+    }
+
+    async _checkBackendConnection() {
+        if (api.protocol === 'local') {
+            this._updateViewportInfo('Offline: running scripts locally');
+            return;
+        }
+
+        const connected = await api.checkConnection();
+        if (!connected) {
+            // Run scripts in the browser; chat and the component library stay unavailable
+            api.setMode('local');
+            this._updateViewportInfo('Offline: running scripts locally');
+            this._showToast('Backend not connected - running scripts locally', 'warning');
+        } else {
+            api.setMode('remote');
+            this._updateViewportInfo(`Connected to ${new URL(api.baseUrl).host}`);
+        }
+    }
+
+    _switchTab(tabName) {
+        // Update tab buttons
+        document.querySelectorAll('.tab').forEach(t => {
+            t.classList.toggle('active', t.dataset.tab === tabName);
+        });
+
+        // Update tab content
+        document.querySelectorAll('.tab-content').forEach(c => {
+            c.classList.toggle('active', c.id === `tab-${tabName}`);
+        });
+
+        // Trigger editor layout if switching to code tab
+        if (tabName === 'code' && editor) {
+            editor.layout();
+        }
+    }
+
+    /**
+     * Run the code and show the mesh. In an assembly the result replaces
+     * options.part (default: the active part); other parts use their own
+     * stored parameters.
+     */
+    async _generateMesh(code = null, options = {}) {
+        const { reparse = true } = options;
+        const part = this.assembly.size > 1 ? options.part || this.assembly.active : null;
+        const isActive = !part || part.id === this.assembly.activeId;
+        const params = isActive ? this.currentParams : part.params;
+        const codeToUse = code || (editor ? editor.getCode() : '');
+        if (!codeToUse) {
+            this._showToast('No code to execute', 'error');
+            return;
+        }
+
+        // Latest wins per part; a whole-viewport job supersedes every other
+        const key = part ? part.id : null;
+        const superseded = part ? [key, null] : [...this.meshControllers.keys()];
+        superseded.forEach(id => {
+            const previous = this.meshControllers.get(id);
+            if (previous) {
+                previous.abort();
+                this.meshControllers.delete(id);
+            }
+        });
+        const controller = new AbortController();
+        this.meshControllers.set(key, controller);
+        const paramsUsed = JSON.stringify(params);
+
+        this._showLoading(true);
+        this._updateViewportInfo(part ? `Generating ${part.name}...` : 'Generating mesh...');
+
+        try {
+            const result = await api.generateMesh(codeToUse, params, { signal: controller.signal });
+
+            // A newer request for this part owns it now, so drop this result
+            if (this.meshControllers.get(key) !== controller) {
+                return false;
+            }
+            this.meshControllers.delete(key);
+            this._showLoading(this.meshControllers.size > 0);
+
+            if (result.success && (result.meshUrl || result.mesh)) {
+                if (isActive) {
+                    this._setProblems('run', []);
+                }
+
+                if (part) {
+                    // The part may have been deleted while its job ran
+                    if (this.assembly.get(part.id) !== part || !viewer.isAssembly()) return false;
+                    const loaded = await viewer.loadPartResult(part.id, result, {
+                        position: part.position,
+                        rotation: part.rotation,
+                        scale: part.scale,
+                        color: part.color,
+                        place: !part.placed
+                    });
+                    if (!part.placed) {
+                        part.placed = true;
+                        part.position = loaded.position;
+                        if (isActive) this._setTransformSliders(part.position, part.rotation, part.scale);
+                    }
+                    this._updateViewportInfo(`${part.name}: ${result.meshInfo}`);
+                } else {
+                    await viewer.loadResult(result);
+                    this._updateViewportInfo(result.meshInfo);
+                }
+                this._showToast('Mesh generated!', 'success');
+
+                // Parameters moved while this job ran (e.g. auto-regenerate off)
+                if (isActive && JSON.stringify(this.currentParams) !== paramsUsed) {
+                    this._markMeshStale();
+                }
+
+                // Parse parameters for the UI, keeping values the user already set
+                if (reparse && isActive) {
+                    await this._parseParameters({ keepValues: true });
+                }
+                return true;
+            } else {
+                this._updateViewportInfo(result.status || 'Generation failed');
+                if (isActive) {
+                    this._setProblems('run', result.diagnostics || []);
+                }
+                this._showApiError(result, part ? `${part.name}: mesh generation failed` : 'Mesh generation failed');
+            }
+        } catch (error) {
+            if (this.meshControllers.get(key) === controller) {
+                this.meshControllers.delete(key);
+                this._showLoading(this.meshControllers.size > 0);
+                this._updateViewportInfo('Error');
+                this._showToast(`Error: ${error.message}`, 'error');
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Flag the displayed mesh as not matching the current parameters
+     */
+    _markMeshStale() {
+        const info = document.getElementById('viewport-info');
+        info.textContent = this.meshControllers.size > 0 || this.paramDebounceTimer
+            ? 'Out of date: regenerating...'
+            : 'Out of date: parameters changed';
+        info.classList.add('stale');
+    }
+
+    async _parseParameters(options = {}) {
+        const { keepValues = false } = options;
+        const code = editor ? editor.getCode() : '';
+        if (!code) return;
+
+        try {
+            // Plain literal blocks are read here; anything else needs the backend
+            let specs = null;
+            try {
+                const block = ParamBlock.parse(code);
+                specs = block && block.specs;
+            } catch (error) {
+                // Not a plain literal, so the backend parser reads it below
+            }
+
+            if (!specs) {
+                const result = await api.parseParameters(code);
+                specs = result.success ? result.params : null;
+            }
+
+            if (specs && Object.keys(specs).length > 0) {
+                this._applyParamSpecs(specs, keepValues);
+            }
+        } catch (error) {
+            console.error('Parse error:', error);
+        }
+    }
+
+    _scheduleParamSync() {
+        clearTimeout(this.paramSyncTimer);
+        this.paramSyncTimer = setTimeout(() => {
+            this.paramSyncTimer = null;
+            this._syncParamsFromCode();
+        }, 300);
+    }
+
+    /**
+     * Follow the parameters block as it is typed: sliders are added,
+     * removed and re-ranged without a backend round-trip
+     */
+    _syncParamsFromCode() {
+        let block;
+        try {
+            block = ParamBlock.parse(editor ? editor.getCode() : this.currentCode);
+        } catch (error) {
+            // Half-typed or not a plain literal: keep the current sliders
+            return;
+        }
+        if (block) {
+            this._applyParamSpecs(block.specs, true);
+        }
+    }
+
+    /**
+     * Adopt new specs. With keepValues, values the user moved survive unless
+     * the code changed that parameter's default. Controls are only rebuilt
+     * when something besides the defaults changed.
+     */
+    _applyParamSpecs(specs, keepValues = false) {
+        const previous = ParamSchema.normalize(this.currentParamSpecs);
+        const next = ParamSchema.normalize(specs);
+        const values = this._getDefaultParamValues(specs);
+        if (keepValues) {
+            for (const key of Object.keys(values)) {
+                if (key in this.currentParams && previous[key] && previous[key].default === next[key].default) {
+                    values[key] = this.currentParams[key];
+                }
+            }
+        }
+
+        const shape = descriptors => JSON.stringify(Object.values(descriptors).map(({ default: ignored, ...rest }) => rest));
+        const valuesChanged = JSON.stringify(values) !== JSON.stringify(this.currentParams);
+
+        this.currentParamSpecs = specs;
+        if (shape(previous) === shape(next) && !valuesChanged) return;
+
+        this.currentParams = values;
+        this._renderParameters(specs, values);
+        this._scheduleAutosave();
+        if (valuesChanged && keepValues) {
+            this._markMeshStale();
+        }
+    }
+
+    /**
+     * Write a committed control value back as the parameter's default, so
+     * the code stays the source of truth
+     */
+    _writeParamDefault(name, value) {
+        if (!editor) return;
+
+        const descriptor = ParamSchema.normalize(this.currentParamSpecs)[name];
+        const range = descriptor && 'min' in descriptor ? { min: descriptor.min, max: descriptor.max } : null;
+        const edit = ParamBlock.defaultEdit(editor.getCode(), name, value, range);
+        if (!edit) return;
+        editor.applyEdit(edit.start, edit.end, edit.text, 'params');
+
+        const block = ParamBlock.parse(editor.getCode());
+        this._applyParamSpecs(block.specs, true);
+    }
+
+    _getDefaultParamValues(params) {
+        return ParamSchema.defaults(params);
+    }
+
+    _renderParameters(params, values = {}) {
+        const container = document.getElementById('params-container');
+        container.innerHTML = '';
+
+        const groups = ParamSchema.groups(params);
+        const showHeaders = groups.size > 1 || !groups.has(PARAM_DEFAULT_GROUP);
+
+        for (const [groupName, descriptors] of groups) {
+            let target = container;
+            if (showHeaders) {
+                const section = document.createElement('details');
+                section.className = 'param-section';
+                section.open = true;
+                const summary = document.createElement('summary');
+                summary.textContent = groupName;
+                section.appendChild(summary);
+                container.appendChild(section);
+                target = section;
+            }
+
+            descriptors.forEach(descriptor => {
+                const value = descriptor.name in values
+                    ? ParamSchema.coerce(descriptor, values[descriptor.name])
+                    : descriptor.default;
+                this.currentParams[descriptor.name] = value;
+                target.appendChild(this._createParamControl(descriptor, value));
+            });
+        }
+    }
+
+    /**
+     * Build the input for one typed parameter descriptor
+     */
+    _createParamControl(descriptor, value) {
+        const key = descriptor.name;
+        const group = document.createElement('div');
+        group.className = `param-group param-${descriptor.type}`;
+        if (descriptor.description) group.title = descriptor.description;
+
+        const label = document.createElement('div');
+        label.className = 'param-label';
+        label.innerHTML = `<span></span><span class="param-value" id="value-${key}"></span>`;
+        label.firstElementChild.textContent = descriptor.label;
+        const valueDisplay = label.lastElementChild;
+        group.appendChild(label);
+
+        // Input/change split: input updates live, change marks the end of an edit
+        const update = (raw) => {
+            const next = ParamSchema.coerce(descriptor, raw);
+            this.currentParams[key] = next;
+            valueDisplay.textContent = ParamSchema.formatValue(descriptor, next);
+            this._scheduleAutosave();
+
+            // Auto-regenerate with debounce
+            if (this.autoRegenerate) {
+                this._debouncedRegenerate();
+            }
+            this._markMeshStale();
+            return next;
+        };
+        const commit = () => {
+            this._writeParamDefault(key, this.currentParams[key]);
+            this._recordHistory(`Set ${descriptor.label} = ${ParamSchema.formatValue(descriptor, this.currentParams[key])}`, 'param');
+        };
+
+        valueDisplay.textContent = ParamSchema.formatValue(descriptor, value);
+
+        if (descriptor.type === 'bool') {
+            const toggle = document.createElement('label');
+            toggle.className = 'toggle-label';
+            toggle.innerHTML = `<input type="checkbox" id="param-${key}"><span></span>`;
+            toggle.lastElementChild.textContent = descriptor.label;
+            const checkbox = toggle.firstElementChild;
+            checkbox.checked = value;
+            checkbox.addEventListener('change', () => {
+                update(checkbox.checked);
+                commit();
+            });
+
+            // The checkbox carries its own label and state
+            group.replaceChild(toggle, label);
+            return group;
+        }
+
+        if (descriptor.type === 'enum') {
+            const select = document.createElement('select');
+            select.className = 'param-select';
+            select.id = `param-${key}`;
+            descriptor.options.forEach(option => {
+                const optionEl = document.createElement('option');
+                optionEl.value = String(option.value);
+                optionEl.textContent = option.label;
+                select.appendChild(optionEl);
+            });
+            select.value = String(value);
+            select.addEventListener('change', () => {
+                update(select.value);
+                commit();
+            });
+            group.appendChild(select);
+            return group;
+        }
+
+        // Numeric: slider plus a text field for exact entry
+        const row = document.createElement('div');
+        row.className = 'param-row';
+        row.innerHTML = `
+            <input type="range" class="param-slider" id="param-${key}"
+                min="${descriptor.min}" max="${descriptor.max}" step="${descriptor.step}" value="${value}">
+            <input type="number" class="param-number" step="${descriptor.step}" value="${value}">
+        `;
+        const slider = row.querySelector('.param-slider');
+        const number = row.querySelector('.param-number');
+
+        slider.addEventListener('input', () => {
+            number.value = update(slider.value);
+        });
+        // One history entry per drag, recorded on release
+        slider.addEventListener('change', commit);
+
+        number.addEventListener('change', () => {
+            const next = update(number.value);
+            number.value = next;
+            slider.value = next;
+            commit();
+        });
+
+        group.appendChild(row);
+        return group;
+    }
+
+    _debouncedRegenerate() {
+        // Clear previous timer
+        if (this.paramDebounceTimer) {
+            clearTimeout(this.paramDebounceTimer);
+        }
+
+        // Set new timer (500ms delay)
+        this.paramDebounceTimer = setTimeout(() => {
+            this.paramDebounceTimer = null;
+            this._regenerateMesh();
+        }, 500);
+    }
+
+    async _regenerateMesh() {
+        const code = editor ? editor.getCode() : '';
+        await this._generateMesh(code);
+    }
+
+    async _validateCode() {
+        const code = editor ? editor.getCode() : '';
+        if (!code) return;
+
+        try {
+            const result = await api.validateCode(code);
+            this._setProblems('validate', result.diagnostics || []);
+
+            if (result.success) {
+                const type = result.isValid === null ? 'info' : result.isValid ? 'success' : 'error';
+                this._showToast(result.message, type);
+            } else {
+                this._showApiError(result, 'Validation failed');
+            }
+        } catch (error) {
+            this._showToast(`Validation error: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Replace one source's diagnostics in the editor and the Problems panel
+     */
+    _setProblems(source, diagnostics) {
+        this.problems[source] = diagnostics;
+        if (editor) {
+            editor.setDiagnostics(source, diagnostics);
+        }
+        this._renderProblems();
+    }
+
+    _scheduleLint() {
+        clearTimeout(this.lintTimer);
+        this.lintTimer = setTimeout(() => {
+            this._setProblems('lint', PythonLanguage.lint(editor ? editor.getCode() : this.currentCode));
+        }, 300);
+    }
+
+    _renderProblems() {
+        const panel = document.getElementById('problems-panel');
+        const list = document.getElementById('problems-list');
+        const all = Object.values(this.problems).flat()
+            .sort((a, b) => (a.line || 0) - (b.line || 0));
+
+        list.innerHTML = '';
+        panel.classList.toggle('has-errors', Diagnostics.hasErrors(all));
+        document.getElementById('problems-count').textContent = all.length;
+
+        if (all.length === 0) {
+            list.innerHTML = '<li class="problem-empty">No problems</li>';
+            return;
+        }
+
+        all.forEach(problem => {
+            const item = document.createElement('li');
+            item.className = `problem-item problem-${problem.severity}`;
+            item.innerHTML = `
+                <span class="problem-location"></span>
+                <span class="problem-message"></span>
+                <button class="problem-fix" title="Propose a fix for review">Fix</button>
+            `;
+            item.querySelector('.problem-location').textContent = problem.line
+                ? `${problem.line}:${problem.column || 1}`
+                : '—';
+            item.querySelector('.problem-message').textContent = problem.message;
+            item.title = problem.message;
+            item.querySelector('.problem-fix').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this._autoFix(problem.line);
+            });
+
+            item.addEventListener('click', () => {
+                this._switchTab('code');
+                if (editor) {
+                    editor.revealPosition(problem.line || 1, problem.column || 1);
+                }
+            });
+            list.appendChild(item);
+        });
+
+        // Expand a collapsed panel when new errors arrive
+        if (Diagnostics.hasErrors(all)) {
+            panel.open = true;
+        }
+    }
+
+    /**
+     * Ask the backend for fixes and review them hunk by hunk. focusLine
+     * scrolls the review to the fix for that line of the current buffer.
+     */
+    async _autoFix(focusLine = null) {
+        const code = editor ? editor.getCode() : '';
+        if (!code) return;
+
+        const btn = document.getElementById('btn-autofix');
+        btn.disabled = true;
+        btn.textContent = 'Fixing...';
+
+        try {
+            const result = await api.autoFixCode(code);
+            if (!result.success) {
+                this._showApiError(result, 'Auto-fix failed');
+                return;
+            }
+            if (!result.fixedCode || result.fixedCode === code) {
+                this._showToast(result.status || 'No fixes needed', 'info');
+                return;
+            }
+
+            // Review against the live buffer so edits made while fixing are not lost
+            const current = editor.getCode();
+            if (current !== code) {
+                this._showToast('Code changed while fixing; check the diff before applying', 'warning');
+            }
+
+            // Each fix's explanation is shown beside the hunk it produced. Its line
+            // refers to the code sent; after an edit it could name the wrong hunk.
+            const notes = Diagnostics.parse(result.fixes || [], current, { severity: 'info', source: 'autofix' })
+                .map(note => current === code ? note : { ...note, line: null });
+            codeReview.open(current, result.fixedCode, {
+                onApply: (fixedCode, baseCode) => this._applyFixes(baseCode, fixedCode),
+                onReject: () => this._showToast('Fixes discarded', 'info'),
+                getParams: () => this.currentParams
+            }, {
+                title: 'Review Auto-fixes',
+                notes: notes,
+                focusLine: focusLine
+            });
+        } catch (error) {
+            this._showToast(`Auto-fix error: ${error.message}`, 'error');
+        } finally {
+            btn.disabled = false;
+            btn.textContent = 'Auto-fix';
+        }
+    }
+
+    /**
+     * Load accepted fixes and re-validate straight away
+     */
+    async _applyFixes(originalCode, fixedCode) {
+        if (fixedCode === originalCode) {
+            this._showToast('No fixes applied', 'info');
+            return;
+        }
+        if (editor.getCode() !== originalCode) {
+            this._showToast('Code changed since the fixes were reviewed; not applied', 'warning');
+            return;
+        }
+
+        editor.setCode(fixedCode);
+        this._validateCode();
+        if (this.autoRegenerate) {
+            await this._generateMesh(fixedCode);
+        }
+        this._recordHistory('Auto-fix', 'ai');
+    }
+
+    _copyCode() {
+        const code = editor ? editor.getCode() : '';
+        navigator.clipboard.writeText(code).then(() => {
+            this._showToast('Code copied to clipboard', 'success');
+        }).catch(() => {
+            this._showToast('Failed to copy', 'error');
+        });
+    }
+
+    _renderExportMenu() {
+        const menu = document.getElementById('export-menu');
+        menu.innerHTML = '';
+
+        // With several parts, choose between the whole assembly and the selected part
+        if (this.assembly.size > 1) {
+            [['assembly', 'Whole assembly'], ['part', 'Selected part']].forEach(([scope, label]) => {
+                const item = document.createElement('button');
+                item.className = 'dropdown-item dropdown-scope';
+                item.classList.toggle('active', this.exportScope === scope);
+                item.textContent = `${this.exportScope === scope ? '●' : '○'} ${label}`;
+                item.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.exportScope = scope;
+                    this._renderExportMenu();
+                });
+                menu.appendChild(item);
+            });
+        }
+
+        for (const [format, spec] of Object.entries(EXPORT_FORMATS)) {
+            const item = document.createElement('button');
+            item.className = 'dropdown-item';
+            item.textContent = spec.label;
+            item.addEventListener('click', () => {
+                menu.classList.remove('active');
+                this._exportMesh(format);
+            });
+            menu.appendChild(item);
+        }
+
+        const drawing = document.createElement('button');
+        drawing.className = 'dropdown-item dropdown-drawing';
+        drawing.textContent = 'Technical Drawing…';
+        drawing.addEventListener('click', () => {
+            menu.classList.remove('active');
+            this._openDrawingModal();
+        });
+        menu.appendChild(drawing);
+    }
+
+    _toggleExportMenu() {
+        document.getElementById('export-menu').classList.toggle('active');
+    }
+
+    async _exportMesh(format) {
+        if (!viewer.currentMesh) {
+            this._showToast('No mesh to export', 'error');
+            return;
+        }
+
+        const spec = EXPORT_FORMATS[format];
+        const target = this._exportTarget();
+        if (!target) return;
+
+        // In an assembly each part's meshes carry that part's own parameters
+        const assembly = this.assembly.size > 1;
+        const exporter = new MeshExporter(target.object, {
+            name: target.name,
+            metadata: assembly ? {} : this.currentParams,
+            partMetadata: assembly ? Object.fromEntries(this.assembly.parts.map(part => [
+                part.id,
+                part.id === this.assembly.activeId ? this.currentParams : part.params
+            ])) : {},
+            // The whole assembly leaves out what the user hid; a chosen part is exported regardless
+            hiddenParts: assembly && !target.part ? this.assembly.parts.filter(part => !part.visible).map(part => part.id) : []
+        });
+
+        try {
+            const blob = await exporter.export(format);
+            this._downloadBlob(blob, `${this._getExportBaseName()}${target.suffix}.${spec.extension}`);
+            this._showToast(`${spec.label} downloaded!`, 'success');
+        } catch (error) {
+            this._showToast(`Export error: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Object for the export scope: { part, object, name, suffix }, or null
+     * after a toast when the selected part has no mesh yet
+     */
+    _exportTarget() {
+        const part = this.assembly.size > 1 && this.exportScope === 'part' ? this.assembly.active : null;
+        const object = part ? viewer.getPartObject(part.id) : viewer.currentMesh;
+        if (!object) {
+            this._showToast(part ? `${part.name} has no mesh yet` : 'No mesh to export', 'error');
+            return null;
+        }
+
+        return {
+            part: part,
+            object: object,
+            name: part ? `${this.projectName} - ${part.name}` : this.projectName,
+            suffix: part ? `_${part.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')}` : ''
+        };
+    }
+
+    _getExportBaseName() {
+        const base = this.projectName
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+        return base && base !== 'untitled' ? base : 'model';
+    }
+
+    _downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    _setupDrawingControls() {
+        const sheet = document.getElementById('drawing-sheet');
+        for (const [key, spec] of Object.entries(DRAWING_SHEETS)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = `${spec.label} landscape`;
+            sheet.appendChild(option);
+        }
+        sheet.value = 'a3';
+
+        ['drawing-sheet', 'drawing-hidden', 'drawing-measurements'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this._renderDrawing());
+        });
+
+        const formats = document.getElementById('drawing-formats');
+        for (const [format, spec] of Object.entries(DRAWING_FORMATS)) {
+            const button = document.createElement('button');
+            button.className = format === 'pdf' ? 'btn btn-primary' : 'btn btn-secondary';
+            button.textContent = `Download ${spec.label}`;
+            button.addEventListener('click', () => this._exportDrawing(format));
+            formats.appendChild(button);
+        }
+
+        document.getElementById('drawing-close').addEventListener('click', () => {
+            this._closeDrawingModal();
+        });
+
+        document.getElementById('modal-drawing').addEventListener('click', (e) => {
+            if (e.target.id === 'modal-drawing') {
+                this._closeDrawingModal();
+            }
+        });
+    }
+
+    _openDrawingModal() {
+        if (!viewer.currentMesh) {
+            this._showToast('No mesh to draw', 'error');
+            return;
+        }
+
+        document.getElementById('modal-drawing').classList.add('active');
+        this._renderDrawing();
+    }
+
+    _closeDrawingModal() {
+        document.getElementById('modal-drawing').classList.remove('active');
+        this.drawing = null;
+    }
+
+    /**
+     * Lay out the drawing for the current options and show it as the preview
+     */
+    _renderDrawing() {
+        const target = this._exportTarget();
+        if (!target) {
+            this._closeDrawingModal();
+            return;
+        }
+
+        // Overall sizes come from the mesh info; a single part is measured by the drawing itself
+        const info = target.part ? null : viewer._getMeshInfo();
+        const specs = ParamSchema.normalize(this.currentParamSpecs);
+        const parameters = Object.entries(specs)
+            .filter(([key]) => key in this.currentParams)
+            .map(([key, descriptor]) => ({
+                label: descriptor.label,
+                value: ParamSchema.formatValue(descriptor, this.currentParams[key])
+            }));
+
+        // Measurements are kept in whole-mesh space, so they only apply to the whole model
+        const withMeasurements = !target.part && document.getElementById('drawing-measurements').checked;
+        // Values and geometry both come from the model as currently placed and scaled
+        const matrix = viewer.currentMesh.matrixWorld;
+        const measurements = withMeasurements ? measureTool.measurements.flatMap(m => {
+            const world = MeasureTool.evaluate(m.type, m.picks, matrix);
+            return world ? [{ ...m, ...world }] : [];
+        }) : [];
+
+        const preview = document.getElementById('drawing-preview');
+        try {
+            this.drawing = new TechnicalDrawing(target.object, {
+                title: target.name,
+                sheet: document.getElementById('drawing-sheet').value,
+                hiddenLines: document.getElementById('drawing-hidden').checked,
+                dimensions: info ? info.dimensions : null,
+                parameters: parameters,
+                measurements: measurements
+            });
+            preview.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.drawing.toSVG())}`;
+            this.drawingSuffix = target.suffix;
+        } catch (error) {
+            this.drawing = null;
+            preview.removeAttribute('src');
+            this._showToast(`Drawing error: ${error.message}`, 'error');
+        }
+    }
+
+    async _exportDrawing(format) {
+        if (!this.drawing) return;
+
+        const spec = DRAWING_FORMATS[format];
+        try {
+            const blob = await this.drawing.export(format);
+            this._downloadBlob(blob, `${this._getExportBaseName()}${this.drawingSuffix}_drawing.${spec.extension}`);
+            this._showToast(`${spec.label} drawing downloaded!`, 'success');
+        } catch (error) {
+            this._showToast(`Export error: ${error.message}`, 'error');
+        }
+    }
+
+    _setupPresetControls() {
+        const select = document.getElementById('preset-select');
+        const nameInput = document.getElementById('preset-name');
+
+        select.addEventListener('change', () => {
+            if (select.value) {
+                nameInput.value = select.value;
+                this._applyPreset(select.value);
+            }
+        });
+
+        document.getElementById('btn-preset-save').addEventListener('click', () => {
+            this._savePreset(nameInput.value);
+        });
+
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this._savePreset(nameInput.value);
+        });
+
+        document.getElementById('btn-preset-delete').addEventListener('click', () => {
+            if (!select.value) return;
+            this.presets.remove(select.value);
+            this._renderPresets();
+            this._scheduleAutosave();
+        });
+
+        document.getElementById('btn-preset-import').addEventListener('click', () => {
+            document.getElementById('preset-file-input').click();
+        });
+
+        document.getElementById('preset-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this._importPresets(file);
+            }
+        });
+
+        document.getElementById('btn-preset-export-csv').addEventListener('click', () => {
+            this._exportPresets('csv');
+        });
+
+        document.getElementById('btn-preset-export-json').addEventListener('click', () => {
+            this._exportPresets('json');
+        });
+
+        document.getElementById('btn-preset-batch').addEventListener('click', () => {
+            this._batchExportPresets();
+        });
+
+        this._renderPresets();
+    }
+
+    _renderPresets(selected = '') {
+        const select = document.getElementById('preset-select');
+        select.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = this.presets.size > 0 ? 'Choose a preset…' : 'No presets saved';
+        select.appendChild(placeholder);
+
+        this.presets.names().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = selected;
+
+        document.getElementById('btn-preset-batch').disabled = this.presets.size === 0;
+    }
+
+    _savePreset(name) {
+        try {
+            const row = this.presets.set(name, this.currentParams);
+            this._renderPresets(row.name);
+            this._scheduleAutosave();
+            this._showToast(`Preset "${row.name}" saved`, 'success');
+        } catch (error) {
+            this._showToast(error.message, 'error');
+        }
+    }
+
+    async _applyPreset(name) {
+        const values = this.presets.get(name);
+        if (!values) return;
+
+        // Presets may predate parameters added later, so start from the current set
+        this.currentParams = { ...this.currentParams, ...values };
+        this._renderParameters(this.currentParamSpecs, this.currentParams);
+        this._recordHistory(`Preset: ${name}`, 'param');
+        this._scheduleAutosave();
+
+        const code = editor ? editor.getCode() : '';
+        if (code) {
+            await this._generateMesh(code, { reparse: false });
+        }
+    }
+
+    async _importPresets(file) {
+        try {
+            const table = PresetTable.fromFile(file.name, await file.text());
+            this.presets.merge(table);
+            this._renderPresets();
+            this._scheduleAutosave();
+            this._showToast(`Imported ${table.size} preset${table.size === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            this._showToast(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    _exportPresets(format) {
+        if (this.presets.size === 0) {
+            this._showToast('No presets to export', 'error');
+            return;
+        }
+
+        const blob = format === 'csv'
+            ? new Blob([this.presets.toCSV()], { type: 'text/csv' })
+            : new Blob([this.presets.toJSON()], { type: 'application/json' });
+        this._downloadBlob(blob, `${this._getExportBaseName()}_presets.${format}`);
+    }
+
+    /**
+     * Generate one STL per preset on the backend and download them as a zip
+     */
+    async _batchExportPresets() {
+        const code = editor ? editor.getCode() : '';
+        if (!code || this.presets.size === 0) {
+            this._showToast('Need code and at least one preset', 'error');
+            return;
+        }
+
+        const btn = document.getElementById('btn-preset-batch');
+        btn.disabled = true;
+
+        const base = this._getExportBaseName();
+        const zip = new JSZip();
+        const failed = [];
+        const rows = this.presets.toArray();
+
+        try {
+            for (let i = 0; i < rows.length; i++) {
+                const row = rows[i];
+                btn.textContent = `${i + 1}/${rows.length}`;
+
+                const result = await api.exportSTL(code, { ...this.currentParams, ...row.values });
+                if (!result.success) {
+                    failed.push(row.name);
+                    continue;
+                }
+
+                const response = await fetch(result.fileUrl, { headers: api.requestHeaders() });
+                if (result.fileUrl.startsWith('blob:')) {
+                    URL.revokeObjectURL(result.fileUrl);  // Local runtime output
+                }
+                if (!response.ok) {
+                    failed.push(row.name);
+                    continue;
+                }
+                const safeName = row.name.replace(/[^A-Za-z0-9._-]+/g, '_');
+                zip.file(`${base}_${safeName}.stl`, await response.blob());
+            }
+
+            if (failed.length === rows.length) {
+                throw new Error('every variant failed to generate');
+            }
+
+            // Ship the table alongside the meshes so the batch can be reproduced
+            zip.file(`${base}_presets.csv`, this.presets.toCSV());
+            const blob = await zip.generateAsync({ type: 'blob' });
+            this._downloadBlob(blob, `${base}_variants.zip`);
+
+            if (failed.length > 0) {
+                this._showToast(`Exported with failures: ${failed.join(', ')}`, 'warning');
+            } else {
+                this._showToast(`Exported ${rows.length} variants`, 'success');
+            }
+        } catch (error) {
+            this._showToast(`Batch export failed: ${error.message}`, 'error');
+        } finally {
+            btn.textContent = 'Batch STL';
+            btn.disabled = this.presets.size === 0;
+        }
+    }
+
+    _configureBackend(settings) {
+        api.configure(settings);
+        viewer.requestHeaders = api.requestHeaders();
+    }
+
+    _openSettingsModal() {
+        const select = document.getElementById('settings-protocol');
+        select.innerHTML = '';
+        for (const [protocol, label] of Object.entries(BACKEND_PROTOCOLS)) {
+            const option = document.createElement('option');
+            option.value = protocol;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+
+        select.value = api.protocol;
+        document.getElementById('settings-url').value = api.baseUrl;
+        document.getElementById('settings-token').value = api.token;
+        this._updateSettingsForm(api.protocol);
+
+        document.getElementById('modal-settings').classList.add('active');
+    }
+
+    _closeSettingsModal() {
+        document.getElementById('modal-settings').classList.remove('active');
+    }
+
+    _updateSettingsForm(protocol) {
+        const remote = protocol !== 'local';
+        document.getElementById('settings-url').disabled = !remote;
+        document.getElementById('settings-token').disabled = !remote;
+
+        const hints = {
+            gradio: 'Gradio app URL, e.g. an HF Space or http://localhost:7860.',
+            rest: 'Server answering POST /generate_mesh, /parse_parameters, ... and GET /health.',
+            local: 'Scripts run in the browser. Chat and components need a server.'
+        };
+        document.getElementById('settings-hint').textContent = hints[protocol];
+    }
+
+    async _saveSettings() {
+        const settings = {
+            protocol: document.getElementById('settings-protocol').value,
+            baseUrl: document.getElementById('settings-url').value.trim(),
+            token: document.getElementById('settings-token').value.trim()
+        };
+
+        if (settings.baseUrl) {
+            try {
+                new URL(settings.baseUrl);
+            } catch (error) {
+                this._showToast('Base URL is not a valid URL', 'error');
+                return;
+            }
+        }
+
+        API.saveSettings(settings);
+        this._configureBackend(settings);
+        this._closeSettingsModal();
+        await this._checkBackendConnection();
+    }
+
+    _openLibraryModal() {
+        document.getElementById('modal-library').classList.add('active');
+        this._loadLibraryCategory('fasteners');
+    }
+
+    _closeLibraryModal() {
+        document.getElementById('modal-library').classList.remove('active');
+    }
+
+    _loadLibraryCategory(category) {
         const container = document.getElementById('library-items');
         container.innerHTML = '';
 
@@ -454,21 +2220,314 @@ class App {
 
                 // Now generate mesh with parsed parameters
                 await this._generateMesh(result.code);
+
+                const item = Object.values(COMPONENT_LIBRARY).flat().find(c => c.id === componentId);
+                this._recordHistory(`Load ${item ? item.name : componentId}`, 'component');
             } else {
-                this._showToast(result.error || 'Failed to load component', 'error');
+                this._showApiError(result, 'Failed to load component');
             }
         } catch (error) {
             this._showToast(`Error: ${error.message}`, 'error');
         }
     }
 
+    _getProjectState() {
+        this._storeActivePart();
+        const multiple = this.assembly.size > 1;
+        const { position, rotation, scale } = this.assembly.active;
+
+        return {
+            name: this.projectName,
+            code: editor ? editor.getCode() : this.currentCode,
+            paramSpecs: this.currentParamSpecs,
+            params: this.currentParams,
+            presets: this.presets.toArray(),
+            chatHistory: chat ? chat.history : [],
+            chatTranscript: chat ? chat.transcript : [],
+            position: { ...position },
+            rotation: { ...rotation },
+            scale: { ...scale },
+            views: this.namedViews,
+            assembly: multiple ? this.assembly.toJSON() : null
+        };
+    }
+
+    async _applyProjectState(state) {
+        this.namedViews = state.views.map(view => ({ ...view }));
+        this._renderViewsMenu();
+
+        viewer.exitAssembly();
+        if (state.assembly) {
+            this.projectName = state.name;
+            chat.restore(state.chatHistory, state.chatTranscript);
+            await this._applyAssemblyState(state.assembly);
+            return;
+        }
+
+        this.assembly = new Assembly();
+        this.assembly.add();
+        this._renderSceneTree();
+        this._renderExportMenu();
+
+        this.projectName = state.name;
+        this.currentCode = state.code;
+        this.currentParamSpecs = state.paramSpecs;
+        this.currentParams = { ...this._getDefaultParamValues(state.paramSpecs), ...state.params };
+        this.presets = new PresetTable(state.presets || []);
+        this._renderPresets();
+
+        editor.setCode(state.code);
+        chat.restore(state.chatHistory, state.chatTranscript);
+
+        if (Object.keys(state.paramSpecs).length > 0) {
+            this._renderParameters(state.paramSpecs, this.currentParams);
+        }
+
+        historyStack.reset(`Open ${state.name}`, 'project', {
+            code: state.code,
+            params: this.currentParams,
+            paramSpecs: state.paramSpecs
+        });
+
+        if (state.code) {
+            await this._generateMesh(state.code, { reparse: false });
+        }
+
+        // Mesh loading re-seats the object on the grid, so apply the saved transform last
+        const { position, rotation, scale } = state;
+        Object.assign(this.assembly.active, { position: { ...position }, rotation: { ...rotation }, scale: { ...scale } });
+        this._setTransformSliders(position, rotation, scale);
+        this._applyActiveTransform();
+    }
+
+    /**
+     * Rebuild a saved assembly: every part is generated in turn with its own
+     * code and parameters, then the active one is loaded into the editor
+     */
+    async _applyAssemblyState(data) {
+        this.assembly = Assembly.fromJSON(data);
+        viewer.enterAssembly();
+        this._loadActivePart();
+        this._renderExportMenu();
+
+        const active = this.assembly.active;
+        historyStack.reset(`Open ${this.projectName}`, 'project', this._getHistorySnapshot());
+
+        for (const part of this.assembly.parts) {
+            if (part.code) {
+                await this._generateMesh(part.code, { reparse: false, part: part });
+            }
+            viewer.setPartVisible(part.id, part.visible);
+        }
+
+        viewer.selectPart(active.id);
+        viewer.fitAll();
+    }
+
+    _saveProject() {
+        const json = Project.toJSON(this._getProjectState());
+        const blob = new Blob([json], { type: 'application/json' });
+        this._downloadBlob(blob, Project.filename(this.projectName));
+
+        this._showToast('Project saved', 'success');
+    }
+
+    async _openProjectFile(file) {
+        try {
+            const state = Project.fromJSON(await file.text());
+            if (state.name === 'Untitled') {
+                state.name = file.name.replace(/\.[^.]+$/, '');
+            }
+            await this._applyProjectState(state);
+            this._showToast(`Opened ${file.name}`, 'success');
+        } catch (error) {
+            this._showToast(`Open failed: ${error.message}`, 'error');
+        }
+    }
+
+    _scheduleAutosave() {
+        // Nothing worth keeping until a session has been restored or discarded
+        if (this.restorePending) return;
+
+        if (this.autosaveTimer) {
+            clearTimeout(this.autosaveTimer);
+        }
+
+        this.autosaveTimer = setTimeout(() => {
+            this.autosaveTimer = null;
+            const doc = Project.serialize(this._getProjectState());
+            projectStore.save(AUTOSAVE_KEY, doc).catch(error => {
+                console.warn('Autosave failed:', error);
+            });
+        }, 1000);
+    }
+
+    async _offerSessionRestore() {
+        let doc = null;
+        try {
+            doc = await projectStore.load(AUTOSAVE_KEY);
+        } catch (error) {
+            console.warn('Autosave unavailable:', error);
+            return;
+        }
+        if (!doc || !doc.code) return;
+
+        this.restorePending = doc;
+        const savedAt = doc.savedAt ? new Date(doc.savedAt).toLocaleString() : 'an earlier session';
+        document.getElementById('restore-details').textContent = `Last edited ${savedAt}`;
+        document.getElementById('modal-restore').classList.add('active');
+    }
+
+    async _restoreAutosave() {
+        const doc = this.restorePending;
+        this.restorePending = null;
+        document.getElementById('modal-restore').classList.remove('active');
+        if (!doc) return;
+
+        try {
+            await this._applyProjectState(Project.deserialize(doc));
+            this._showToast('Previous session restored', 'success');
+        } catch (error) {
+            this._showToast(`Restore failed: ${error.message}`, 'error');
+        }
+    }
+
+    _getHistorySnapshot() {
+        return {
+            partId: this.assembly.activeId,
+            code: editor ? editor.getCode() : this.currentCode,
+            params: this.currentParams,
+            paramSpecs: this.currentParamSpecs
+        };
+    }
+
+    _recordHistory(label, kind) {
+        // A pending typing batch belongs before this action
+        this._flushEditSnapshot();
+        historyStack.record(label, kind, this._getHistorySnapshot());
+    }
+
+    _scheduleEditSnapshot() {
+        if (this.editBatchTimer) {
+            clearTimeout(this.editBatchTimer);
+        }
+
+        this.editBatchTimer = setTimeout(() => this._flushEditSnapshot(), 1500);
+    }
+
+    async _undo() {
+        this._flushEditSnapshot();
+        const entry = historyStack.undo();
+        if (entry) {
+            await this._restoreHistoryEntry(entry);
+        }
+    }
+
+    async _redo() {
+        const entry = historyStack.redo();
+        if (entry) {
+            await this._restoreHistoryEntry(entry);
+        }
+    }
+
+    _flushEditSnapshot() {
+        if (!this.editBatchTimer) return;
+
+        clearTimeout(this.editBatchTimer);
+        this.editBatchTimer = null;
+        historyStack.record('Manual edit', 'edit', {
+            ...this._getHistorySnapshot(),
+            code: this.lastUserCode
+        });
+    }
+
+    async _restoreHistoryEntry(entry) {
+        // Entries belong to the part that was being edited
+        if (entry.partId && entry.partId !== this.assembly.activeId) {
+            if (!this.assembly.get(entry.partId)) {
+                this._showToast(`Skipped: ${entry.label} (part was deleted)`, 'warning');
+                return;
+            }
+            this._selectPart(entry.partId);
+        }
+
+        this.currentParamSpecs = entry.paramSpecs;
+        this.currentParams = { ...entry.params };
+
+        if (editor.getCode() !== entry.code) {
+            editor.setCode(entry.code);
+        }
+
+        if (Object.keys(entry.paramSpecs || {}).length > 0) {
+            this._renderParameters(entry.paramSpecs, this.currentParams);
+        } else {
+            document.getElementById('params-container').innerHTML = '';
+        }
+
+        this._showToast(`Restored: ${entry.label}`, 'info');
+        await this._generateMesh(entry.code, { reparse: false });
+    }
+
+    _renderHistory() {
+        const list = document.getElementById('history-list');
+        list.innerHTML = '';
+
+        historyStack.entries.forEach((entry, i) => {
+            const item = document.createElement('li');
+            item.className = `history-item history-${entry.kind}`;
+            item.classList.toggle('active', i === historyStack.index);
+            item.classList.toggle('future', i > historyStack.index);
+            item.innerHTML = `
+                <span class="history-label"></span>
+                <span class="history-time">${new Date(entry.timestamp).toLocaleTimeString()}</span>
+            `;
+            item.querySelector('.history-label').textContent = entry.label;
+
+            item.addEventListener('click', async () => {
+                this._flushEditSnapshot();
+                const target = historyStack.goTo(i);
+                if (target) {
+                    await this._restoreHistoryEntry(target);
+                }
+            });
+            list.appendChild(item);
+        });
+
+        document.getElementById('btn-undo').disabled = !historyStack.canUndo();
+        document.getElementById('btn-redo').disabled = !historyStack.canRedo();
+    }
+
+    _truncate(text, length) {
+        return text.length > length ? text.slice(0, length - 1) + '…' : text;
+    }
+
     _showLoading(show) {
         const loading = document.getElementById('viewport-loading');
         loading.classList.toggle('active', show);
     }
 
+    _updateQueueStatus({ stage, position, queueSize, eta }) {
+        const label = document.getElementById('viewport-loading-text');
+        if (stage === 'queued' && position > 0) {
+            const wait = eta ? `, ~${Math.ceil(eta)} s` : '';
+            label.textContent = `Queued: ${position} ahead of you (${queueSize} in queue${wait})`;
+        } else {
+            label.textContent = 'Generating mesh...';
+        }
+    }
+
     _updateViewportInfo(text) {
-        document.getElementById('viewport-info').textContent = text;
+        const info = document.getElementById('viewport-info');
+        info.textContent = text;
+        info.classList.remove('stale');
+    }
+
+    /**
+     * Toast a failed API result; transient failures are warnings
+     */
+    _showApiError(result, fallback) {
+        const transient = ['queue_full', 'timeout', 'network'].includes(result.errorKind);
+        this._showToast(result.error || fallback, transient ? 'warning' : 'error');
     }
 
     _showToast(message, type = 'info') {
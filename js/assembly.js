@@ -0,0 +1,113 @@
+/**
+ * TeXmExDeX Type Modeler - Assemblies
+ * Several parts in one scene, each with its own code, parameters and transform
+ */
+
+// Part colors, assigned in order; the first matches the single-part mesh
+const ASSEMBLY_COLORS = [0x4a90d9, 0xe0a040, 0x5cb85c, 0xb07cd9, 0xd95f5f, 0x4ac0c0];
+
+class Assembly {
+    constructor() {
+        this.parts = [];
+        this.activeId = null;  // Part shown in the editor and Parameters panel
+        this.nextId = 1;
+    }
+
+    get size() {
+        return this.parts.length;
+    }
+
+    get active() {
+        return this.get(this.activeId);
+    }
+
+    get(id) {
+        return this.parts.find(part => part.id === id) || null;
+    }
+
+    /**
+     * Add a part, filling in defaults. The first part becomes active.
+     */
+    add(fields = {}) {
+        const index = this.nextId++;
+        const part = {
+            id: `part-${index}`,
+            name: fields.name || this._uniqueName('Part'),
+            code: fields.code || '',
+            paramSpecs: fields.paramSpecs || {},
+            params: { ...fields.params },
+            presets: fields.presets || [],
+            position: { x: 0, y: 0, z: 0, ...fields.position },
+            rotation: { x: 0, y: 0, z: 0, ...fields.rotation },
+            scale: { x: 1, y: 1, z: 1, ...fields.scale },
+            visible: fields.visible !== false,
+            color: typeof fields.color === 'number' ? fields.color : ASSEMBLY_COLORS[(index - 1) % ASSEMBLY_COLORS.length],
+            // Seated in the scene by its first mesh load; later loads keep the transform
+            placed: fields.placed === true
+        };
+
+        this.parts.push(part);
+        if (!this.activeId) {
+            this.activeId = part.id;
+        }
+        return part;
+    }
+
+    /**
+     * Copy of a part with a fresh id, placed beside the original on first load
+     */
+    duplicate(id) {
+        const source = this.get(id);
+        if (!source) return null;
+
+        const { id: ignored, color, ...fields } = JSON.parse(JSON.stringify(source));
+        return this.add({ ...fields, name: this._uniqueName(`${source.name} copy`), placed: false });
+    }
+
+    remove(id) {
+        this.parts = this.parts.filter(part => part.id !== id);
+        if (this.activeId === id) {
+            this.activeId = this.parts.length > 0 ? this.parts[0].id : null;
+        }
+    }
+
+    rename(id, name) {
+        const part = this.get(id);
+        name = String(name || '').trim();
+        if (part && name) {
+            part.name = name;
+        }
+        return part;
+    }
+
+    /**
+     * Project form: parts without ids, plus the index of the active one
+     */
+    toJSON() {
+        return {
+            active: Math.max(0, this.parts.findIndex(part => part.id === this.activeId)),
+            parts: this.parts.map(({ id, ...fields }) => JSON.parse(JSON.stringify(fields)))
+        };
+    }
+
+    static fromJSON(data) {
+        const assembly = new Assembly();
+        (data && Array.isArray(data.parts) ? data.parts : []).forEach(fields => {
+            // Saved parts were already seated
+            assembly.add({ ...fields, placed: true });
+        });
+
+        const active = assembly.parts[data && data.active] || assembly.parts[0];
+        assembly.activeId = active ? active.id : null;
+        return assembly;
+    }
+
+    _uniqueName(base) {
+        const names = new Set(this.parts.map(part => part.name));
+        if (base !== 'Part' && !names.has(base)) return base;
+
+        let n = base === 'Part' ? this.parts.length + 1 : 2;
+        while (names.has(`${base} ${n}`)) n++;
+        return `${base} ${n}`;
+    }
+}
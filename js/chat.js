@@ -6,17 +6,26 @@
 class Chat {
     constructor() {
         this.history = [];
+        this.transcript = [];
         this.container = document.getElementById('chat-messages');
         this.welcomeEl = document.querySelector('.chat-welcome');
         this.inputEl = document.getElementById('chat-input');
         this.sendBtn = document.getElementById('btn-send');
+        this.reviewToggle = document.getElementById('review-ai-changes');
+        this.abortController = null;  // Set while a request is in flight
 
         this._setupEventListeners();
     }
 
     _setupEventListeners() {
-        // Send button
-        this.sendBtn.addEventListener('click', () => this._handleSend());
+        // Send button doubles as Stop while a response is streaming
+        this.sendBtn.addEventListener('click', () => {
+            if (this.abortController) {
+                this.abortController.abort();
+            } else {
+                this._handleSend();
+            }
+        });
 
         // Enter to send (Shift+Enter for newline)
         this.inputEl.addEventListener('keydown', (e) => {
@@ -38,7 +47,7 @@ class Chat {
 
     async _handleSend() {
         const message = this.inputEl.value.trim();
-        if (!message) return;
+        if (!message || this.abortController) return;
 
         // Clear input
         this.inputEl.value = '';
@@ -51,45 +60,119 @@ class Chat {
         // Add user message
         this._addMessage(message, 'user');
 
-        // Show typing indicator
+        // Show typing indicator until the first tokens arrive
         const typingId = this._showTyping();
+        let streamEl = null;
+
+        const currentCode = editor ? editor.getCode() : '';
+        const review = this.reviewToggle.checked && codeReview !== null;
+        this._setBusy(true);
 
         try {
-            // Call API
-            const currentCode = editor ? editor.getCode() : '';
-            const result = await api.chatToCode(message, this.history, currentCode);
+            // Call API, rendering partial output as it streams in
+            const result = await api.chatToCode(message, this.history, currentCode, {
+                signal: this.abortController.signal,
+                onProgress: ({ code, status }) => {
+                    if (!streamEl) {
+                        this._removeTyping(typingId);
+                        streamEl = this._renderMessage('', 'assistant');
+                        streamEl.classList.add('streaming');
+                    }
+                    streamEl.textContent = status;
+                    this._scrollToBottom();
+
+                    // Under review the buffer stays untouched until changes are accepted
+                    if (code && editor && !review) {
+                        editor.showStreamingCode(code);
+                    }
+                }
+            });
 
-            // Remove typing indicator
+            // Remove typing indicator / live message; the final text is recorded below
             this._removeTyping(typingId);
+            if (streamEl) streamEl.remove();
 
-            if (result.success) {
+            if (result.cancelled) {
+                // Partial code is incomplete, so put back what the user had
+                if (editor && editor.getCode() !== currentCode) {
+                    editor.setCode(currentCode);
+                }
+                this.addSystemMessage('Response stopped');
+            } else if (result.success) {
                 // Update history
                 this.history = result.history || [];
 
                 // Add assistant response
                 this._addMessage(result.status, 'assistant');
 
-                // Update code editor
-                if (result.code && editor) {
-                    editor.setCode(result.code);
-                }
-
-                // Trigger mesh generation
-                if (result.code) {
-                    document.dispatchEvent(new CustomEvent('generateMesh', {
-                        detail: { code: result.code }
-                    }));
+                // Edits made while the reply streamed in are part of what gets reviewed
+                if (result.code && review && editor && result.code !== editor.getCode()) {
+                    this._reviewChanges(result.code, message);
+                } else if (result.code) {
+                    this._applyCode(result.code, message);
                 }
             } else {
+                if (editor && editor.getCode() !== currentCode) {
+                    editor.setCode(currentCode);
+                }
                 this._addMessage(`Error: ${result.error}`, 'assistant', true);
             }
         } catch (error) {
             this._removeTyping(typingId);
+            if (streamEl) streamEl.remove();
             this._addMessage(`Connection error: ${error.message}`, 'assistant', true);
+        } finally {
+            this._setBusy(false);
         }
     }
 
+    /**
+     * Open the diff review against the live buffer; only accepted changes
+     * reach the editor
+     */
+    _reviewChanges(proposedCode, prompt) {
+        try {
+            codeReview.open(editor.getCode(), proposedCode, {
+                onApply: (code, baseCode) => {
+                    if (code === baseCode) {
+                        this.addSystemMessage('No changes applied');
+                    } else {
+                        this._applyCode(code, prompt);
+                    }
+                },
+                onReject: () => this.addSystemMessage('Changes rejected'),
+                getParams: () => window.app ? window.app.currentParams : {}
+            });
+        } catch (error) {
+            // Review unavailable (editor still loading), fall back to applying directly
+            this._applyCode(proposedCode, prompt);
+        }
+    }
+
+    _applyCode(code, prompt) {
+        if (editor) {
+            editor.setCode(code);
+        }
+
+        // Trigger mesh generation
+        document.dispatchEvent(new CustomEvent('generateMesh', {
+            detail: { code: code, source: 'chat', prompt: prompt }
+        }));
+    }
+
+    _setBusy(busy) {
+        this.abortController = busy ? new AbortController() : null;
+        this.sendBtn.classList.toggle('btn-stop', busy);
+        this.sendBtn.title = busy ? 'Stop' : 'Send';
+    }
+
     _addMessage(text, type, isError = false) {
+        this.transcript.push({ role: type, text: text, isError: isError });
+        this._renderMessage(text, type, isError);
+        this._notifyChange();
+    }
+
+    _renderMessage(text, type, isError = false) {
         const messageEl = document.createElement('div');
         messageEl.className = `chat-message ${type}`;
         if (isError) messageEl.classList.add('error');
@@ -97,6 +180,13 @@ class Chat {
 
         this.container.appendChild(messageEl);
         this._scrollToBottom();
+        return messageEl;
+    }
+
+    _notifyChange() {
+        document.dispatchEvent(new CustomEvent('chatChanged', {
+            detail: { history: this.history, transcript: this.transcript }
+        }));
     }
 
     _showTyping() {
@@ -133,16 +223,44 @@ class Chat {
      */
     clear() {
         this.history = [];
+        this.transcript = [];
         this.container.innerHTML = '';
         if (this.welcomeEl) {
             this.welcomeEl.style.display = 'block';
         }
     }
 
+    /**
+     * Replay a saved transcript and restore the backend history
+     */
+    restore(history = [], transcript = []) {
+        this.clear();
+        this.history = history;
+        this.transcript = transcript.map(entry => ({ ...entry }));
+
+        if (this.transcript.length > 0 && this.welcomeEl) {
+            this.welcomeEl.style.display = 'none';
+        }
+
+        this.transcript.forEach(entry => {
+            if (entry.role === 'system') {
+                this._renderSystemMessage(entry.text);
+            } else {
+                this._renderMessage(entry.text, entry.role, entry.isError);
+            }
+        });
+    }
+
     /**
      * Add a system message
      */
     addSystemMessage(text) {
+        this.transcript.push({ role: 'system', text: text });
+        this._renderSystemMessage(text);
+        this._notifyChange();
+    }
+
+    _renderSystemMessage(text) {
         const messageEl = document.createElement('div');
         messageEl.className = 'chat-message system';
         messageEl.textContent = text;
@@ -177,6 +295,17 @@ typingStyles.textContent = `
         40% { transform: scale(1); }
     }
     
+    .btn-send.btn-stop::after {
+        content: "■";
+        font-size: 12px;
+    }
+
+    .chat-message.streaming::after {
+        content: "▍";
+        margin-left: 2px;
+        animation: typingBounce 1s infinite ease-in-out;
+    }
+
     .chat-message.error {
         background: var(--accent-error) !important;
         color: white;
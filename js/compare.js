@@ -0,0 +1,385 @@
+/**
+ * TeXmExDeX Type Modeler - Mesh Comparison
+ * The mesh before the last regeneration against the current one: translucent
+ * overlay, side by side through one camera, or a signed-distance heatmap,
+ * with the change in volume and bounding box
+ */
+
+const COMPARE_MODES = {
+    overlay: { label: 'Overlay', hint: 'Previous mesh in red' },
+    split: { label: 'Side by Side', hint: 'Previous left, current right' },
+    heatmap: { label: 'Heatmap', hint: 'Distance from the previous surface' }
+};
+
+const COMPARE_COLORS = {
+    ghost: 0xf87171,
+    removed: new THREE.Color(0x3b82f6),  // Current surface inside the previous one
+    unchanged: new THREE.Color(0xd4d4d4),
+    added: new THREE.Color(0xef4444)  // Current surface outside the previous one
+};
+
+const COMPARE_TOLERANCE = 0.01;  // Smallest heatmap range (mm), so noise is not stretched to full color
+const COMPARE_CHUNK = 2000;  // Heatmap points measured between yields to the browser
+
+class MeshComparer {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.mode = null;  // One of COMPARE_MODES, or null when off
+        this.report = null;
+        this.pending = false;  // Heatmap distances still being measured
+        this.key = null;  // Mode and geometry the display was built for
+        this.job = null;  // Token of the running distance measurement
+        this.disposables = [];  // Materials and geometry made for the display
+
+        // Previous-mesh copies and the heatmap, in world space outside currentMesh
+        this.group = new THREE.Group();
+        this.viewer.scene.add(this.group);
+
+        document.addEventListener('meshChanged', () => this.refresh());
+    }
+
+    setMode(mode) {
+        this.mode = mode in COMPARE_MODES ? mode : null;
+        this.refresh();
+        return this.mode;
+    }
+
+    /**
+     * Rebuild the display and report for the current pair of meshes. Heatmap
+     * distances are measured in chunks afterwards so the page stays responsive.
+     */
+    refresh() {
+        const before = this.viewer.previousMesh;
+        const after = this.viewer.currentMesh;
+
+        // Moving or hiding parts leaves the geometry, and so the comparison, as it was
+        const key = this._key(before, after);
+        if (key === this.key) return;
+        this.key = key;
+
+        this._clearDisplay();
+        this.report = null;
+        this.pending = false;
+        this.job = null;
+
+        const previous = this.mode && before ? PrintAnalyzer.collectWorldTriangles(before) : null;
+        const current = previous && after ? PrintAnalyzer.collectWorldTriangles(after) : null;
+
+        if (previous && current) {
+            this.report = MeshComparer.compare(previous, current);
+
+            switch (this.mode) {
+                case 'overlay':
+                    this.group.add(this._ghost(before));
+                    break;
+                case 'split': {
+                    const copy = before.clone();
+                    this.group.add(copy);
+                    this.viewer.setSplitView(copy);
+                    break;
+                }
+                case 'heatmap':
+                    this.pending = true;
+                    this._measure(previous, current, this.report);
+                    break;
+            }
+        }
+
+        this._notifyChange();
+    }
+
+    /**
+     * Fill in the report's distances a chunk at a time, then show the heatmap;
+     * abandoned when a newer refresh starts
+     */
+    async _measure(previous, current, report) {
+        const job = {};
+        this.job = job;
+
+        const distances = new Float32Array(current.positions.length / 3);
+        let measure = null;
+        for (let start = 0; start < distances.length; start += COMPARE_CHUNK) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (this.job !== job) return;
+
+            measure = measure || MeshComparer.distanceField(current.positions, previous);
+            const end = Math.min(distances.length, start + COMPARE_CHUNK);
+            for (let i = start; i < end; i++) {
+                distances[i] = measure(i);
+            }
+        }
+
+        this.job = null;
+        this.pending = false;
+        report.distances = distances;
+        report.range = MeshComparer.range(distances);
+        this.group.add(this._heatmap(current, distances));
+        this._notifyChange();
+    }
+
+    _notifyChange() {
+        document.dispatchEvent(new CustomEvent('comparisonChanged', {
+            detail: { mode: this.mode, report: this.report, pending: this.pending }
+        }));
+    }
+
+    /**
+     * Identity of the compared geometry, ignoring visibility and transforms
+     */
+    _key(before, after) {
+        const geometries = (object) => {
+            const ids = [];
+            if (object) {
+                object.traverse(child => {
+                    if (child.isMesh && child.geometry) ids.push(child.geometry.uuid);
+                });
+            }
+            return ids.join(',');
+        };
+        return `${this.mode}|${geometries(before)}|${geometries(after)}`;
+    }
+
+    /**
+     * Volume and bounding box of both meshes; with distances, the signed
+     * distance of every current vertex from the previous surface
+     */
+    static compare(previous, current, withDistances = false) {
+        const report = {
+            volume: {
+                before: MassCalculator.compute(previous.positions, previous.indices).volume,
+                after: MassCalculator.compute(current.positions, current.indices).volume
+            },
+            size: { before: MeshComparer.size(previous), after: MeshComparer.size(current) },
+            distances: null,
+            range: null
+        };
+
+        if (withDistances) {
+            report.distances = MeshComparer.signedDistances(current.positions, previous);
+            report.range = MeshComparer.range(report.distances);
+        }
+        return report;
+    }
+
+    /**
+     * Extremes and mean absolute value of signed distances
+     */
+    static range(distances) {
+        let min = 0;
+        let max = 0;
+        let sum = 0;
+        distances.forEach(d => {
+            min = Math.min(min, d);
+            max = Math.max(max, d);
+            sum += Math.abs(d);
+        });
+        return { min: min, max: max, mean: distances.length > 0 ? sum / distances.length : 0 };
+    }
+
+    static size({ positions }) {
+        const box = new THREE.Box3().setFromArray(positions);
+        return box.getSize(new THREE.Vector3());
+    }
+
+    /**
+     * Signed distance from each point to the nearest triangle of target:
+     * positive in front of its face (outside), negative behind it
+     */
+    static signedDistances(points, target) {
+        const measure = MeshComparer.distanceField(points, target);
+        const distances = new Float32Array(points.length / 3);
+        for (let i = 0; i < distances.length; i++) {
+            distances[i] = measure(i);
+        }
+        return distances;
+    }
+
+    /**
+     * Index the faces of target once and return measure(i), the signed
+     * distance of the i-th point. Searches a uniform grid ring by ring
+     * outward from the point's cell.
+     */
+    static distanceField(points, target) {
+        const { positions, indices } = target;
+        const faceCount = Math.floor(indices.length / 3);
+        if (faceCount === 0) return () => Infinity;
+
+        // Cover both meshes so every point falls inside the grid
+        const box = new THREE.Box3().setFromArray(positions).union(new THREE.Box3().setFromArray(points));
+        const size = box.getSize(new THREE.Vector3());
+        const divisions = Math.min(64, Math.max(1, Math.ceil(Math.cbrt(faceCount) * 2)));
+        const cell = Math.max(Math.max(size.x, size.y, size.z) / divisions, 1e-3);
+        const dims = [
+            Math.max(1, Math.ceil(size.x / cell)),
+            Math.max(1, Math.ceil(size.y / cell)),
+            Math.max(1, Math.ceil(size.z / cell))
+        ];
+        const cellOf = (v, axis) => Math.min(dims[axis] - 1,
+            Math.max(0, Math.floor((v - box.min.getComponent(axis)) / cell)));
+        const keyOf = (x, y, z) => (x * dims[1] + y) * dims[2] + z;
+
+        const grid = new Map();
+        for (let f = 0; f < faceCount; f++) {
+            const lo = [0, 0, 0];
+            const hi = [0, 0, 0];
+            for (let axis = 0; axis < 3; axis++) {
+                let min = Infinity;
+                let max = -Infinity;
+                for (let k = 0; k < 3; k++) {
+                    const v = positions[indices[f * 3 + k] * 3 + axis];
+                    min = Math.min(min, v);
+                    max = Math.max(max, v);
+                }
+                lo[axis] = cellOf(min, axis);
+                hi[axis] = cellOf(max, axis);
+            }
+            for (let x = lo[0]; x <= hi[0]; x++) {
+                for (let y = lo[1]; y <= hi[1]; y++) {
+                    for (let z = lo[2]; z <= hi[2]; z++) {
+                        const key = keyOf(x, y, z);
+                        if (!grid.has(key)) grid.set(key, []);
+                        grid.get(key).push(f);
+                    }
+                }
+            }
+        }
+
+        const point = new THREE.Vector3();
+        const closest = new THREE.Vector3();
+        const offset = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        const triangle = new THREE.Triangle();
+        const seen = new Int32Array(faceCount).fill(-1);
+        const maxRing = Math.max(...dims);
+
+        return (i) => {
+            point.fromArray(points, i * 3);
+            const cx = cellOf(point.x, 0);
+            const cy = cellOf(point.y, 1);
+            const cz = cellOf(point.z, 2);
+            let best = Infinity;
+            let sign = 1;
+            let alignment = 0;
+
+            const visit = (x, y, z) => {
+                const bucket = grid.get(keyOf(x, y, z));
+                if (!bucket) return;
+
+                bucket.forEach(f => {
+                    if (seen[f] === i) return;
+                    seen[f] = i;
+
+                    triangle.a.fromArray(positions, indices[f * 3] * 3);
+                    triangle.b.fromArray(positions, indices[f * 3 + 1] * 3);
+                    triangle.c.fromArray(positions, indices[f * 3 + 2] * 3);
+                    triangle.closestPointToPoint(point, closest);
+                    const distance = closest.distanceTo(point);
+                    if (distance > best + 1e-9) return;
+
+                    // On a shared edge or corner, trust the face the point sits most squarely in front of or behind
+                    triangle.getNormal(normal);
+                    const facing = distance > 0 ? offset.subVectors(point, closest).dot(normal) / distance : 0;
+                    if (distance < best - 1e-9 || Math.abs(facing) > Math.abs(alignment)) {
+                        best = Math.min(best, distance);
+                        sign = facing < 0 ? -1 : 1;
+                        alignment = facing;
+                    }
+                });
+            };
+
+            // Everything within r cells has been seen after ring r
+            for (let r = 0; r <= maxRing; r++) {
+                for (let x = Math.max(0, cx - r); x <= Math.min(dims[0] - 1, cx + r); x++) {
+                    for (let y = Math.max(0, cy - r); y <= Math.min(dims[1] - 1, cy + r); y++) {
+                        const shell = Math.abs(x - cx) === r || Math.abs(y - cy) === r;
+                        if (shell) {
+                            for (let z = Math.max(0, cz - r); z <= Math.min(dims[2] - 1, cz + r); z++) {
+                                visit(x, y, z);
+                            }
+                        } else {
+                            if (cz - r >= 0) visit(x, y, cz - r);
+                            if (r > 0 && cz + r < dims[2]) visit(x, y, cz + r);
+                        }
+                    }
+                }
+                if (best <= r * cell) break;
+            }
+
+            return best * sign;
+        };
+    }
+
+    /**
+     * Translucent copy of the previous mesh without its edge lines
+     */
+    _ghost(object) {
+        const ghost = object.clone();
+        const material = new THREE.MeshPhongMaterial({
+            color: COMPARE_COLORS.ghost,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        this.disposables.push(material);
+
+        ghost.traverse((child) => {
+            if (child.isMesh) {
+                child.material = material;
+            } else if (child.name === 'edges') {
+                child.visible = false;
+            }
+        });
+        return ghost;
+    }
+
+    /**
+     * Current surface colored by signed distance, drawn just over the mesh
+     */
+    _heatmap(current, distances) {
+        const range = this.legend().max;
+        const colors = new Float32Array(distances.length * 3);
+        const color = new THREE.Color();
+
+        distances.forEach((d, i) => {
+            color.copy(COMPARE_COLORS.unchanged).lerp(d < 0 ? COMPARE_COLORS.removed : COMPARE_COLORS.added, Math.min(Math.abs(d) / range, 1));
+            color.toArray(colors, i * 3);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(current.positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setIndex(new THREE.BufferAttribute(current.indices, 1));
+        const material = new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            side: THREE.DoubleSide,
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -1
+        });
+        this.disposables.push(geometry, material);
+
+        const heatmap = new THREE.Mesh(geometry, material);
+        heatmap.renderOrder = 10;
+        return heatmap;
+    }
+
+    _clearDisplay() {
+        this.viewer.setSplitView(null);
+        [...this.group.children].forEach(child => this.group.remove(child));
+        this.disposables.forEach(item => item.dispose());
+        this.disposables = [];
+    }
+
+    /**
+     * Heatmap color scale: { min, max } in mm, symmetric about zero
+     */
+    legend(report = this.report) {
+        if (!report || !report.range) return null;
+        const range = Math.max(-report.range.min, report.range.max, COMPARE_TOLERANCE);
+        return { min: -range, max: range };
+    }
+}
+
+// Global comparer instance
+let meshComparer = null;
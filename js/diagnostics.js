@@ -0,0 +1,181 @@
+/**
+ * TeXmExDeX Type Modeler - Diagnostics
+ * Maps backend errors onto source ranges in the part script
+ *
+ * Accepted inputs:
+ *   Python tracebacks             frame in the part script + exception line
+ *   "... on line 12: ..."         plain messages mentioning a line
+ *   { line, column, end_line, end_column, message, severity }
+ *   { errors: [...], warnings: [...] }, arrays and JSON strings of the above
+ *
+ * A diagnostic is { line, column, endLine, endColumn, message, severity, source }.
+ * Lines and columns are 1-based; line null means "no location", column 0 "whole line".
+ */
+
+const DIAGNOSTIC_SEVERITIES = ['error', 'warning', 'info'];
+
+// Frames from these files belong to the runtime, never to the part script
+const RUNTIME_FILES = /^<(exec|stdin|frozen [^>]*)>$|site-packages|\/lib\/python/;
+
+class Diagnostics {
+    /**
+     * Best-effort diagnostics from any backend payload. code is the script
+     * that ran; it lets tracebacks be matched against the real source lines.
+     */
+    static parse(value, code = '', defaults = {}) {
+        if (value === null || value === undefined || value === '') return [];
+
+        if (Array.isArray(value)) {
+            return value.flatMap(item => Diagnostics.parse(item, code, defaults));
+        }
+
+        if (typeof value === 'string') {
+            const text = value.trim();
+            if (/^[[{]/.test(text)) {
+                try {
+                    return Diagnostics.parse(JSON.parse(text), code, defaults);
+                } catch (e) {
+                    // Not JSON after all, read it as text
+                }
+            }
+            return [Diagnostics.fromTraceback(text, code, defaults) || Diagnostics.fromMessage(text, defaults)];
+        }
+
+        if (typeof value === 'object') {
+            if (Array.isArray(value.errors) || Array.isArray(value.warnings)) {
+                return [
+                    ...Diagnostics.parse(value.errors || [], code, { ...defaults, severity: 'error' }),
+                    ...Diagnostics.parse(value.warnings || [], code, { ...defaults, severity: 'warning' })
+                ];
+            }
+            return [Diagnostics.normalize(value, code, defaults)];
+        }
+
+        return [Diagnostics.fromMessage(String(value), defaults)];
+    }
+
+    /**
+     * Diagnostics for a failed request. Only backend errors describe the
+     * script; network, timeout and queue failures have no location.
+     */
+    static fromError(error, code = '', source = 'run') {
+        if (!error || error.kind !== 'backend') return [];
+        return Diagnostics.parse(error.detail || error.message, code, { source: source });
+    }
+
+    /**
+     * One structured entry (snake_case or camelCase keys)
+     */
+    static normalize(entry, code = '', defaults = {}) {
+        const pick = (...keys) => keys.map(key => entry[key]).find(value => value !== undefined && value !== null);
+        const message = String(pick('message', 'msg', 'description', 'explanation', 'error', 'text') || '');
+
+        const line = Diagnostics._int(pick('line', 'lineno', 'line_number', 'lineNumber'));
+        if (!line) {
+            // No explicit location: fall back to whatever the text says
+            const traceback = pick('traceback');
+            const parsed = (traceback && Diagnostics.fromTraceback(String(traceback), code, defaults))
+                || Diagnostics.fromMessage(message, defaults);
+            return { ...parsed, message: message || parsed.message, severity: Diagnostics._severity(pick('severity', 'level'), defaults) };
+        }
+
+        return {
+            line: line,
+            column: Diagnostics._int(pick('column', 'col', 'offset')),
+            endLine: Diagnostics._int(pick('end_line', 'endLine', 'end_lineno')) || line,
+            endColumn: Diagnostics._int(pick('end_column', 'endColumn', 'end_offset')),
+            message: message,
+            severity: Diagnostics._severity(pick('severity', 'level'), defaults),
+            source: defaults.source || null
+        };
+    }
+
+    /**
+     * Innermost traceback frame that points into the part script, or null
+     * when the text has no frames
+     */
+    static fromTraceback(text, code = '', defaults = {}) {
+        const lines = text.split(/\r?\n/);
+        const frames = [];
+        lines.forEach((line, index) => {
+            const match = line.match(/^\s*File "([^"]+)", line (\d+)/);
+            if (match) frames.push({ file: match[1], line: Number(match[2]), index: index });
+        });
+        if (frames.length === 0) return null;
+
+        const codeLines = code ? code.split('\n') : [];
+        const echo = frame => lines[frame.index + 1] || '';
+        const inner = frames.slice().reverse();
+
+        // The frame whose echoed source matches the script is the script's,
+        // whatever the backend named the file; otherwise trust pseudo-filenames
+        const frame = inner.find(f => codeLines[f.line - 1] !== undefined
+                && echo(f).trim() !== '' && echo(f).trim() === codeLines[f.line - 1].trim())
+            || inner.find(f => /^<[^>]+>$/.test(f.file) && !RUNTIME_FILES.test(f.file))
+            || inner.find(f => !RUNTIME_FILES.test(f.file));
+        if (!frame) return null;
+
+        // The exception is the last unindented line ("ValueError: radius must be > 0")
+        const exception = lines.slice(frame.index + 1).filter(line => /^\S/.test(line)).pop();
+
+        return {
+            line: frame.line,
+            ...Diagnostics._caretRange(lines, frame, codeLines[frame.line - 1]),
+            endLine: frame.line,
+            message: exception ? exception.trim() : text.trim().split('\n').pop(),
+            severity: Diagnostics._severity(null, defaults),
+            source: defaults.source || null
+        };
+    }
+
+    /**
+     * Plain text; picks up "line 12" / "line 12, column 4" when present
+     */
+    static fromMessage(text, defaults = {}) {
+        const match = text.match(/\bline (\d+)(?:,? (?:column|col) (\d+))?/i);
+        const line = match ? Number(match[1]) : null;
+        return {
+            line: line,
+            column: match && match[2] ? Number(match[2]) : 0,
+            endLine: line,
+            endColumn: 0,
+            message: text.trim(),
+            severity: Diagnostics._severity(null, defaults),
+            source: defaults.source || null
+        };
+    }
+
+    static hasErrors(diagnostics) {
+        return diagnostics.some(d => d.severity === 'error');
+    }
+
+    /**
+     * Columns from the ^ / ~ markers Python prints under the echoed line,
+     * shifted back by the indentation the traceback strips
+     */
+    static _caretRange(lines, frame, sourceLine) {
+        const echo = lines[frame.index + 1] || '';
+        const carets = lines[frame.index + 2] || '';
+        if (sourceLine === undefined || !/^\s*[~^]+\s*$/.test(carets) || echo.trim() === '') {
+            return { column: 0, endColumn: 0 };
+        }
+
+        const echoIndent = echo.length - echo.trimStart().length;
+        const sourceIndent = sourceLine.length - sourceLine.trimStart().length;
+        const start = carets.search(/[~^]/) - echoIndent + sourceIndent + 1;
+        const end = carets.trimEnd().length - echoIndent + sourceIndent + 1;
+        return { column: Math.max(start, 1), endColumn: Math.max(end, start + 1) };
+    }
+
+    static _severity(value, defaults) {
+        const severity = String(value || '').toLowerCase();
+        if (DIAGNOSTIC_SEVERITIES.includes(severity)) return severity;
+        if (severity === 'warn') return 'warning';
+        return defaults.severity || 'error';
+    }
+
+    static _int(value) {
+        const number = parseInt(value, 10);
+        return Number.isFinite(number) && number > 0 ? number : 0;
+    }
+}
@@ -0,0 +1,797 @@
+/**
+ * TeXmExDeX Type Modeler - Technical Drawings
+ * Third-angle front, top and right views of the mesh with hidden lines
+ * removed, overall dimensions, the user's measurements and a title block,
+ * written as SVG, PDF or DXF
+ *
+ * The sheet is laid out once in paper millimetres (y down) as lines,
+ * filled polygons and text; each format writes those same items. The DXF is
+ * the sheet itself, so its geometry is at the drawing scale.
+ */
+
+// Drawing formats offered in the drawing dialog
+const DRAWING_FORMATS = {
+    svg: { label: 'SVG', extension: 'svg', mimeType: 'image/svg+xml' },
+    pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf' },
+    dxf: { label: 'DXF', extension: 'dxf', mimeType: 'application/dxf' }
+};
+
+// Landscape sheet sizes in mm
+const DRAWING_SHEETS = {
+    a4: { label: 'A4', width: 297, height: 210 },
+    a3: { label: 'A3', width: 420, height: 297 }
+};
+
+// Standard scales, largest first
+const DRAWING_SCALES = [10, 5, 2, 1, 1 / 2, 1 / 5, 1 / 10, 1 / 20, 1 / 50, 1 / 100];
+
+// Sheet axes (u right, v up) and the direction toward the viewer, in world space (Y-up, front faces +Z)
+const DRAWING_VIEWS = {
+    front: { label: 'FRONT', u: [1, 0, 0], v: [0, 1, 0], d: [0, 0, 1] },
+    top: { label: 'TOP', u: [1, 0, 0], v: [0, 0, -1], d: [0, 1, 0] },
+    right: { label: 'RIGHT', u: [0, 0, -1], v: [0, 1, 0], d: [1, 0, 0] }
+};
+
+// Line weight (mm), dash pattern and DXF color per layer
+const DRAWING_LAYERS = {
+    border: { width: 0.5, color: 7 },
+    title: { width: 0.35, color: 7 },
+    hidden: { width: 0.25, dash: [2, 1], color: 8 },
+    visible: { width: 0.5, color: 7 },
+    dimension: { width: 0.18, color: 4 },
+    annotation: { width: 0.18, color: 2 }
+};
+
+const DRAWING_CREASE_ANGLE = 20;  // Degrees between faces for an edge to be drawn
+const DRAWING_DEPTH_RESOLUTION = 1024;  // Depth buffer size along the longer side
+
+class TechnicalDrawing {
+    /**
+     * @param {THREE.Object3D} object - Root of the mesh to draw (usually viewer.currentMesh)
+     * @param {Object} options - { title, sheet, hiddenLines, dimensions, parameters: [{ label, value }],
+     *                             measurements (MeasureTool entries with value and points in world space), date }
+     */
+    constructor(object, options = {}) {
+        this.object = object;
+        this.title = options.title || 'Untitled';
+        this.sheetSize = DRAWING_SHEETS[options.sheet] || DRAWING_SHEETS.a3;
+        this.hiddenLines = options.hiddenLines === true;
+        this.dimensions = options.dimensions || null;
+        this.parameters = options.parameters || [];
+        this.measurements = options.measurements || [];
+        this.date = options.date || new Date().toISOString().slice(0, 10);
+        this.sheet = null;
+    }
+
+    /**
+     * Export to one of DRAWING_FORMATS, resolving to a Blob
+     */
+    async export(format) {
+        const spec = DRAWING_FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unknown drawing format: ${format}`);
+        }
+
+        let data;
+        switch (format) {
+            case 'svg':
+                data = this.toSVG();
+                break;
+            case 'pdf':
+                data = this.toPDF();
+                break;
+            case 'dxf':
+                data = this.toDXF();
+                break;
+        }
+        return new Blob([data], { type: spec.mimeType });
+    }
+
+    /**
+     * Lay out the sheet: { width, height, scale, items }. Built once and reused.
+     */
+    build() {
+        if (this.sheet) return this.sheet;
+        if (!this.object) {
+            throw new Error('No mesh loaded');
+        }
+
+        const model = this._collectModel();
+        const views = {};
+        for (const [name, view] of Object.entries(DRAWING_VIEWS)) {
+            views[name] = this._projectView(model, view);
+        }
+
+        const { width, height } = this.sheetSize;
+        this.items = [];
+        this._border(width, height);
+        const layout = this._layout(views, width, height);
+        for (const name of Object.keys(DRAWING_VIEWS)) {
+            this._drawView(views[name], layout.views[name], DRAWING_VIEWS[name].label);
+        }
+        this._overallDimensions(views, layout);
+        this._measurementAnnotations(layout);
+        this._notes(layout);
+        this._titleBlock(layout);
+
+        this.sheet = { width: width, height: height, scale: layout.scale, items: this.items };
+        return this.sheet;
+    }
+
+    // ---- Geometry ----
+
+    /**
+     * World-space triangles of every shown mesh, with vertices welded so
+     * shared edges can be found: { positions, triangles, normals, edges }
+     */
+    _collectModel() {
+        const ids = new Map();
+        const positions = [];
+        const triangles = [];
+        const vertex = new THREE.Vector3();
+
+        const weld = () => {
+            const key = `${Math.round(vertex.x * 1e4)},${Math.round(vertex.y * 1e4)},${Math.round(vertex.z * 1e4)}`;
+            let id = ids.get(key);
+            if (id === undefined) {
+                id = positions.length / 3;
+                ids.set(key, id);
+                positions.push(vertex.x, vertex.y, vertex.z);
+            }
+            return id;
+        };
+
+        this.object.updateMatrixWorld(true);
+        this.object.traverse((child) => {
+            if (!child.isMesh || !child.geometry || !this._shown(child)) return;
+
+            const source = child.geometry.attributes.position;
+            const index = child.geometry.index;
+            const count = index ? index.count : source.count;
+            for (let i = 0; i + 2 < count; i += 3) {
+                for (let k = 0; k < 3; k++) {
+                    vertex.fromBufferAttribute(source, index ? index.getX(i + k) : i + k).applyMatrix4(child.matrixWorld);
+                    triangles.push(weld());
+                }
+            }
+        });
+
+        if (triangles.length === 0) {
+            throw new Error('Mesh has no triangles to draw');
+        }
+
+        // Face normals; degenerate faces get a zero normal and no edges
+        const normals = new Float32Array(triangles.length);
+        const edges = new Map();
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+        for (let f = 0; f < triangles.length / 3; f++) {
+            const [ia, ib, ic] = triangles.slice(f * 3, f * 3 + 3);
+            a.fromArray(positions, ia * 3);
+            b.fromArray(positions, ib * 3);
+            c.fromArray(positions, ic * 3);
+            const normal = c.sub(b).cross(a.sub(b));
+            if (normal.lengthSq() < 1e-20 || ia === ib || ib === ic || ia === ic) continue;
+            normal.normalize().toArray(normals, f * 3);
+
+            [[ia, ib], [ib, ic], [ic, ia]].forEach(([p, q]) => {
+                const key = p < q ? `${p}_${q}` : `${q}_${p}`;
+                if (!edges.has(key)) edges.set(key, { a: Math.min(p, q), b: Math.max(p, q), faces: [] });
+                edges.get(key).faces.push(f);
+            });
+        }
+
+        // Creases, open borders and non-manifold edges are always candidates
+        const crease = Math.cos(THREE.MathUtils.degToRad(DRAWING_CREASE_ANGLE));
+        const edgeList = [...edges.values()];
+        edgeList.forEach(edge => {
+            if (edge.faces.length !== 2) {
+                edge.feature = true;
+                return;
+            }
+            const [f, g] = edge.faces;
+            const dot = normals[f * 3] * normals[g * 3]
+                + normals[f * 3 + 1] * normals[g * 3 + 1]
+                + normals[f * 3 + 2] * normals[g * 3 + 2];
+            edge.feature = dot < crease;
+        });
+
+        return { positions: positions, triangles: triangles, normals: normals, edges: edgeList };
+    }
+
+    /**
+     * Project the model into one view and split candidate edges into visible
+     * and hidden runs with a software depth buffer: { visible, hidden, bounds }
+     */
+    _projectView(model, view) {
+        const { positions, triangles, normals, edges } = model;
+        const count = positions.length / 3;
+        const u = new Float64Array(count);
+        const v = new Float64Array(count);
+        const depth = new Float64Array(count);
+        const bounds = { minU: Infinity, maxU: -Infinity, minV: Infinity, maxV: -Infinity };
+
+        for (let i = 0; i < count; i++) {
+            const x = positions[i * 3];
+            const y = positions[i * 3 + 1];
+            const z = positions[i * 3 + 2];
+            u[i] = x * view.u[0] + y * view.u[1] + z * view.u[2];
+            v[i] = x * view.v[0] + y * view.v[1] + z * view.v[2];
+            depth[i] = x * view.d[0] + y * view.d[1] + z * view.d[2];
+            bounds.minU = Math.min(bounds.minU, u[i]);
+            bounds.maxU = Math.max(bounds.maxU, u[i]);
+            bounds.minV = Math.min(bounds.minV, v[i]);
+            bounds.maxV = Math.max(bounds.maxV, v[i]);
+        }
+
+        const span = Math.max(bounds.maxU - bounds.minU, bounds.maxV - bounds.minV, 1e-6);
+        const grid = {
+            size: span / DRAWING_DEPTH_RESOLUTION,
+            originU: bounds.minU - span / DRAWING_DEPTH_RESOLUTION,
+            originV: bounds.minV - span / DRAWING_DEPTH_RESOLUTION
+        };
+        grid.width = Math.ceil((bounds.maxU - grid.originU) / grid.size) + 2;
+        grid.height = Math.ceil((bounds.maxV - grid.originV) / grid.size) + 2;
+        const toX = i => (u[i] - grid.originU) / grid.size;
+        const toY = i => (v[i] - grid.originV) / grid.size;
+
+        const buffer = this._depthBuffer(triangles, toX, toY, depth, grid);
+        const tolerance = grid.size * 3;
+
+        // Nearest surface around a pixel; the edge's own faces always count
+        const nearest = (x, y) => {
+            let min = Infinity;
+            for (let j = Math.max(0, y - 1); j <= Math.min(grid.height - 1, y + 1); j++) {
+                for (let i = Math.max(0, x - 1); i <= Math.min(grid.width - 1, x + 1); i++) {
+                    min = Math.min(min, buffer[j * grid.width + i]);
+                }
+            }
+            return min;
+        };
+
+        const facing = f => normals[f * 3] * view.d[0] + normals[f * 3 + 1] * view.d[1] + normals[f * 3 + 2] * view.d[2];
+        const visible = [];
+        const hidden = [];
+
+        edges.forEach(edge => {
+            const silhouette = edge.faces.length === 2 && (facing(edge.faces[0]) > 0) !== (facing(edge.faces[1]) > 0);
+            if (!edge.feature && !silhouette) return;
+
+            const { a, b } = edge;
+            const length = Math.hypot(toX(b) - toX(a), toY(b) - toY(a));
+            if (length < 0.5) return;  // Seen end-on
+
+            // Classify one sample per pixel step, then merge runs
+            const steps = Math.max(1, Math.ceil(length));
+            let runStart = 0;
+            let runVisible = null;
+            for (let s = 0; s <= steps; s++) {
+                let shown = runVisible;
+                if (s < steps) {
+                    const t = (s + 0.5) / steps;
+                    const x = toX(a) + (toX(b) - toX(a)) * t;
+                    const y = toY(a) + (toY(b) - toY(a)) * t;
+                    const d = depth[a] + (depth[b] - depth[a]) * t;
+                    shown = d >= nearest(Math.floor(x), Math.floor(y)) - tolerance;
+                }
+                if (s === steps || (runVisible !== null && shown !== runVisible)) {
+                    const t0 = runStart / steps;
+                    const t1 = s / steps;
+                    (runVisible ? visible : hidden).push([
+                        u[a] + (u[b] - u[a]) * t0, v[a] + (v[b] - v[a]) * t0,
+                        u[a] + (u[b] - u[a]) * t1, v[a] + (v[b] - v[a]) * t1
+                    ]);
+                    runStart = s;
+                }
+                runVisible = shown;
+            }
+        });
+
+        return { view: view, visible: visible, hidden: hidden, bounds: bounds };
+    }
+
+    /**
+     * Rasterize triangles keeping the depth nearest the viewer per pixel
+     */
+    _depthBuffer(triangles, toX, toY, depth, grid) {
+        const buffer = new Float32Array(grid.width * grid.height).fill(-Infinity);
+
+        for (let t = 0; t + 2 < triangles.length; t += 3) {
+            const ia = triangles[t];
+            const ib = triangles[t + 1];
+            const ic = triangles[t + 2];
+            const ax = toX(ia), ay = toY(ia);
+            const bx = toX(ib), by = toY(ib);
+            const cx = toX(ic), cy = toY(ic);
+            const area = (bx - ax) * (cy - ay) - (cx - ax) * (by - ay);
+            if (Math.abs(area) < 1e-9) continue;
+
+            const x0 = Math.max(0, Math.floor(Math.min(ax, bx, cx)));
+            const x1 = Math.min(grid.width - 1, Math.ceil(Math.max(ax, bx, cx)));
+            const y0 = Math.max(0, Math.floor(Math.min(ay, by, cy)));
+            const y1 = Math.min(grid.height - 1, Math.ceil(Math.max(ay, by, cy)));
+
+            for (let y = y0; y <= y1; y++) {
+                const py = y + 0.5;
+                for (let x = x0; x <= x1; x++) {
+                    const px = x + 0.5;
+                    const wa = ((bx - px) * (cy - py) - (cx - px) * (by - py)) / area;
+                    const wb = ((cx - px) * (ay - py) - (ax - px) * (cy - py)) / area;
+                    const wc = 1 - wa - wb;
+                    if (wa < -1e-6 || wb < -1e-6 || wc < -1e-6) continue;
+
+                    const d = wa * depth[ia] + wb * depth[ib] + wc * depth[ic];
+                    const index = y * grid.width + x;
+                    if (d > buffer[index]) buffer[index] = d;
+                }
+            }
+        }
+        return buffer;
+    }
+
+    _shown(object) {
+        for (let node = object; node && node !== this.object.parent; node = node.parent) {
+            if (!node.visible) return false;
+        }
+        return true;
+    }
+
+    // ---- Layout ----
+
+    /**
+     * Pick the largest standard scale that fits the three views above the
+     * title band, and place them: top above front, right beside front
+     */
+    _layout(views, width, height) {
+        const margin = 10;
+        const band = 45;  // Title block and notes along the bottom
+        const gap = 25;  // Between views, room for dimensions
+        const area = { x: margin + 5, y: margin + 5, width: width - 2 * margin - 10, height: height - 2 * margin - band - 15 };
+
+        const size = name => {
+            const b = views[name].bounds;
+            return { u: b.maxU - b.minU, v: b.maxV - b.minV };
+        };
+        const front = size('front');
+        const top = size('top');
+        const right = size('right');
+
+        // Dimension room: left of and below the front and right views
+        const extent = scale => ({
+            width: 14 + front.u * scale + gap + right.u * scale,
+            height: top.v * scale + gap + front.v * scale + 22
+        });
+        const scale = DRAWING_SCALES.find(s => {
+            const e = extent(s);
+            return e.width <= area.width && e.height <= area.height;
+        }) || DRAWING_SCALES[DRAWING_SCALES.length - 1];
+
+        const e = extent(scale);
+        const left = area.x + (area.width - e.width) / 2 + 14;
+        const topY = area.y + (area.height - e.height) / 2;
+        const frontTop = topY + top.v * scale + gap;
+
+        const place = (name, x, y) => ({ x: x, y: y, scale: scale, bounds: views[name].bounds });
+        return {
+            scale: scale,
+            margin: margin,
+            band: band,
+            views: {
+                top: place('top', left, topY),
+                front: place('front', left, frontTop),
+                right: place('right', left + front.u * scale + gap, frontTop)
+            }
+        };
+    }
+
+    /**
+     * Sheet position of a view-space point
+     */
+    _toSheet(placement, u, v) {
+        return {
+            x: placement.x + (u - placement.bounds.minU) * placement.scale,
+            y: placement.y + (placement.bounds.maxV - v) * placement.scale
+        };
+    }
+
+    _drawView(projection, placement, label) {
+        const segments = this.hiddenLines ? [['hidden', projection.hidden], ['visible', projection.visible]] : [['visible', projection.visible]];
+        segments.forEach(([layer, lines]) => {
+            lines.forEach(([u1, v1, u2, v2]) => {
+                const p = this._toSheet(placement, u1, v1);
+                const q = this._toSheet(placement, u2, v2);
+                this._line(p.x, p.y, q.x, q.y, layer);
+            });
+        });
+
+        const bottom = this._toSheet(placement, placement.bounds.minU, placement.bounds.minV);
+        const right = this._toSheet(placement, placement.bounds.maxU, placement.bounds.minV);
+        this._text((bottom.x + right.x) / 2, bottom.y + (label === 'TOP' ? 6 : 19), label, 3, 'middle', 0, 'title');
+    }
+
+    /**
+     * Width and height under the front view and depth under the right view,
+     * labelled with the mesh info when given
+     */
+    _overallDimensions(views, layout) {
+        const dims = this.dimensions || {};
+        const label = (value, measured) => Number(value !== undefined ? value : measured).toFixed(2);
+
+        const front = layout.views.front;
+        const fb = front.bounds;
+        const bl = this._toSheet(front, fb.minU, fb.minV);
+        const br = this._toSheet(front, fb.maxU, fb.minV);
+        const tl = this._toSheet(front, fb.minU, fb.maxV);
+        this._dimension(bl, br, { x: 0, y: 1 }, 8, label(dims.x, fb.maxU - fb.minU));
+        this._dimension(tl, bl, { x: -1, y: 0 }, 8, label(dims.y, fb.maxV - fb.minV));
+
+        const right = layout.views.right;
+        const rb = right.bounds;
+        this._dimension(
+            this._toSheet(right, rb.minU, rb.minV),
+            this._toSheet(right, rb.maxU, rb.minV),
+            { x: 0, y: 1 }, 8, label(dims.z, rb.maxU - rb.minU)
+        );
+    }
+
+    /**
+     * Linear dimension between two sheet points, offset along normal, with
+     * extension lines, arrowheads and the text above the line
+     */
+    _dimension(a, b, normal, offset, text, layer = 'dimension') {
+        const p = { x: a.x + normal.x * offset, y: a.y + normal.y * offset };
+        const q = { x: b.x + normal.x * offset, y: b.y + normal.y * offset };
+        if (offset > 0) {
+            const over = offset + 1.5;
+            this._line(a.x + normal.x, a.y + normal.y, a.x + normal.x * over, a.y + normal.y * over, layer);
+            this._line(b.x + normal.x, b.y + normal.y, b.x + normal.x * over, b.y + normal.y * over, layer);
+        }
+        this._line(p.x, p.y, q.x, q.y, layer);
+        this._arrow(p, q, layer);
+        this._arrow(q, p, layer);
+
+        // Text reads left to right or bottom to top
+        let angle = Math.atan2(q.y - p.y, q.x - p.x) * 180 / Math.PI;
+        if (angle > 90) angle -= 180;
+        if (angle <= -90) angle += 180;
+        const radians = angle * Math.PI / 180;
+        const up = { x: Math.sin(radians), y: -Math.cos(radians) };
+        this._text((p.x + q.x) / 2 + up.x * 1, (p.y + q.y) / 2 + up.y * 1, text, 3, 'middle', angle, layer);
+    }
+
+    /**
+     * Filled arrowhead with its tip at tip, pointing away from from
+     */
+    _arrow(tip, from, layer) {
+        const length = Math.hypot(from.x - tip.x, from.y - tip.y);
+        if (length < 1e-6) return;
+        const dx = (from.x - tip.x) / length;
+        const dy = (from.y - tip.y) / length;
+        const size = Math.min(2.5, length / 3);
+        const base = { x: tip.x + dx * size, y: tip.y + dy * size };
+        this.items.push({
+            type: 'poly',
+            layer: layer,
+            points: [tip, { x: base.x - dy * size * 0.3, y: base.y + dx * size * 0.3 }, { x: base.x + dy * size * 0.3, y: base.y - dx * size * 0.3 }]
+        });
+    }
+
+    /**
+     * Place each measurement in the view that shows it best, tagged with its number
+     */
+    _measurementAnnotations(layout) {
+        const project = (name, point) => {
+            const view = DRAWING_VIEWS[name];
+            const u = point.x * view.u[0] + point.y * view.u[1] + point.z * view.u[2];
+            const v = point.x * view.v[0] + point.y * view.v[1] + point.z * view.v[2];
+            return this._toSheet(layout.views[name], u, v);
+        };
+        const along = (direction, name) => Math.abs(direction.dot(new THREE.Vector3().fromArray(DRAWING_VIEWS[name].d)));
+        const best = score => Object.keys(DRAWING_VIEWS).reduce((a, b) => (score(b) > score(a) ? b : a));
+
+        this.measurements.forEach(m => {
+            const points = m.points;
+            const tag = `(${m.id})`;
+
+            if ((m.type === 'distance' || m.type === 'face_distance') && points.length === 2) {
+                // Least foreshortened view
+                const direction = points[1].clone().sub(points[0]).normalize();
+                const name = best(n => -along(direction, n));
+                this._dimension(project(name, points[0]), project(name, points[1]), { x: 0, y: 0 }, 0,
+                    `${m.value.toFixed(2)} ${tag}`, 'annotation');
+            } else if (m.type === 'diameter' && m.outline) {
+                // View looking down the hole's axis
+                const center = points[0];
+                const outline = m.outline;
+                const axis = outline[0].clone().sub(center).cross(outline[16].clone().sub(center)).normalize();
+                const name = best(n => along(axis, n));
+                const rim = project(name, outline[8]);
+                this._leader(rim, `Ø${m.value.toFixed(2)} ${tag}`);
+            } else {
+                const anchor = project('front', m.anchor);
+                this._leader(anchor, `${m.value.toFixed(2)}${m.unit === '°' ? '°' : ` ${m.unit}`} ${tag}`);
+            }
+        });
+    }
+
+    _leader(point, text) {
+        const elbow = { x: point.x + 6, y: point.y - 6 };
+        this._line(point.x, point.y, elbow.x, elbow.y, 'annotation');
+        this._line(elbow.x, elbow.y, elbow.x + 4, elbow.y, 'annotation');
+        this._arrow(point, elbow, 'annotation');
+        this._text(elbow.x + 5, elbow.y + 1, text, 2.5, 'start', 0, 'annotation');
+    }
+
+    // ---- Sheet furniture ----
+
+    _border(width, height) {
+        this._rect(10, 10, width - 20, height - 20, 'border');
+    }
+
+    /**
+     * Parameter values and measurements in columns left of the title block
+     */
+    _notes(layout) {
+        const { width, height } = this.sheetSize;
+        const rows = [];
+        if (this.parameters.length > 0) {
+            rows.push({ text: 'PARAMETERS', heading: true });
+            this.parameters.forEach(p => rows.push({ text: `${p.label} = ${p.value}` }));
+        }
+        if (this.measurements.length > 0) {
+            rows.push({ text: 'MEASUREMENTS', heading: true });
+            this.measurements.forEach(m => {
+                const value = `${m.value.toFixed(2)}${m.unit === '°' ? '°' : ` ${m.unit}`}`;
+                rows.push({ text: `(${m.id}) ${MEASURE_MODES[m.type] ? MEASURE_MODES[m.type].label : m.type}: ${value}` });
+            });
+        }
+        if (rows.length === 0) return;
+
+        const top = height - layout.margin - layout.band + 5;
+        const rowHeight = 4.5;
+        const perColumn = Math.floor((layout.band - 6) / rowHeight);
+        const columnWidth = 62;
+        const columns = Math.floor((width - 2 * layout.margin - 120 - 4) / columnWidth);
+        const capacity = perColumn * columns;
+
+        const shown = rows.length > capacity ? rows.slice(0, capacity - 1).concat({ text: `… ${rows.length - capacity + 1} more` }) : rows;
+        shown.forEach((row, i) => {
+            const x = layout.margin + 4 + Math.floor(i / perColumn) * columnWidth;
+            const y = top + (i % perColumn) * rowHeight;
+            this._text(x, y, this._fit(row.text, columnWidth - 4, row.heading ? 2.5 : 2.2), row.heading ? 2.5 : 2.2, 'start', 0, row.heading ? 'title' : 'annotation');
+        });
+        this._line(layout.margin, height - layout.margin - layout.band, width - layout.margin, height - layout.margin - layout.band, 'title');
+    }
+
+    _titleBlock(layout) {
+        const { width, height } = this.sheetSize;
+        const w = 120;
+        const x = width - layout.margin - w;
+        const y = height - layout.margin - layout.band;
+        const rows = [layout.band - 20, 10, 10];
+        this._rect(x, y, w, layout.band, 'title');
+        this._line(x, y + rows[0], x + w, y + rows[0], 'title');
+        this._line(x, y + rows[0] + rows[1], x + w, y + rows[0] + rows[1], 'title');
+
+        const cell = (cx, cy, cw, label, value, size = 3) => {
+            this._text(cx + 1.5, cy + 3, label, 1.8, 'start', 0, 'annotation');
+            this._text(cx + 1.5, cy + 8, this._fit(value, cw - 3, size), size, 'start', 0, 'title');
+        };
+
+        this._text(x + 1.5, y + 3, 'TITLE', 1.8, 'start', 0, 'annotation');
+        this._text(x + 3, y + rows[0] / 2 + 3, this._fit(this.title, w - 6, 6), 6, 'start', 0, 'title');
+
+        const dims = this.dimensions;
+        const third = w / 3;
+        [
+            ['SCALE', this._scaleLabel(layout.scale)],
+            ['UNITS', 'mm'],
+            ['PROJECTION', 'Third angle']
+        ].forEach(([label, value], i) => cell(x + i * third, y + rows[0], third, label, value));
+        [
+            ['DATE', this.date],
+            ['SHEET', `${this.sheetSize.label} landscape`],
+            ['SIZE', dims ? `${dims.x} × ${dims.y} × ${dims.z}` : '']
+        ].forEach(([label, value], i) => cell(x + i * third, y + rows[0] + rows[1], third, label, value));
+        [1, 2].forEach(i => this._line(x + i * third, y + rows[0], x + i * third, y + layout.band, 'title'));
+    }
+
+    _scaleLabel(scale) {
+        return scale >= 1 ? `${scale}:1` : `1:${Math.round(1 / scale)}`;
+    }
+
+    /**
+     * Trim text to roughly fit a width in mm
+     */
+    _fit(text, width, size) {
+        const max = Math.floor(width / (size * 0.55));
+        text = String(text);
+        return text.length > max ? `${text.slice(0, Math.max(max - 1, 1))}…` : text;
+    }
+
+    _line(x1, y1, x2, y2, layer) {
+        this.items.push({ type: 'line', layer: layer, x1: x1, y1: y1, x2: x2, y2: y2 });
+    }
+
+    _rect(x, y, w, h, layer) {
+        this._line(x, y, x + w, y, layer);
+        this._line(x + w, y, x + w, y + h, layer);
+        this._line(x + w, y + h, x, y + h, layer);
+        this._line(x, y + h, x, y, layer);
+    }
+
+    /**
+     * Text with its baseline at (x, y); anchor is 'start', 'middle' or 'end';
+     * angle in degrees, clockwise on the sheet
+     */
+    _text(x, y, text, size, anchor, angle, layer) {
+        this.items.push({ type: 'text', layer: layer, x: x, y: y, text: String(text), size: size, anchor: anchor, angle: angle });
+    }
+
+    // ---- Writers ----
+
+    toSVG() {
+        const { width, height, items } = this.build();
+        const n = value => +value.toFixed(3);
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        const out = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">`,
+            `<rect width="${width}" height="${height}" fill="#fff"/>`
+        ];
+
+        for (const [layer, style] of Object.entries(DRAWING_LAYERS)) {
+            const dash = style.dash ? ` stroke-dasharray="${style.dash.join(' ')}"` : '';
+            out.push(`<g id="${layer}" stroke="#000" stroke-width="${style.width}" stroke-linecap="round" fill="none"${dash}>`);
+            items.filter(item => item.layer === layer).forEach(item => {
+                if (item.type === 'line') {
+                    out.push(`<line x1="${n(item.x1)}" y1="${n(item.y1)}" x2="${n(item.x2)}" y2="${n(item.y2)}"/>`);
+                } else if (item.type === 'poly') {
+                    out.push(`<polygon points="${item.points.map(p => `${n(p.x)},${n(p.y)}`).join(' ')}" fill="#000" stroke="none"/>`);
+                } else if (item.type === 'text') {
+                    const rotate = item.angle ? ` transform="rotate(${n(item.angle)} ${n(item.x)} ${n(item.y)})"` : '';
+                    out.push(`<text x="${n(item.x)}" y="${n(item.y)}" font-family="Helvetica, Arial, sans-serif" font-size="${item.size}" text-anchor="${item.anchor}" fill="#000" stroke="none"${rotate}>${escape(item.text)}</text>`);
+                }
+            });
+            out.push('</g>');
+        }
+
+        out.push('</svg>');
+        return out.join('\n');
+    }
+
+    /**
+     * Single-page PDF 1.4 with Helvetica; text outside WinAnsi becomes '?'
+     */
+    toPDF() {
+        const { width, height, items } = this.build();
+        const k = 72 / 25.4;
+        const X = x => (x * k).toFixed(2);
+        const Y = y => ((height - y) * k).toFixed(2);
+        const ops = ['0 0 0 RG 0 0 0 rg 1 J 1 j'];
+
+        for (const [layer, style] of Object.entries(DRAWING_LAYERS)) {
+            ops.push(`${(style.width * k).toFixed(2)} w [${(style.dash || []).map(d => (d * k).toFixed(2)).join(' ')}] 0 d`);
+            items.filter(item => item.layer === layer).forEach(item => {
+                if (item.type === 'line') {
+                    ops.push(`${X(item.x1)} ${Y(item.y1)} m ${X(item.x2)} ${Y(item.y2)} l S`);
+                } else if (item.type === 'poly') {
+                    const [first, ...rest] = item.points;
+                    ops.push(`${X(first.x)} ${Y(first.y)} m ${rest.map(p => `${X(p.x)} ${Y(p.y)} l`).join(' ')} h f`);
+                } else if (item.type === 'text') {
+                    const text = this._latin1(item.text);
+                    const radians = -item.angle * Math.PI / 180;
+                    const cos = Math.cos(radians);
+                    const sin = Math.sin(radians);
+                    const shift = { start: 0, middle: 0.5, end: 1 }[item.anchor] * text.length * item.size * 0.55;
+                    const x = item.x * k - cos * shift * k;
+                    const y = (height - item.y) * k - sin * shift * k;
+                    const escaped = text.replace(/[\\()]/g, ch => `\\${ch}`);
+                    ops.push(`BT /F1 ${(item.size * k).toFixed(2)} Tf ${cos.toFixed(4)} ${sin.toFixed(4)} ${(-sin).toFixed(4)} ${cos.toFixed(4)} ${x.toFixed(2)} ${y.toFixed(2)} Tm (${escaped}) Tj ET`);
+                }
+            });
+        }
+
+        const content = ops.join('\n');
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${X(width)} ${(height * k).toFixed(2)}] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+        ];
+
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((body, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        // One byte per character; _latin1 kept every text character below 256
+        return Uint8Array.from(pdf, ch => ch.charCodeAt(0));
+    }
+
+    /**
+     * AutoCAD R12 ASCII DXF: one layer per sheet layer, DASHED for hidden lines
+     */
+    toDXF() {
+        const { width, height, items } = this.build();
+        const out = [];
+        const pair = (code, value) => out.push(String(code), String(value));
+        const n = value => value.toFixed(4);
+        const Y = y => height - y;
+
+        pair(0, 'SECTION'); pair(2, 'HEADER');
+        pair(9, '$ACADVER'); pair(1, 'AC1009');
+        pair(9, '$INSUNITS'); pair(70, 4);
+        pair(9, '$EXTMIN'); pair(10, 0); pair(20, 0);
+        pair(9, '$EXTMAX'); pair(10, width); pair(20, height);
+        pair(0, 'ENDSEC');
+
+        pair(0, 'SECTION'); pair(2, 'TABLES');
+        pair(0, 'TABLE'); pair(2, 'LTYPE'); pair(70, 2);
+        pair(0, 'LTYPE'); pair(2, 'CONTINUOUS'); pair(70, 0); pair(3, 'Solid line'); pair(72, 65); pair(73, 0); pair(40, 0);
+        pair(0, 'LTYPE'); pair(2, 'DASHED'); pair(70, 0); pair(3, '__ __ __'); pair(72, 65); pair(73, 2); pair(40, 3); pair(49, 2); pair(49, -1);
+        pair(0, 'ENDTAB');
+        pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, Object.keys(DRAWING_LAYERS).length);
+        for (const [layer, style] of Object.entries(DRAWING_LAYERS)) {
+            pair(0, 'LAYER'); pair(2, layer.toUpperCase()); pair(70, 0); pair(62, style.color); pair(6, style.dash ? 'DASHED' : 'CONTINUOUS');
+        }
+        pair(0, 'ENDTAB');
+        pair(0, 'ENDSEC');
+
+        pair(0, 'SECTION'); pair(2, 'ENTITIES');
+        items.forEach(item => {
+            const layer = item.layer.toUpperCase();
+            if (item.type === 'line') {
+                pair(0, 'LINE'); pair(8, layer);
+                pair(10, n(item.x1)); pair(20, n(Y(item.y1))); pair(30, 0);
+                pair(11, n(item.x2)); pair(21, n(Y(item.y2))); pair(31, 0);
+            } else if (item.type === 'poly') {
+                // SOLID wants four corners; a triangle repeats the last
+                const [a, b, c] = item.points;
+                pair(0, 'SOLID'); pair(8, layer);
+                [a, b, c, c].forEach((p, i) => {
+                    pair(10 + i, n(p.x)); pair(20 + i, n(Y(p.y))); pair(30 + i, 0);
+                });
+            } else if (item.type === 'text') {
+                const align = { start: 0, middle: 1, end: 2 }[item.anchor];
+                pair(0, 'TEXT'); pair(8, layer);
+                pair(10, n(item.x)); pair(20, n(Y(item.y))); pair(30, 0);
+                pair(40, item.size);
+                pair(1, this._dxfText(item.text));
+                if (item.angle) pair(50, n(-item.angle));
+                if (align) {
+                    pair(72, align);
+                    pair(11, n(item.x)); pair(21, n(Y(item.y))); pair(31, 0);
+                }
+            }
+        });
+        pair(0, 'ENDSEC');
+        pair(0, 'EOF');
+        return out.join('\n') + '\n';
+    }
+
+    _latin1(text) {
+        return text.replace(/…/g, '...').replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+    }
+
+    /**
+     * DXF control codes for the symbols drawings use; other non-ASCII becomes '?'
+     */
+    _dxfText(text) {
+        return text
+            .replace(/°/g, '%%d')
+            .replace(/Ø/g, '%%c')
+            .replace(/±/g, '%%p')
+            .replace(/…/g, '...')
+            .replace(/[^\x20-\x7e]/g, '?');
+    }
+}
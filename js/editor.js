@@ -9,6 +9,7 @@ class Editor {
         this.editor = null;
         this.currentCode = '';
         this.isReady = false;
+        this.changeSource = 'user';  // Who is changing the buffer: 'user', 'api' or 'stream'
 
         this._init();
     }
@@ -51,6 +52,9 @@ class Editor {
             }
         });
 
+        // Completion, hover and signature help for part scripts
+        PythonLanguage.register();
+
         // Create editor
         this.editor = monaco.editor.create(container, {
             value: this._getDefaultCode(),
@@ -74,6 +78,46 @@ class Editor {
             this.currentCode = this.editor.getValue();
             this._onCodeChange();
         });
+
+        document.dispatchEvent(new CustomEvent('editorReady', {
+            detail: { code: this.editor.getValue() }
+        }));
+    }
+
+    /**
+     * Replace the buffer programmatically, tagging change events with a source
+     */
+    _replaceValue(code, source) {
+        this.changeSource = source;
+        try {
+            this.editor.setValue(code);
+        } finally {
+            this.changeSource = 'user';
+        }
+        this.currentCode = code;
+    }
+
+    /**
+     * Replace a character range in place. Unlike setCode this keeps the
+     * cursor and Monaco's undo stack.
+     */
+    applyEdit(start, end, text, source = 'api') {
+        if (!this.editor) return;
+
+        const model = this.editor.getModel();
+        const from = model.getPositionAt(start);
+        const to = model.getPositionAt(end);
+        this.changeSource = source;
+        try {
+            this.editor.executeEdits(source, [{
+                range: new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column),
+                text: text,
+                forceMoveMarkers: true
+            }]);
+            this.editor.pushUndoStop();
+        } finally {
+            this.changeSource = 'user';
+        }
     }
 
     _getDefaultCode() {
@@ -99,7 +143,7 @@ def generate(params):
     _onCodeChange() {
         // Dispatch custom event for code changes
         const event = new CustomEvent('codeChanged', {
-            detail: { code: this.currentCode }
+            detail: { code: this.currentCode, source: this.changeSource }
         });
         document.dispatchEvent(event);
     }
@@ -109,14 +153,24 @@ def generate(params):
      */
     setCode(code) {
         if (this.editor) {
-            this.editor.setValue(code);
-            this.currentCode = code;
+            this._replaceValue(code, 'api');
         } else {
             // Editor not ready yet, wait and retry
             setTimeout(() => this.setCode(code), 100);
         }
     }
 
+    /**
+     * Show code that is still arriving from the model, keeping the newest
+     * line in view. Unlike setCode this does not wait for the editor to load.
+     */
+    showStreamingCode(code) {
+        if (!this.editor) return;
+
+        this._replaceValue(code, 'stream');
+        this.editor.revealLine(this.editor.getModel().getLineCount());
+    }
+
     /**
      * Get editor content
      */
@@ -163,6 +217,52 @@ def generate(params):
         ]);
     }
 
+    /**
+     * Replace the markers of one diagnostics source ('validate', 'run').
+     * Diagnostics without a location go on line 1.
+     */
+    setDiagnostics(owner, diagnostics) {
+        if (!this.editor) return;
+
+        const model = this.editor.getModel();
+        const lineCount = model.getLineCount();
+        const severities = {
+            error: monaco.MarkerSeverity.Error,
+            warning: monaco.MarkerSeverity.Warning,
+            info: monaco.MarkerSeverity.Info
+        };
+
+        monaco.editor.setModelMarkers(model, owner, diagnostics.map(d => {
+            const line = Math.min(Math.max(d.line || 1, 1), lineCount);
+            const endLine = Math.min(Math.max(d.endLine || line, line), lineCount);
+            const endMax = model.getLineMaxColumn(endLine);
+            const startColumn = d.column
+                ? Math.min(d.column, model.getLineMaxColumn(line))
+                : model.getLineFirstNonWhitespaceColumn(line) || 1;
+            return {
+                startLineNumber: line,
+                startColumn: startColumn,
+                endLineNumber: endLine,
+                endColumn: d.column && d.endColumn ? Math.min(d.endColumn, endMax) : endMax,
+                message: d.message,
+                severity: severities[d.severity] || severities.error,
+                source: d.source || undefined
+            };
+        }));
+    }
+
+    /**
+     * Move the cursor to a position and scroll it into view
+     */
+    revealPosition(lineNumber, column = 1) {
+        if (!this.editor) return;
+
+        const position = { lineNumber: lineNumber, column: column || 1 };
+        this.editor.setPosition(position);
+        this.editor.revealPositionInCenter(position);
+        this.editor.focus();
+    }
+
     /**
      * Clear all markers
      */
@@ -170,8 +270,9 @@ def generate(params):
         if (!this.editor) return;
 
         const model = this.editor.getModel();
-        monaco.editor.setModelMarkers(model, 'errors', []);
-        monaco.editor.setModelMarkers(model, 'warnings', []);
+        ['errors', 'warnings', 'validate', 'run', 'lint'].forEach(owner => {
+            monaco.editor.setModelMarkers(model, owner, []);
+        });
     }
 
     /**
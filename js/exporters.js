@@ -0,0 +1,389 @@
+/**
+ * TeXmExDeX Type Modeler - Mesh Exporters
+ * Serializes the loaded viewer mesh in the browser (STL, OBJ, PLY, 3MF, GLB)
+ */
+
+// Export formats offered in the export menu
+const EXPORT_FORMATS = {
+    stl: { label: 'STL (binary)', extension: 'stl', mimeType: 'model/stl' },
+    stl_ascii: { label: 'STL (ASCII)', extension: 'stl', mimeType: 'model/stl' },
+    obj: { label: 'OBJ', extension: 'obj', mimeType: 'model/obj' },
+    ply: { label: 'PLY', extension: 'ply', mimeType: 'application/octet-stream' },
+    '3mf': { label: '3MF', extension: '3mf', mimeType: 'model/3mf' },
+    glb: { label: 'GLB', extension: 'glb', mimeType: 'model/gltf-binary' }
+};
+
+// Namespace for the parameter values written as 3MF object metadata
+const EXPORT_3MF_NAMESPACE = 'urn:texmexdex:3mf:parameters';
+
+class MeshExporter {
+    /**
+     * @param {THREE.Object3D} object - Root of the mesh to export (usually viewer.currentMesh)
+     * @param {Object} options - { name, units, metadata, partMetadata, hiddenParts } where
+     *   partMetadata maps an assembly part id to the metadata of its meshes
+     *   and hiddenParts lists the part ids to leave out
+     */
+    constructor(object, options = {}) {
+        this.object = object;
+        this.name = options.name || 'model';
+        this.units = options.units || 'millimeter';
+        this.metadata = options.metadata || {};
+        this.partMetadata = options.partMetadata || {};
+        this.hiddenParts = options.hiddenParts || [];
+    }
+
+    /**
+     * Export to one of EXPORT_FORMATS, resolving to a Blob
+     */
+    async export(format) {
+        const spec = EXPORT_FORMATS[format];
+        if (!spec) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+        if (!this.object) {
+            throw new Error('No mesh loaded');
+        }
+
+        let data;
+        switch (format) {
+            case 'stl':
+                data = this.toBinarySTL();
+                break;
+            case 'stl_ascii':
+                data = this.toAsciiSTL();
+                break;
+            case 'obj':
+                data = this.toOBJ();
+                break;
+            case 'ply':
+                data = this.toPLY();
+                break;
+            case '3mf':
+                return await this.to3MF();
+            case 'glb':
+                data = await this.toGLB();
+                break;
+        }
+
+        return new Blob([data], { type: spec.mimeType });
+    }
+
+    /**
+     * Collect world-space triangle data for every mesh under the root.
+     * The viewer is Y-up; printable formats are Z-up, so positions are
+     * rotated +90° about X unless yUp is requested.
+     */
+    _collectParts(yUp = false) {
+        const parts = [];
+        const vertex = new THREE.Vector3();
+
+        this.object.updateMatrixWorld(true);
+        this.object.traverse((child) => {
+            if (!child.isMesh || !child.geometry) return;
+
+            // Assembly part the mesh belongs to, tagged on its part root by the viewer.
+            // Object3D.visible also follows isolation and split view, so it is not consulted.
+            let owner = child;
+            while (owner && owner.userData.partId === undefined && owner !== this.object) {
+                owner = owner.parent;
+            }
+            const partId = owner ? owner.userData.partId : undefined;
+            if (this.hiddenParts.includes(partId)) return;
+
+            const geometry = child.geometry;
+            const source = geometry.attributes.position;
+            const positions = new Float32Array(source.count * 3);
+
+            for (let i = 0; i < source.count; i++) {
+                vertex.fromBufferAttribute(source, i).applyMatrix4(child.matrixWorld);
+                positions[i * 3] = vertex.x;
+                positions[i * 3 + 1] = yUp ? vertex.y : -vertex.z;
+                positions[i * 3 + 2] = yUp ? vertex.z : vertex.y;
+            }
+
+            let indices;
+            if (geometry.index) {
+                indices = Uint32Array.from(geometry.index.array);
+            } else {
+                indices = new Uint32Array(source.count);
+                for (let i = 0; i < source.count; i++) indices[i] = i;
+            }
+
+            parts.push({
+                name: child.name || `${this.name}_${parts.length + 1}`,
+                partId: partId,
+                positions: positions,
+                indices: indices
+            });
+        });
+
+        if (parts.length === 0) {
+            throw new Error('Mesh has no triangles to export');
+        }
+        return parts;
+    }
+
+    /**
+     * Iterate triangles across all parts as [a, b, c, normal] vectors
+     */
+    _forEachTriangle(parts, fn) {
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        const ab = new THREE.Vector3();
+        const ac = new THREE.Vector3();
+
+        parts.forEach(part => {
+            const { positions, indices } = part;
+            for (let i = 0; i + 2 < indices.length; i += 3) {
+                a.fromArray(positions, indices[i] * 3);
+                b.fromArray(positions, indices[i + 1] * 3);
+                c.fromArray(positions, indices[i + 2] * 3);
+                ab.subVectors(b, a);
+                ac.subVectors(c, a);
+                normal.crossVectors(ab, ac).normalize();
+                fn(a, b, c, normal);
+            }
+        });
+    }
+
+    _triangleCount(parts) {
+        return parts.reduce((sum, part) => sum + Math.floor(part.indices.length / 3), 0);
+    }
+
+    /**
+     * Binary STL: 80-byte header, triangle count, 50 bytes per triangle
+     */
+    toBinarySTL() {
+        const parts = this._collectParts();
+        const count = this._triangleCount(parts);
+        const buffer = new ArrayBuffer(84 + count * 50);
+        const view = new DataView(buffer);
+
+        const header = `TeXmExDeX Type Modeler - ${this.name}`.slice(0, 80);
+        for (let i = 0; i < header.length; i++) {
+            view.setUint8(i, header.charCodeAt(i) & 0x7f);
+        }
+        view.setUint32(80, count, true);
+
+        let offset = 84;
+        const writeVector = (v) => {
+            view.setFloat32(offset, v.x, true);
+            view.setFloat32(offset + 4, v.y, true);
+            view.setFloat32(offset + 8, v.z, true);
+            offset += 12;
+        };
+
+        this._forEachTriangle(parts, (a, b, c, normal) => {
+            writeVector(normal);
+            writeVector(a);
+            writeVector(b);
+            writeVector(c);
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        });
+
+        return buffer;
+    }
+
+    toAsciiSTL() {
+        const parts = this._collectParts();
+        const solid = this.name.replace(/\s+/g, '_');
+        const lines = [`solid ${solid}`];
+        const fmt = (v) => `${v.x.toExponential(6)} ${v.y.toExponential(6)} ${v.z.toExponential(6)}`;
+
+        this._forEachTriangle(parts, (a, b, c, normal) => {
+            lines.push(`  facet normal ${fmt(normal)}`);
+            lines.push('    outer loop');
+            lines.push(`      vertex ${fmt(a)}`);
+            lines.push(`      vertex ${fmt(b)}`);
+            lines.push(`      vertex ${fmt(c)}`);
+            lines.push('    endloop');
+            lines.push('  endfacet');
+        });
+
+        lines.push(`endsolid ${solid}`);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Wavefront OBJ with one named object per part
+     */
+    toOBJ() {
+        const parts = this._collectParts();
+        const lines = [`# TeXmExDeX Type Modeler - ${this.name}`, `# units: ${this.units}`];
+        let vertexOffset = 1;
+
+        parts.forEach(part => {
+            lines.push(`o ${part.name.replace(/\s+/g, '_')}`);
+            for (let i = 0; i < part.positions.length; i += 3) {
+                lines.push(`v ${part.positions[i]} ${part.positions[i + 1]} ${part.positions[i + 2]}`);
+            }
+            for (let i = 0; i + 2 < part.indices.length; i += 3) {
+                lines.push(`f ${part.indices[i] + vertexOffset} ${part.indices[i + 1] + vertexOffset} ${part.indices[i + 2] + vertexOffset}`);
+            }
+            vertexOffset += part.positions.length / 3;
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Binary little-endian PLY with merged vertex/face lists
+     */
+    toPLY() {
+        const parts = this._collectParts();
+        const vertexCount = parts.reduce((sum, part) => sum + part.positions.length / 3, 0);
+        const faceCount = this._triangleCount(parts);
+
+        const header = [
+            'ply',
+            'format binary_little_endian 1.0',
+            `comment TeXmExDeX Type Modeler - ${this.name}`,
+            `comment units ${this.units}`,
+            `element vertex ${vertexCount}`,
+            'property float x',
+            'property float y',
+            'property float z',
+            `element face ${faceCount}`,
+            'property list uchar int vertex_indices',
+            'end_header',
+            ''
+        ].join('\n');
+
+        const headerBytes = new TextEncoder().encode(header);
+        const buffer = new ArrayBuffer(headerBytes.length + vertexCount * 12 + faceCount * 13);
+        new Uint8Array(buffer).set(headerBytes);
+        const view = new DataView(buffer);
+
+        let offset = headerBytes.length;
+        parts.forEach(part => {
+            for (let i = 0; i < part.positions.length; i++) {
+                view.setFloat32(offset, part.positions[i], true);
+                offset += 4;
+            }
+        });
+
+        let vertexOffset = 0;
+        parts.forEach(part => {
+            for (let i = 0; i + 2 < part.indices.length; i += 3) {
+                view.setUint8(offset, 3);
+                view.setInt32(offset + 1, part.indices[i] + vertexOffset, true);
+                view.setInt32(offset + 5, part.indices[i + 1] + vertexOffset, true);
+                view.setInt32(offset + 9, part.indices[i + 2] + vertexOffset, true);
+                offset += 13;
+            }
+            vertexOffset += part.positions.length / 3;
+        });
+
+        return buffer;
+    }
+
+    /**
+     * 3MF package (zip) with units, model metadata and per-object metadata
+     */
+    async to3MF() {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('3MF export requires JSZip');
+        }
+
+        const parts = this._collectParts();
+        const escape = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const modelMetadata = {
+            Title: this.name,
+            Application: 'TeXmExDeX Type Modeler',
+            CreationDate: new Date().toISOString().slice(0, 10)
+        };
+
+        const objects = parts.map((part, i) => {
+            const vertices = [];
+            for (let v = 0; v < part.positions.length; v += 3) {
+                vertices.push(`<vertex x="${part.positions[v]}" y="${part.positions[v + 1]}" z="${part.positions[v + 2]}"/>`);
+            }
+            const triangles = [];
+            for (let t = 0; t + 2 < part.indices.length; t += 3) {
+                triangles.push(`<triangle v1="${part.indices[t]}" v2="${part.indices[t + 1]}" v3="${part.indices[t + 2]}"/>`);
+            }
+            // Names outside the 3MF well-known set must be namespace-qualified
+            const values = this.partMetadata[part.partId] || this.metadata;
+            const metadata = Object.entries(values).map(([key, value]) =>
+                `<metadata name="tmx:${escape(key)}">${escape(value)}</metadata>`
+            );
+
+            return [
+                `<object id="${i + 1}" name="${escape(part.name)}" type="model">`,
+                metadata.length ? `<metadatagroup>${metadata.join('')}</metadatagroup>` : '',
+                '<mesh>',
+                `<vertices>${vertices.join('')}</vertices>`,
+                `<triangles>${triangles.join('')}</triangles>`,
+                '</mesh>',
+                '</object>'
+            ].join('');
+        });
+
+        const model = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<model unit="${this.units}" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02" xmlns:tmx="${EXPORT_3MF_NAMESPACE}">`,
+            ...Object.entries(modelMetadata).map(([key, value]) =>
+                `<metadata name="${key}">${escape(value)}</metadata>`
+            ),
+            `<resources>${objects.join('')}</resources>`,
+            `<build>${parts.map((part, i) => `<item objectid="${i + 1}"/>`).join('')}</build>`,
+            '</model>'
+        ].join('\n');
+
+        const zip = new JSZip();
+        zip.file('[Content_Types].xml', [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+            '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>',
+            '</Types>'
+        ].join('\n'));
+        zip.file('_rels/.rels', [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+            '<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>',
+            '</Relationships>'
+        ].join('\n'));
+        zip.file('3D/3dmodel.model', model);
+
+        return zip.generateAsync({
+            type: 'blob',
+            mimeType: EXPORT_FORMATS['3mf'].mimeType,
+            compression: 'DEFLATE'
+        });
+    }
+
+    /**
+     * Binary glTF via THREE.GLTFExporter; keeps the object transform as node TRS
+     */
+    toGLB() {
+        if (!THREE.GLTFExporter) {
+            throw new Error('GLB export requires GLTFExporter');
+        }
+
+        // Export a copy without the edge-highlight overlays
+        const copy = this.object.clone();
+        const overlays = [];
+        copy.traverse((child) => {
+            if (child.name === 'edges') overlays.push(child);
+        });
+        overlays.forEach(child => child.parent.remove(child));
+        copy.name = this.name;
+
+        return new Promise((resolve, reject) => {
+            try {
+                new THREE.GLTFExporter().parse(copy, resolve, { binary: true });
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+}
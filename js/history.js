@@ -0,0 +1,105 @@
+/**
+ * TeXmExDeX Type Modeler - Design History
+ * Undo/redo stack of named snapshots (code + parameters)
+ */
+
+const HISTORY_LIMIT = 100;
+
+class HistoryStack {
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit = limit;
+        this.entries = [];
+        this.index = -1;  // Entry the session currently reflects
+        this.nextId = 1;
+    }
+
+    /**
+     * Record a snapshot after an action. Drops any redo tail.
+     * snapshot: { code, params, paramSpecs }
+     */
+    record(label, kind, snapshot) {
+        const current = this.current();
+        if (current && this._sameState(current, snapshot)) {
+            return null;
+        }
+
+        this.entries = this.entries.slice(0, this.index + 1);
+        const entry = {
+            id: this.nextId++,
+            label: label,
+            kind: kind,
+            timestamp: Date.now(),
+            code: snapshot.code,
+            params: { ...snapshot.params },
+            paramSpecs: snapshot.paramSpecs
+        };
+        this.entries.push(entry);
+
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+        this.index = this.entries.length - 1;
+
+        this._notifyChange();
+        return entry;
+    }
+
+    /**
+     * Drop all entries and start again from one snapshot
+     */
+    reset(label, kind, snapshot) {
+        this.entries = [];
+        this.index = -1;
+        return this.record(label, kind, snapshot);
+    }
+
+    current() {
+        return this.entries[this.index] || null;
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Step back one entry and return it (or null)
+     */
+    undo() {
+        return this.canUndo() ? this.goTo(this.index - 1) : null;
+    }
+
+    /**
+     * Step forward one entry and return it (or null)
+     */
+    redo() {
+        return this.canRedo() ? this.goTo(this.index + 1) : null;
+    }
+
+    /**
+     * Jump to an entry by position in the timeline
+     */
+    goTo(index) {
+        if (index < 0 || index >= this.entries.length) return null;
+        this.index = index;
+        this._notifyChange();
+        return this.entries[index];
+    }
+
+    _sameState(entry, snapshot) {
+        return entry.code === snapshot.code &&
+            JSON.stringify(entry.params) === JSON.stringify(snapshot.params);
+    }
+
+    _notifyChange() {
+        document.dispatchEvent(new CustomEvent('historyChanged', {
+            detail: { entries: this.entries, index: this.index }
+        }));
+    }
+}
+
+// Global history instance
+const historyStack = new HistoryStack();
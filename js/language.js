@@ -0,0 +1,478 @@
+/**
+ * TeXmExDeX Type Modeler - Python Language Support
+ * Completion, hover and signature help for the trimesh/numpy calls part
+ * scripts use, plus params[...] keys from the # [PARAMETERS] block
+ */
+
+// Module path -> members. params are shown as written in the signature.
+const PYTHON_API = {
+    'trimesh': [
+        { name: 'Trimesh', kind: 'class', params: ['vertices=None', 'faces=None', 'process=True'], doc: 'Triangle mesh from an (n, 3) vertex array and an (m, 3) face index array.' },
+        { name: 'Scene', kind: 'class', params: ['geometry=None'], doc: 'Collection of meshes with transforms.' },
+        { name: 'load', params: ['file_obj', 'file_type=None'], doc: 'Load a mesh or scene from a file path or file object.' },
+        { name: 'creation', kind: 'module', doc: 'Primitive constructors: box, cylinder, icosphere, extrude_polygon, ...' },
+        { name: 'transformations', kind: 'module', doc: '4x4 homogeneous transform helpers.' },
+        { name: 'boolean', kind: 'module', doc: 'CSG operations (need a boolean engine on the backend).' },
+        { name: 'util', kind: 'module', doc: 'Utilities such as concatenate.' },
+        { name: 'path', kind: 'module', doc: '2D/3D paths and polygons.' }
+    ],
+    'trimesh.creation': [
+        { name: 'box', params: ['extents=None', 'transform=None', 'bounds=None'], doc: 'Axis-aligned box centered on the origin. extents is [x, y, z] in mm.' },
+        { name: 'cylinder', params: ['radius', 'height', 'sections=32', 'segment=None', 'transform=None'], doc: 'Cylinder along Z, centered on the origin.' },
+        { name: 'cone', params: ['radius', 'height', 'sections=32', 'transform=None'], doc: 'Cone along Z with its base on the XY plane.' },
+        { name: 'capsule', params: ['height=1.0', 'radius=1.0', 'count=[32, 32]'], doc: 'Cylinder with hemispherical caps along Z.' },
+        { name: 'icosphere', params: ['subdivisions=3', 'radius=1.0'], doc: 'Sphere from a subdivided icosahedron; evenly spaced triangles.' },
+        { name: 'uv_sphere', params: ['radius=1.0', 'count=[32, 32]'], doc: 'Latitude/longitude sphere.' },
+        { name: 'annulus', params: ['r_min', 'r_max', 'height', 'sections=32', 'transform=None'], doc: 'Tube (hollow cylinder) along Z.' },
+        { name: 'torus', params: ['major_radius', 'minor_radius', 'major_sections=32', 'minor_sections=32'], doc: 'Torus around the Z axis.' },
+        { name: 'extrude_polygon', params: ['polygon', 'height', 'transform=None'], doc: 'Extrude a shapely Polygon along +Z.' },
+        { name: 'sweep_polygon', params: ['polygon', 'path', 'angles=None'], doc: 'Sweep a shapely Polygon along a 3D path.' },
+        { name: 'revolve', params: ['linestring', 'angle=None', 'sections=None', 'transform=None'], doc: 'Revolve a 2D (radius, z) profile around the Z axis.' },
+        { name: 'triangulate_polygon', params: ['polygon', 'triangle_args=None', 'engine=None'], doc: 'Triangulate a shapely Polygon into 2D vertices and faces.' }
+    ],
+    'trimesh.transformations': [
+        { name: 'rotation_matrix', params: ['angle', 'direction', 'point=None'], doc: 'Rotation by angle (radians) about direction through point.' },
+        { name: 'translation_matrix', params: ['direction'], doc: 'Translation by the [x, y, z] vector.' },
+        { name: 'scale_matrix', params: ['factor', 'origin=None', 'direction=None'], doc: 'Uniform scale, or scale along direction.' },
+        { name: 'euler_matrix', params: ['ai', 'aj', 'ak', "axes='sxyz'"], doc: 'Rotation from Euler angles (radians).' },
+        { name: 'concatenate_matrices', params: ['*matrices'], doc: 'Multiply transforms, applied right to left.' }
+    ],
+    'trimesh.boolean': [
+        { name: 'union', params: ['meshes', 'engine=None'], doc: 'Volume covered by any of the meshes.' },
+        { name: 'difference', params: ['meshes', 'engine=None'], doc: 'First mesh minus all the others.' },
+        { name: 'intersection', params: ['meshes', 'engine=None'], doc: 'Volume shared by all the meshes.' }
+    ],
+    'trimesh.util': [
+        { name: 'concatenate', params: ['a', 'b=None'], doc: 'Merge meshes into one mesh without booleans (faces may overlap).' }
+    ],
+    'trimesh.Trimesh': [
+        { name: 'vertices', kind: 'property', doc: '(n, 3) float vertex positions.' },
+        { name: 'faces', kind: 'property', doc: '(m, 3) int vertex indices per triangle.' },
+        { name: 'bounds', kind: 'property', doc: '[[min x, y, z], [max x, y, z]] axis-aligned bounds.' },
+        { name: 'extents', kind: 'property', doc: 'Size of the bounding box along each axis.' },
+        { name: 'volume', kind: 'property', doc: 'Volume (meaningful for watertight meshes).' },
+        { name: 'area', kind: 'property', doc: 'Total surface area.' },
+        { name: 'centroid', kind: 'property', doc: 'Average of the triangle centroids, weighted by area.' },
+        { name: 'center_mass', kind: 'property', doc: 'Center of mass for a uniform-density solid.' },
+        { name: 'is_watertight', kind: 'property', doc: 'True when every edge is shared by exactly two faces.' },
+        { name: 'apply_translation', params: ['translation'], doc: 'Move the mesh in place by [x, y, z].' },
+        { name: 'apply_scale', params: ['scaling'], doc: 'Scale the mesh in place about the origin.' },
+        { name: 'apply_transform', params: ['matrix'], doc: 'Apply a 4x4 transform in place.' },
+        { name: 'union', params: ['other', 'engine=None'], doc: 'Boolean union with another mesh or list of meshes.' },
+        { name: 'difference', params: ['other', 'engine=None'], doc: 'Boolean difference: this mesh minus other.' },
+        { name: 'intersection', params: ['other', 'engine=None'], doc: 'Boolean intersection with another mesh.' },
+        { name: 'copy', params: [], doc: 'Deep copy of the mesh.' },
+        { name: 'split', params: ['only_watertight=True'], doc: 'Separate disconnected bodies into a list of meshes.' },
+        { name: 'convex_hull', kind: 'property', doc: 'Convex hull of the mesh as a new Trimesh.' },
+        { name: 'fix_normals', params: ['multibody=False'], doc: 'Make winding and normals consistent and outward-facing.' },
+        { name: 'merge_vertices', params: [], doc: 'Merge duplicate vertices in place.' },
+        { name: 'export', params: ['file_obj=None', 'file_type=None'], doc: 'Export to a file or return the encoded bytes.' }
+    ],
+    'numpy': [
+        { name: 'array', params: ['object', 'dtype=None'], doc: 'Create an array from a list or nested lists.' },
+        { name: 'zeros', params: ['shape', 'dtype=float'], doc: 'Array of zeros.' },
+        { name: 'ones', params: ['shape', 'dtype=float'], doc: 'Array of ones.' },
+        { name: 'eye', params: ['N', 'M=None', 'dtype=float'], doc: 'Identity matrix; np.eye(4) is the identity transform.' },
+        { name: 'arange', params: ['start', 'stop=None', 'step=1'], doc: 'Evenly spaced values in [start, stop) by step.' },
+        { name: 'linspace', params: ['start', 'stop', 'num=50', 'endpoint=True'], doc: 'num evenly spaced values from start to stop.' },
+        { name: 'meshgrid', params: ['*xi', "indexing='xy'"], doc: 'Coordinate grids from 1D arrays.' },
+        { name: 'stack', params: ['arrays', 'axis=0'], doc: 'Join arrays along a new axis.' },
+        { name: 'vstack', params: ['tup'], doc: 'Stack arrays row-wise.' },
+        { name: 'hstack', params: ['tup'], doc: 'Stack arrays column-wise.' },
+        { name: 'column_stack', params: ['tup'], doc: 'Stack 1D arrays as columns, e.g. x, y, z into (n, 3) points.' },
+        { name: 'concatenate', params: ['arrays', 'axis=0'], doc: 'Join arrays along an existing axis.' },
+        { name: 'sin', params: ['x'], doc: 'Sine, x in radians.' },
+        { name: 'cos', params: ['x'], doc: 'Cosine, x in radians.' },
+        { name: 'tan', params: ['x'], doc: 'Tangent, x in radians.' },
+        { name: 'arctan2', params: ['y', 'x'], doc: 'Angle of (x, y) in radians.' },
+        { name: 'sqrt', params: ['x'], doc: 'Square root.' },
+        { name: 'radians', params: ['x'], doc: 'Degrees to radians.' },
+        { name: 'degrees', params: ['x'], doc: 'Radians to degrees.' },
+        { name: 'clip', params: ['a', 'a_min', 'a_max'], doc: 'Limit values to [a_min, a_max].' },
+        { name: 'abs', params: ['x'], doc: 'Absolute value.' },
+        { name: 'min', params: ['a', 'axis=None'], doc: 'Minimum along an axis.' },
+        { name: 'max', params: ['a', 'axis=None'], doc: 'Maximum along an axis.' },
+        { name: 'mean', params: ['a', 'axis=None'], doc: 'Mean along an axis.' },
+        { name: 'dot', params: ['a', 'b'], doc: 'Dot / matrix product.' },
+        { name: 'cross', params: ['a', 'b'], doc: 'Cross product of 3-vectors.' },
+        { name: 'pi', kind: 'constant', doc: '3.14159...' },
+        { name: 'linalg', kind: 'module', doc: 'Linear algebra: norm, inv, ...' }
+    ],
+    'numpy.linalg': [
+        { name: 'norm', params: ['x', 'ord=None', 'axis=None'], doc: 'Vector or matrix norm (length).' },
+        { name: 'inv', params: ['a'], doc: 'Matrix inverse.' }
+    ]
+};
+
+// Default import names when the script doesn't say otherwise
+const PYTHON_DEFAULT_ALIASES = { np: 'numpy', numpy: 'numpy', trimesh: 'trimesh' };
+
+const PYTHON_SNIPPETS = [
+    {
+        label: 'generate',
+        doc: 'Entry point called with the parameter values',
+        body: 'def generate(params):\n\t${1:size} = params[\'${1:size}\']\n\n\tmesh = ${2:trimesh.creation.box([size, size, size])}\n\treturn mesh\n'
+    },
+    {
+        label: 'parameters',
+        doc: 'Parameters block read by the Parameters panel',
+        body: '# [PARAMETERS]\nparameters = {\n\t\'${1:size}\': (${2:20.0}, ${3:5.0}, ${4:100.0}),\n}\n'
+    },
+    {
+        label: 'param',
+        doc: 'Typed parameter entry',
+        body: '\'${1:name}\': {\'type\': \'${2|float,int,bool,enum|}\', \'default\': ${3:10.0}, \'min\': ${4:0.0}, \'max\': ${5:100.0}, \'unit\': \'${6:mm}\'},'
+    },
+    {
+        label: 'imports',
+        doc: 'Standard imports for a part script',
+        body: 'import trimesh\nimport numpy as np\n'
+    }
+];
+
+class PythonLanguage {
+    /**
+     * Register the providers with Monaco (once per page)
+     */
+    static register() {
+        if (PythonLanguage.registered) return;
+        PythonLanguage.registered = true;
+
+        monaco.languages.registerCompletionItemProvider('python', {
+            triggerCharacters: ['.', '[', '\'', '"'],
+            provideCompletionItems: (model, position) => PythonLanguage._complete(model, position)
+        });
+
+        monaco.languages.registerHoverProvider('python', {
+            provideHover: (model, position) => PythonLanguage._hover(model, position)
+        });
+
+        monaco.languages.registerSignatureHelpProvider('python', {
+            signatureHelpTriggerCharacters: ['(', ','],
+            signatureHelpRetriggerCharacters: [','],
+            provideSignatureHelp: (model, position) => PythonLanguage._signatureHelp(model, position)
+        });
+    }
+
+    /**
+     * Names declared in the parameters block: [{ name, line }], or null
+     * when the script has no block
+     */
+    static declaredParams(code) {
+        // Tolerant scan rather than ParamBlock.parse, so half-typed blocks still complete
+        const start = ParamBlock.find(code);
+        if (start < 0) return null;
+
+        const params = [];
+        let depth = 0;
+        let line = code.slice(0, start).split('\n').length;
+
+        for (let i = start; i < code.length; i++) {
+            const ch = code[i];
+            if (ch === '\n') {
+                line++;
+            } else if (ch === '#') {
+                // Skip comments to the end of the line
+                const end = code.indexOf('\n', i);
+                i = (end < 0 ? code.length : end) - 1;
+            } else if (ch === '\'' || ch === '"') {
+                const end = PythonLanguage._stringEnd(code, i);
+                if (depth === 1 && /^\s*:/.test(code.slice(end + 1))) {
+                    params.push({ name: code.slice(i + 1, end), line: line });
+                }
+                i = end;
+            } else if ('{[('.includes(ch)) {
+                depth++;
+            } else if ('}])'.includes(ch)) {
+                depth--;
+                if (depth === 0) break;
+            }
+        }
+        return params;
+    }
+
+    /**
+     * Warnings for params[...] keys missing from the parameters block.
+     * Scripts without a block are not checked.
+     */
+    static lint(code) {
+        const declared = PythonLanguage.declaredParams(code);
+        if (declared === null) return [];
+
+        const names = new Set(declared.map(param => param.name));
+        const diagnostics = [];
+        code.split('\n').forEach((text, i) => {
+            const pattern = /\bparams(?:\[|\.get\(\s*)(['"])(\w+)\1/g;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                if (names.has(match[2]) || text.trimStart().startsWith('#')) continue;
+                // 1-based column of the key: the match ends on its closing quote
+                const column = match.index + match[0].length - match[2].length;
+                diagnostics.push({
+                    line: i + 1,
+                    column: column,
+                    endLine: i + 1,
+                    endColumn: column + match[2].length,
+                    message: `Parameter '${match[2]}' is not declared in the parameters block`,
+                    severity: 'warning',
+                    source: 'lint'
+                });
+            }
+        });
+        return diagnostics;
+    }
+
+    /**
+     * Import names -> module paths ("np" -> "numpy", "creation" -> "trimesh.creation")
+     */
+    static aliases(code) {
+        const aliases = { ...PYTHON_DEFAULT_ALIASES };
+        code.split('\n').forEach(line => {
+            let match = line.match(/^\s*import\s+([\w.]+)(?:\s+as\s+(\w+))?\s*$/);
+            if (match) {
+                aliases[match[2] || match[1].split('.')[0]] = match[2] ? match[1] : match[1].split('.')[0];
+                return;
+            }
+            match = line.match(/^\s*from\s+([\w.]+)\s+import\s+(.+)$/);
+            if (match) {
+                match[2].replace(/[()]/g, '').split(',').forEach(part => {
+                    const [name, alias] = part.trim().split(/\s+as\s+/);
+                    if (name) aliases[alias || name] = `${match[1]}.${name}`;
+                });
+            }
+        });
+        return aliases;
+    }
+
+    /**
+     * Resolve a dotted expression to a catalog path, e.g. "np.linalg" -> "numpy.linalg"
+     */
+    static resolve(expression, aliases) {
+        const [head, ...rest] = expression.split('.');
+        const base = aliases[head];
+        if (!base) return null;
+        return [base, ...rest].join('.');
+    }
+
+    /**
+     * Catalog entry for a full path ("trimesh.creation.box"), or null
+     */
+    static lookup(path) {
+        if (!path) return null;
+        const dot = path.lastIndexOf('.');
+        const members = PYTHON_API[path.slice(0, dot)];
+        const entry = members && members.find(member => member.name === path.slice(dot + 1));
+        return entry ? { ...entry, path: path } : null;
+    }
+
+    /**
+     * Catalog entry for an expression as written in the script. Unknown
+     * receivers ("mesh.apply_scale") are taken to be meshes.
+     */
+    static entryFor(expression, code) {
+        const path = PythonLanguage.resolve(expression, PythonLanguage.aliases(code));
+        if (path) return PythonLanguage.lookup(path);
+
+        const dot = expression.lastIndexOf('.');
+        return dot > 0 ? PythonLanguage.lookup(`trimesh.Trimesh.${expression.slice(dot + 1)}`) : null;
+    }
+
+    static signature(entry) {
+        return entry.params ? `${entry.path}(${entry.params.join(', ')})` : entry.path;
+    }
+
+    static _complete(model, position) {
+        const before = model.getValueInRange({
+            startLineNumber: position.lineNumber,
+            startColumn: 1,
+            endLineNumber: position.lineNumber,
+            endColumn: position.column
+        });
+        const word = model.getWordUntilPosition(position);
+        const range = {
+            startLineNumber: position.lineNumber,
+            endLineNumber: position.lineNumber,
+            startColumn: word.startColumn,
+            endColumn: word.endColumn
+        };
+        const kinds = monaco.languages.CompletionItemKind;
+        const code = model.getValue();
+
+        // params['... / params.get('...
+        const key = before.match(/\bparams(?:\[|\.get\(\s*)(['"]?)(\w*)$/);
+        if (key) {
+            const quote = key[1] ? '' : '\'';
+            return {
+                suggestions: (PythonLanguage.declaredParams(code) || []).map(param => ({
+                    label: param.name,
+                    kind: kinds.Field,
+                    detail: `Parameter (line ${param.line})`,
+                    insertText: `${quote}${param.name}${quote}`,
+                    range: range
+                }))
+            };
+        }
+
+        // module.member
+        const member = before.match(/([A-Za-z_][\w.]*)\.(\w*)$/);
+        if (member) {
+            if (member[1] === 'params') return { suggestions: [] };
+            const path = PythonLanguage.resolve(member[1], PythonLanguage.aliases(code));
+            // Anything that isn't a known module is most likely a mesh
+            const members = PYTHON_API[path] || (path ? [] : PYTHON_API['trimesh.Trimesh']);
+            return {
+                suggestions: members.map(entry => PythonLanguage._completionItem(entry, `${path || 'Trimesh'}.${entry.name}`, range))
+            };
+        }
+
+        // Statement start: snippets, declared params and imported modules
+        const suggestions = PYTHON_SNIPPETS.map(snippet => ({
+            label: snippet.label,
+            kind: kinds.Snippet,
+            documentation: snippet.doc,
+            insertText: snippet.body,
+            insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+            range: range
+        }));
+        (PythonLanguage.declaredParams(code) || []).forEach(param => {
+            suggestions.push({
+                label: `params['${param.name}']`,
+                kind: kinds.Variable,
+                detail: 'Parameter value',
+                insertText: `params['${param.name}']`,
+                filterText: `params ${param.name}`,
+                range: range
+            });
+        });
+        Object.entries(PythonLanguage.aliases(code)).forEach(([alias, path]) => {
+            if (!PYTHON_API[path]) return;
+            suggestions.push({ label: alias, kind: kinds.Module, detail: path, insertText: alias, range: range });
+        });
+        return { suggestions: suggestions };
+    }
+
+    static _completionItem(entry, path, range) {
+        const kinds = monaco.languages.CompletionItemKind;
+        const kind = {
+            class: kinds.Class,
+            module: kinds.Module,
+            property: kinds.Property,
+            constant: kinds.Constant
+        }[entry.kind] || kinds.Function;
+
+        const item = {
+            label: entry.name,
+            kind: kind,
+            detail: entry.params ? PythonLanguage.signature({ ...entry, path: path }) : path,
+            documentation: entry.doc,
+            insertText: entry.name,
+            range: range
+        };
+        if (entry.params) {
+            // Place the cursor inside the parentheses and open signature help
+            item.insertText = `${entry.name}($0)`;
+            item.insertTextRules = monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet;
+            item.command = { id: 'editor.action.triggerParameterHints', title: 'Signature help' };
+        }
+        return item;
+    }
+
+    static _hover(model, position) {
+        const line = model.getLineContent(position.lineNumber);
+        const code = model.getValue();
+
+        // Declared parameter under the cursor in params['...']
+        const keyPattern = /\bparams(?:\[|\.get\(\s*)(['"])(\w+)\1/g;
+        let match;
+        while ((match = keyPattern.exec(line)) !== null) {
+            const start = match.index + match[0].length - match[2].length;
+            if (position.column >= start && position.column <= start + match[2].length) {
+                const param = (PythonLanguage.declaredParams(code) || []).find(p => p.name === match[2]);
+                return {
+                    contents: [{
+                        value: param
+                            ? `**${param.name}**: parameter declared on line ${param.line}`
+                            : `**${match[2]}** is not declared in the parameters block`
+                    }]
+                };
+            }
+        }
+
+        // Dotted name under the cursor: extend the word left over "a.b." prefixes
+        const word = model.getWordAtPosition(position);
+        if (!word) return null;
+        const prefix = line.slice(0, word.startColumn - 1).match(/([A-Za-z_][\w.]*\.)$/);
+        const expression = (prefix ? prefix[1] : '') + word.word;
+        const entry = PythonLanguage.entryFor(expression, code);
+        if (!entry) return null;
+
+        return {
+            range: new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn),
+            contents: [
+                { value: '```python\n' + PythonLanguage.signature(entry) + '\n```' },
+                { value: entry.doc }
+            ]
+        };
+    }
+
+    static _signatureHelp(model, position) {
+        // Look back a few lines for the innermost unclosed call
+        const startLine = Math.max(1, position.lineNumber - 10);
+        const text = model.getValueInRange({
+            startLineNumber: startLine,
+            startColumn: 1,
+            endLineNumber: position.lineNumber,
+            endColumn: position.column
+        });
+
+        let depth = 0;
+        let commas = 0;
+        for (let i = text.length - 1; i >= 0; i--) {
+            const ch = text[i];
+            if (')]}'.includes(ch)) {
+                depth++;
+            } else if ('[{'.includes(ch)) {
+                depth--;
+                if (depth < 0) return null;
+            } else if (ch === '(') {
+                if (depth > 0) {
+                    depth--;
+                    continue;
+                }
+                const callee = text.slice(0, i).match(/([A-Za-z_][\w.]*)\s*$/);
+                const entry = callee && PythonLanguage.entryFor(callee[1], model.getValue());
+                if (!entry || !entry.params) return null;
+
+                return {
+                    value: {
+                        signatures: [{
+                            label: PythonLanguage.signature(entry),
+                            documentation: entry.doc,
+                            parameters: entry.params.map(param => ({ label: param }))
+                        }],
+                        activeSignature: 0,
+                        activeParameter: Math.max(0, Math.min(commas, entry.params.length - 1))
+                    },
+                    dispose: () => {}
+                };
+            } else if (ch === ',' && depth === 0) {
+                commas++;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Index of the quote closing the string that opens at start
+     */
+    static _stringEnd(code, start) {
+        const quote = code[start];
+        for (let i = start + 1; i < code.length; i++) {
+            if (code[i] === '\\') i++;
+            else if (code[i] === quote || code[i] === '\n') return i;
+        }
+        return code.length;
+    }
+}
+
+PythonLanguage.registered = false;
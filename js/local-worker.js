@@ -0,0 +1,165 @@
+/**
+ * TeXmExDeX Type Modeler - Local Runtime Worker
+ * Runs part scripts on Pyodide (numpy + trimesh) off the main thread
+ *
+ * Request:  { id, type: 'parse' | 'generate' | 'validate', code, params }
+ * Response: { id, ok: true, result } or { id, ok: false, error }
+ */
+
+const PYODIDE_VERSION = '0.26.4';
+const PYODIDE_URL = `https://cdn.jsdelivr.net/pyodide/v${PYODIDE_VERSION}/full/`;
+
+// trimesh is pure Python; anything needing compiled extras (booleans via
+// manifold3d, scipy-backed helpers) is unavailable locally
+const RUNNER_SOURCE = `
+import json
+import types
+import numpy as np
+import trimesh
+
+
+def _load(code):
+    module = types.ModuleType('part')
+    exec(compile(code, '<part>', 'exec'), module.__dict__)
+    return module
+
+
+def _specs(module):
+    return getattr(module, 'parameters', None) or getattr(module, 'PARAMETERS', None) or {}
+
+
+def _default(spec):
+    if isinstance(spec, (list, tuple)):
+        return spec[0] if spec else None
+    if isinstance(spec, dict):
+        if 'default' in spec:
+            return spec['default']
+        options = spec.get('options') or spec.get('choices') or []
+        if options:
+            first = options[0]
+            return first.get('value') if isinstance(first, dict) else first
+        return spec.get('min', 0)
+    return spec
+
+
+def parse_parameters(code):
+    return json.dumps(_specs(_load(code)))
+
+
+def validate_code(code):
+    try:
+        compile(code, '<part>', 'exec')
+    except SyntaxError as error:
+        location = {'line': error.lineno, 'column': error.offset,
+                    'end_line': getattr(error, 'end_lineno', None), 'end_column': getattr(error, 'end_offset', None)}
+        return json.dumps({'valid': False, 'message': f'Syntax error on line {error.lineno}: {error.msg}',
+                           'errors': [{**location, 'message': f'SyntaxError: {error.msg}'}], 'warnings': []})
+
+    warnings = []
+    if 'def generate' not in code:
+        warnings.append('No generate(params) function found')
+    if 'parameters' not in code and 'PARAMETERS' not in code:
+        warnings.append('No parameters dict found')
+    return json.dumps({'valid': True, 'message': 'Code is valid', 'errors': [], 'warnings': warnings})
+
+
+def generate_mesh(code, params_json):
+    module = _load(code)
+    params = {name: _default(spec) for name, spec in _specs(module).items()}
+    params.update(json.loads(params_json or '{}'))
+
+    mesh = module.generate(params)
+    if isinstance(mesh, (list, tuple)):
+        mesh = trimesh.util.concatenate(list(mesh))
+    if isinstance(mesh, trimesh.Scene):
+        mesh = mesh.dump(concatenate=True)
+    if not isinstance(mesh, trimesh.Trimesh):
+        raise TypeError(f'generate() returned {type(mesh).__name__}, expected a trimesh.Trimesh')
+
+    # trimesh is Z-up, the viewer is Y-up: (x, y, z) -> (x, z, -y)
+    vertices = np.asarray(mesh.vertices, dtype=np.float64)
+    vertices = np.column_stack([vertices[:, 0], vertices[:, 2], -vertices[:, 1]]).astype(np.float32)
+    faces = np.ascontiguousarray(mesh.faces, dtype=np.uint32)
+
+    extents = mesh.extents if len(mesh.vertices) else [0, 0, 0]
+    info = (f'{len(mesh.vertices)} vertices, {len(mesh.faces)} faces | '
+            f'{extents[0]:.1f} x {extents[1]:.1f} x {extents[2]:.1f} mm | '
+            f'watertight: {mesh.is_watertight} (local)')
+    return vertices, faces, info
+`;
+
+let runtimeReady = null;
+
+function loadRuntime() {
+    if (!runtimeReady) {
+        runtimeReady = (async () => {
+            importScripts(`${PYODIDE_URL}pyodide.js`);
+            const pyodide = await loadPyodide({ indexURL: PYODIDE_URL });
+            await pyodide.loadPackage(['numpy', 'micropip']);
+            await pyodide.runPythonAsync(`
+import micropip
+await micropip.install('trimesh')
+`);
+            pyodide.runPython(RUNNER_SOURCE);
+            return pyodide;
+        })();
+        // Let a later request retry after a failed download
+        runtimeReady.catch(() => {
+            runtimeReady = null;
+        });
+    }
+    return runtimeReady;
+}
+
+/**
+ * Copy a numpy array out of the Python heap into a standalone typed array
+ */
+function takeArray(proxy, type) {
+    const buffer = proxy.getBuffer(type);
+    try {
+        return buffer.data.slice();
+    } finally {
+        buffer.release();
+        proxy.destroy();
+    }
+}
+
+async function handle({ type, code, params }) {
+    const pyodide = await loadRuntime();
+
+    switch (type) {
+        case 'parse':
+            return JSON.parse(pyodide.globals.get('parse_parameters')(code));
+
+        case 'validate':
+            return JSON.parse(pyodide.globals.get('validate_code')(code));
+
+        case 'generate': {
+            const output = pyodide.globals.get('generate_mesh')(code, JSON.stringify(params || {}));
+            try {
+                return {
+                    positions: takeArray(output.get(0), 'f32'),
+                    indices: takeArray(output.get(1), 'u32'),
+                    info: output.get(2)
+                };
+            } finally {
+                output.destroy();
+            }
+        }
+
+        default:
+            throw new Error(`Unknown request type: ${type}`);
+    }
+}
+
+self.onmessage = async (e) => {
+    const { id } = e.data;
+    try {
+        const result = await handle(e.data);
+        const transfer = result && result.positions ? [result.positions.buffer, result.indices.buffer] : [];
+        self.postMessage({ id: id, ok: true, result: result }, transfer);
+    } catch (error) {
+        // Python exceptions carry the traceback in their message
+        self.postMessage({ id: id, ok: false, error: String(error.message || error) });
+    }
+};
@@ -0,0 +1,156 @@
+/**
+ * TeXmExDeX Type Modeler - Local Backend
+ * Runs part scripts in the browser (Pyodide worker) when the HF Space is unreachable.
+ * Results mirror the API result shapes, with mesh buffers instead of file URLs.
+ */
+
+const LOCAL_WORKER_URL = 'js/local-worker.js';
+
+class LocalBackend {
+    constructor(workerUrl = LOCAL_WORKER_URL) {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.pending = new Map();  // request id -> { resolve, reject }
+        this.nextId = 1;
+    }
+
+    /**
+     * Start the worker (and the Pyodide download) ahead of the first call
+     */
+    warmUp() {
+        this._ensureWorker();
+    }
+
+    async generateMesh(code, params = {}, options = {}) {
+        try {
+            const result = await this._request('generate', { code, params }, options.signal);
+            return {
+                success: true,
+                meshUrl: null,
+                mesh: { positions: result.positions, indices: result.indices },
+                status: 'Generated locally',
+                meshInfo: result.info
+            };
+        } catch (error) {
+            return { ...this._failure(error), diagnostics: Diagnostics.fromError(error, code, 'run') };
+        }
+    }
+
+    async parseParameters(code) {
+        try {
+            return {
+                success: true,
+                params: await this._request('parse', { code }),
+                status: 'Parsed locally'
+            };
+        } catch (error) {
+            return { ...this._failure(error), params: {} };
+        }
+    }
+
+    async validateCode(code) {
+        try {
+            const result = await this._request('validate', { code });
+            return {
+                success: true,
+                isValid: result.valid,
+                message: result.message,
+                warnings: result.warnings,
+                diagnostics: Diagnostics.parse({ errors: result.errors, warnings: result.warnings }, code, { source: 'validate' })
+            };
+        } catch (error) {
+            return { ...this._failure(error), diagnostics: Diagnostics.fromError(error, code, 'validate') };
+        }
+    }
+
+    /**
+     * Binary STL built from the generated buffers, served as a blob URL
+     */
+    async exportSTL(code, params = {}) {
+        const result = await this.generateMesh(code, params);
+        if (!result.success) return result;
+
+        const group = new THREE.Group();
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(result.mesh.positions, 3));
+        geometry.setIndex(new THREE.BufferAttribute(result.mesh.indices, 1));
+        group.add(new THREE.Mesh(geometry));
+
+        const blob = await new MeshExporter(group).export('stl');
+        geometry.dispose();
+
+        return {
+            success: true,
+            fileUrl: URL.createObjectURL(blob),
+            status: 'Exported locally'
+        };
+    }
+
+    _request(type, payload, signal = null) {
+        if (signal && signal.aborted) {
+            return Promise.reject(new DOMException('Request cancelled', 'AbortError'));
+        }
+
+        this._ensureWorker();
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            // Pyodide can't be interrupted mid-run, so a cancelled job finishes
+            // in the worker and its result is dropped
+            const onAbort = () => {
+                this.pending.delete(id);
+                reject(new DOMException('Request cancelled', 'AbortError'));
+            };
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            this.pending.set(id, {
+                resolve: (result) => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    resolve(result);
+                },
+                reject: (error) => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                }
+            });
+            this.worker.postMessage({ id: id, type: type, ...payload });
+        });
+    }
+
+    _ensureWorker() {
+        if (this.worker) return;
+
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = (e) => {
+            const { id, ok, result, error } = e.data;
+            const request = this.pending.get(id);
+            if (!request) return;
+            this.pending.delete(id);
+
+            if (ok) request.resolve(result);
+            else request.reject(new BackendError(error));
+        };
+        this.worker.onerror = (e) => {
+            // Runtime failed to load (e.g. CDN unreachable): fail everything and start over next time
+            const error = new APIError(`Local runtime failed: ${e.message || 'worker error'}`, 'local');
+            this.pending.forEach(request => request.reject(error));
+            this.pending.clear();
+            this.worker.terminate();
+            this.worker = null;
+        };
+    }
+
+    _failure(error) {
+        if (error.name === 'AbortError') {
+            return { success: false, cancelled: true, error: 'Cancelled' };
+        }
+        console.error('Local backend error:', error);
+        return {
+            success: false,
+            error: error.message,
+            errorKind: error.kind || 'unknown'
+        };
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * TeXmExDeX Type Modeler - Mass Properties
+ * Volume, surface area, center of mass and inertia of the loaded mesh, with
+ * weight for a chosen material and a filament estimate for printing it
+ */
+
+// Densities in g/cm³; cost per kg is the default the user can override
+const MASS_MATERIALS = {
+    pla: { label: 'PLA', density: 1.24, costPerKg: 20, filament: true },
+    petg: { label: 'PETG', density: 1.27, costPerKg: 22, filament: true },
+    abs: { label: 'ABS', density: 1.04, costPerKg: 20, filament: true },
+    aluminium: { label: 'Aluminium', density: 2.70, costPerKg: 0, filament: false },
+    steel: { label: 'Steel', density: 7.85, costPerKg: 0, filament: false }
+};
+
+const MASS_DEFAULTS = {
+    material: 'pla',
+    infill: 20,  // Percent of the interior
+    walls: 2,  // Perimeters around every surface
+    costs: {}  // Material key -> cost per kg, where it differs from MASS_MATERIALS
+};
+
+const MASS_LINE_WIDTH = 0.4;  // Extrusion width of one wall (mm)
+const MASS_FILAMENT_DIAMETER = 1.75;  // mm
+const MASS_UPDATE_DELAY = 150;  // ms; gizmo drags move the mesh every frame
+
+// localStorage key for the material and print settings
+const MASS_SETTINGS_KEY = 'texmexdex-mass';
+
+class MassCalculator {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.settings = MassCalculator.loadSettings();
+        this.properties = null;  // Of the current mesh in world space, per unit density
+        this.updateTimer = null;
+
+        document.addEventListener('meshChanged', () => this.update());
+    }
+
+    /**
+     * Recompute for the current mesh and announce the result
+     */
+    update() {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = null;
+
+        const data = PrintAnalyzer.collectWorldTriangles(this.viewer.currentMesh);
+        this.properties = data ? MassCalculator.compute(data.positions, data.indices) : null;
+        this._notifyChange();
+    }
+
+    /**
+     * Update after the mesh stops moving
+     */
+    scheduleUpdate() {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(() => this.update(), MASS_UPDATE_DELAY);
+    }
+
+    setSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        MassCalculator.saveSettings(this.settings);
+        this._notifyChange();
+    }
+
+    costPerKg(material = this.settings.material) {
+        const cost = this.settings.costs[material];
+        return typeof cost === 'number' ? cost : MASS_MATERIALS[material].costPerKg;
+    }
+
+    /**
+     * Weight for the selected material; for printable ones also the printed
+     * weight, filament length and cost. Volumes in mm³, weights in g.
+     */
+    estimate(properties = this.properties) {
+        if (!properties) return null;
+
+        const material = MASS_MATERIALS[this.settings.material];
+        const density = material.density / 1000;  // g/mm³
+        const result = {
+            material: material,
+            weight: properties.volume * density,
+            inertia: properties.inertia.map(row => row.map(value => value * density)),
+            print: null
+        };
+
+        if (material.filament) {
+            // Walls follow every surface; infill fills a share of what is left
+            const shell = Math.min(properties.volume, properties.area * this.settings.walls * MASS_LINE_WIDTH);
+            const printed = shell + (properties.volume - shell) * this.settings.infill / 100;
+            const weight = printed * density;
+            result.print = {
+                volume: printed,
+                weight: weight,
+                length: printed / (Math.PI * (MASS_FILAMENT_DIAMETER / 2) ** 2) / 1000,  // m
+                cost: weight / 1000 * this.costPerKg()
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Short text for the viewport info bar
+     */
+    summarize() {
+        const estimate = this.estimate();
+        if (!estimate) return '';
+
+        const parts = [`${(this.properties.volume / 1000).toFixed(2)} cm³`, `${estimate.weight.toFixed(1)} g ${estimate.material.label}`];
+        if (estimate.print) {
+            parts.push(`${estimate.print.length.toFixed(2)} m`);
+        }
+        return parts.join(' · ');
+    }
+
+    _notifyChange() {
+        document.dispatchEvent(new CustomEvent('massChanged', {
+            detail: { properties: this.properties, estimate: this.estimate() }
+        }));
+    }
+
+    /**
+     * Volume, surface area, centroid and inertia tensor about the centroid
+     * (per unit density, mm⁵) of a closed triangle mesh, from the polyhedral
+     * mass integrals of Eberly's "Polyhedral Mass Properties (Revisited)".
+     * Inverted winding is corrected; open meshes give approximate values.
+     */
+    static compute(positions, indices) {
+        const integrals = new Float64Array(10);  // 1, x, y, z, x², y², z², xy, yz, zx
+        let area = 0;
+
+        const terms = (w0, w1, w2) => {
+            const temp0 = w0 + w1;
+            const f1 = temp0 + w2;
+            const temp1 = w0 * w0;
+            const temp2 = temp1 + w1 * temp0;
+            const f2 = temp2 + w2 * f1;
+            const f3 = w0 * temp1 + w1 * temp2 + w2 * f2;
+            return { f1, f2, f3, g0: f2 + w0 * (f1 + w0), g1: f2 + w1 * (f1 + w1), g2: f2 + w2 * (f1 + w2) };
+        };
+
+        for (let f = 0; f + 2 < indices.length; f += 3) {
+            const a = indices[f] * 3;
+            const b = indices[f + 1] * 3;
+            const c = indices[f + 2] * 3;
+            const x0 = positions[a], y0 = positions[a + 1], z0 = positions[a + 2];
+            const x1 = positions[b], y1 = positions[b + 1], z1 = positions[b + 2];
+            const x2 = positions[c], y2 = positions[c + 1], z2 = positions[c + 2];
+
+            // Edge cross product: twice the area, along the face normal
+            const ax = x1 - x0, ay = y1 - y0, az = z1 - z0;
+            const bx = x2 - x0, by = y2 - y0, bz = z2 - z0;
+            const dx = ay * bz - az * by;
+            const dy = az * bx - ax * bz;
+            const dz = ax * by - ay * bx;
+            area += Math.sqrt(dx * dx + dy * dy + dz * dz) / 2;
+
+            const tx = terms(x0, x1, x2);
+            const ty = terms(y0, y1, y2);
+            const tz = terms(z0, z1, z2);
+            integrals[0] += dx * tx.f1;
+            integrals[1] += dx * tx.f2;
+            integrals[2] += dy * ty.f2;
+            integrals[3] += dz * tz.f2;
+            integrals[4] += dx * tx.f3;
+            integrals[5] += dy * ty.f3;
+            integrals[6] += dz * tz.f3;
+            integrals[7] += dx * (y0 * tx.g0 + y1 * tx.g1 + y2 * tx.g2);
+            integrals[8] += dy * (z0 * ty.g0 + z1 * ty.g1 + z2 * ty.g2);
+            integrals[9] += dz * (x0 * tz.g0 + x1 * tz.g1 + x2 * tz.g2);
+        }
+
+        const scale = [1 / 6, 1 / 24, 1 / 24, 1 / 24, 1 / 60, 1 / 60, 1 / 60, 1 / 120, 1 / 120, 1 / 120];
+        const flip = integrals[0] < 0 ? -1 : 1;
+        const [volume, sx, sy, sz, xx, yy, zz, xy, yz, zx] = integrals.map((value, i) => value * scale[i] * flip);
+
+        const center = volume > 0 ? new THREE.Vector3(sx / volume, sy / volume, sz / volume) : new THREE.Vector3();
+        const { x: cx, y: cy, z: cz } = center;
+        const ixx = yy + zz - volume * (cy * cy + cz * cz);
+        const iyy = zz + xx - volume * (cz * cz + cx * cx);
+        const izz = xx + yy - volume * (cx * cx + cy * cy);
+        const ixy = -(xy - volume * cx * cy);
+        const iyz = -(yz - volume * cy * cz);
+        const izx = -(zx - volume * cz * cx);
+
+        return {
+            volume: volume,
+            area: area,
+            center: center,
+            inertia: [
+                [ixx, ixy, izx],
+                [ixy, iyy, iyz],
+                [izx, iyz, izz]
+            ]
+        };
+    }
+
+    static loadSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(MASS_SETTINGS_KEY) || '{}');
+        } catch (error) {
+            console.warn('Ignoring unreadable mass settings:', error);
+        }
+
+        const settings = { ...MASS_DEFAULTS, ...saved };
+        if (!(settings.material in MASS_MATERIALS)) {
+            settings.material = MASS_DEFAULTS.material;
+        }
+        return settings;
+    }
+
+    static saveSettings({ material, infill, walls, costs }) {
+        localStorage.setItem(MASS_SETTINGS_KEY, JSON.stringify({ material, infill, walls, costs }));
+    }
+}
+
+// Global mass calculator instance
+let massCalculator = null;
@@ -0,0 +1,564 @@
+/**
+ * TeXmExDeX Type Modeler - Measurement Tools
+ * Raycast picking on the viewer mesh for distances, angles and hole diameters
+ */
+
+// Measurement modes and how many picks each needs
+const MEASURE_MODES = {
+    distance: { label: 'Point Distance', picks: 2, hint: 'Pick two vertices' },
+    face_distance: { label: 'Face Distance', picks: 2, hint: 'Pick two faces' },
+    angle: { label: 'Face Angle', picks: 2, hint: 'Pick two faces' },
+    diameter: { label: 'Hole Diameter', picks: 1, hint: 'Pick near a circular edge' }
+};
+
+const MEASURE_COLOR = 0xfbbf24;
+
+class MeasureTool {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.mode = null;
+        this.measurements = [];
+        this.pendingPicks = [];
+        this.nextId = 1;
+        this.pointerDown = null;
+
+        // Annotations live in mesh-local space; the group follows the mesh every frame
+        this.group = new THREE.Group();
+        this.group.matrixAutoUpdate = false;
+        this.viewer.scene.add(this.group);
+
+        this.labelLayer = document.createElement('div');
+        this.labelLayer.className = 'measure-labels';
+        this.viewer.container.appendChild(this.labelLayer);
+
+        this._setupEventListeners();
+        this.viewer.onFrame(() => this._update());
+    }
+
+    _setupEventListeners() {
+        const canvas = this.viewer.renderer.domElement;
+
+        // Only treat a press-release without dragging as a pick so orbiting still works
+        canvas.addEventListener('pointerdown', (e) => {
+            this.pointerDown = { x: e.clientX, y: e.clientY };
+        });
+
+        canvas.addEventListener('pointerup', (e) => {
+            if (!this.mode || !this.pointerDown) return;
+            const moved = Math.hypot(e.clientX - this.pointerDown.x, e.clientY - this.pointerDown.y);
+            this.pointerDown = null;
+            if (moved < 4) {
+                this._handlePick(e.clientX, e.clientY);
+            }
+        });
+
+        document.addEventListener('meshChanged', () => this.clear());
+    }
+
+    /**
+     * Set the active mode (one of MEASURE_MODES) or null to stop measuring
+     */
+    setMode(mode) {
+        this.mode = mode && MEASURE_MODES[mode] ? mode : null;
+        this._clearPending();
+        this.viewer.container.classList.toggle('measuring', this.mode !== null);
+        return this.mode;
+    }
+
+    _handlePick(clientX, clientY) {
+        const hit = this.viewer.pickMesh(clientX, clientY);
+        if (!hit) return;
+
+        const pick = this._toMeshSpace(hit);
+        if (this.mode === 'distance') {
+            pick.point = this._nearestVertex(hit);
+        } else if (this.mode === 'diameter') {
+            pick.loop = this._findEdgeLoop(hit, pick.point);
+            if (!pick.loop || pick.loop.length < 5) {
+                this._flash('No circular edge found near pick');
+                return;
+            }
+        }
+
+        this.pendingPicks.push(pick);
+        this._addMarker(pick.point, true);
+
+        if (this.pendingPicks.length >= MEASURE_MODES[this.mode].picks) {
+            const picks = this.pendingPicks;
+            this._clearPending();
+            this._completeMeasurement(picks);
+        }
+    }
+
+    /**
+     * Convert a raycast hit into the mesh root's local space
+     */
+    _toMeshSpace(hit) {
+        const root = this.viewer.currentMesh;
+        const inverse = new THREE.Matrix4().copy(root.matrixWorld).invert();
+        const toRoot = inverse.clone().multiply(hit.object.matrixWorld);
+
+        return {
+            point: hit.point.clone().applyMatrix4(inverse),
+            normal: hit.face.normal.clone().applyMatrix3(new THREE.Matrix3().getNormalMatrix(toRoot)).normalize()
+        };
+    }
+
+    /**
+     * Snap a hit to the closest corner of the picked triangle
+     */
+    _nearestVertex(hit) {
+        const root = this.viewer.currentMesh;
+        const inverse = new THREE.Matrix4().copy(root.matrixWorld).invert();
+        const position = hit.object.geometry.attributes.position;
+
+        let best = null;
+        let bestDistance = Infinity;
+        [hit.face.a, hit.face.b, hit.face.c].forEach(index => {
+            const vertex = new THREE.Vector3()
+                .fromBufferAttribute(position, index)
+                .applyMatrix4(hit.object.matrixWorld);
+            const distance = vertex.distanceTo(hit.point);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = vertex;
+            }
+        });
+
+        return best.applyMatrix4(inverse);
+    }
+
+    _completeMeasurement(picks) {
+        const measurement = { type: this.mode, picks: picks };
+        if (!this._evaluate(measurement)) {
+            this._flash('Could not fit a circle to the picked edge');
+            return;
+        }
+
+        measurement.id = this.nextId++;
+        this.measurements.push(measurement);
+        this._drawMeasurement(measurement);
+        this._notifyChange();
+    }
+
+    /**
+     * Recompute a measurement for the mesh's current transform, keeping its
+     * display geometry in mesh space. False when there is no result.
+     */
+    _evaluate(measurement) {
+        const matrix = this.viewer.currentMesh.matrixWorld;
+        const result = MeasureTool.evaluate(measurement.type, measurement.picks, matrix);
+        if (!result) return false;
+
+        const inverse = matrix.clone().invert();
+        const toMesh = point => point.clone().applyMatrix4(inverse);
+        Object.assign(measurement, result, {
+            points: result.points.map(toMesh),
+            outline: result.outline ? result.outline.map(toMesh) : undefined,
+            anchor: toMesh(result.anchor),
+            matrix: matrix.clone()
+        });
+        return true;
+    }
+
+    /**
+     * Value, detail and geometry of a measurement whose picks ({ point,
+     * normal, loop } in mesh space) are placed by matrix, the mesh root's
+     * matrixWorld. Sizes are those of the transformed (exported) model.
+     * Returns { value, unit, detail, points, outline, anchor } in world space, or null.
+     */
+    static evaluate(type, picks, matrix) {
+        const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+        const world = picks.map(pick => ({
+            point: pick.point.clone().applyMatrix4(matrix),
+            normal: pick.normal.clone().applyMatrix3(normalMatrix).normalize(),
+            loop: pick.loop ? pick.loop.map(point => point.clone().applyMatrix4(matrix)) : null
+        }));
+
+        switch (type) {
+            case 'distance':
+                return MeasureTool._distance(world);
+            case 'face_distance':
+                return MeasureTool._faceDistance(world);
+            case 'angle':
+                return MeasureTool._angle(world);
+            case 'diameter':
+                return MeasureTool._diameter(world[0]);
+        }
+        return null;
+    }
+
+    static _distance([a, b]) {
+        const delta = b.point.clone().sub(a.point);
+        return {
+            value: delta.length(),
+            unit: 'mm',
+            detail: `ΔX ${Math.abs(delta.x).toFixed(2)}  ΔY ${Math.abs(delta.y).toFixed(2)}  ΔZ ${Math.abs(delta.z).toFixed(2)}`,
+            points: [a.point, b.point],
+            anchor: a.point.clone().add(b.point).multiplyScalar(0.5)
+        };
+    }
+
+    /**
+     * Perpendicular distance from the second face to the plane of the first
+     */
+    static _faceDistance([a, b]) {
+        const offset = b.point.clone().sub(a.point);
+        const distance = offset.dot(a.normal);
+        const foot = b.point.clone().sub(a.normal.clone().multiplyScalar(distance));
+        const parallel = Math.abs(a.normal.dot(b.normal)) > 0.999;
+
+        return {
+            value: Math.abs(distance),
+            unit: 'mm',
+            detail: parallel ? 'Parallel faces' : 'Faces not parallel - measured to first face plane',
+            points: [foot, b.point],
+            anchor: foot.clone().add(b.point).multiplyScalar(0.5)
+        };
+    }
+
+    static _angle([a, b]) {
+        const cos = THREE.MathUtils.clamp(a.normal.dot(b.normal), -1, 1);
+        const angle = THREE.MathUtils.radToDeg(Math.acos(cos));
+
+        return {
+            value: angle,
+            unit: '°',
+            detail: `Included angle ${(180 - angle).toFixed(2)}°`,
+            points: [a.point, b.point],
+            anchor: a.point.clone().add(b.point).multiplyScalar(0.5)
+        };
+    }
+
+    /**
+     * Fit a circle to the feature-edge loop found nearest the pick
+     */
+    static _diameter(pick) {
+        const circle = MeasureTool.fitCircle(pick.loop);
+        if (!circle) return null;
+
+        const outline = [];
+        const u = circle.axisU;
+        const v = circle.axisV;
+        for (let i = 0; i <= 64; i++) {
+            const t = (i / 64) * Math.PI * 2;
+            outline.push(circle.center.clone()
+                .add(u.clone().multiplyScalar(Math.cos(t) * circle.radius))
+                .add(v.clone().multiplyScalar(Math.sin(t) * circle.radius)));
+        }
+
+        return {
+            value: circle.radius * 2,
+            unit: 'mm',
+            detail: `R ${circle.radius.toFixed(3)}  fit error ${circle.error.toFixed(3)}`,
+            points: [circle.center],
+            outline: outline,
+            anchor: outline[0]
+        };
+    }
+
+    /**
+     * Walk the connected feature edges nearest to a point and return their vertices
+     * in mesh-root space
+     */
+    _findEdgeLoop(hit, point) {
+        const root = this.viewer.currentMesh;
+        const toRoot = new THREE.Matrix4()
+            .copy(root.matrixWorld).invert()
+            .multiply(hit.object.matrixWorld);
+
+        const edges = new THREE.EdgesGeometry(hit.object.geometry, 30);
+        const positions = edges.attributes.position;
+        const key = (v) => `${v.x.toFixed(4)},${v.y.toFixed(4)},${v.z.toFixed(4)}`;
+
+        const vertices = new Map();
+        const adjacency = new Map();
+        const closest = new THREE.Vector3();
+        const segment = new THREE.Line3();
+        let startKey = null;
+        let startDistance = Infinity;
+
+        for (let i = 0; i < positions.count; i += 2) {
+            const a = new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(toRoot);
+            const b = new THREE.Vector3().fromBufferAttribute(positions, i + 1).applyMatrix4(toRoot);
+            const ka = key(a);
+            const kb = key(b);
+
+            vertices.set(ka, a);
+            vertices.set(kb, b);
+            if (!adjacency.has(ka)) adjacency.set(ka, new Set());
+            if (!adjacency.has(kb)) adjacency.set(kb, new Set());
+            adjacency.get(ka).add(kb);
+            adjacency.get(kb).add(ka);
+
+            segment.set(a, b).closestPointToPoint(point, true, closest);
+            const distance = closest.distanceTo(point);
+            if (distance < startDistance) {
+                startDistance = distance;
+                startKey = ka;
+            }
+        }
+        edges.dispose();
+
+        if (!startKey) return null;
+
+        const visited = new Set([startKey]);
+        const queue = [startKey];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            adjacency.get(current).forEach(next => {
+                if (!visited.has(next)) {
+                    visited.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+
+        return Array.from(visited, k => vertices.get(k));
+    }
+
+    /**
+     * Least-squares circle through 3D points: best-fit plane, then an algebraic
+     * (Kasa) fit in that plane. Returns { center, radius, normal, axisU, axisV, error }.
+     */
+    static fitCircle(points) {
+        const centroid = new THREE.Vector3();
+        points.forEach(p => centroid.add(p));
+        centroid.divideScalar(points.length);
+
+        // For a planar loop every cross product of centroid offsets is parallel
+        // to the normal; fall back to the largest one if the sum cancels out
+        const normal = new THREE.Vector3();
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i].clone().sub(centroid);
+            const b = points[(i + 1) % points.length].clone().sub(centroid);
+            normal.add(a.cross(b));
+        }
+        if (normal.lengthSq() < 1e-12) {
+            let best = 0;
+            for (let i = 1; i < points.length; i++) {
+                for (let j = i + 1; j < points.length; j++) {
+                    const cross = points[i].clone().sub(points[0])
+                        .cross(points[j].clone().sub(points[0]));
+                    if (cross.lengthSq() > best) {
+                        best = cross.lengthSq();
+                        normal.copy(cross);
+                    }
+                }
+            }
+        }
+        if (normal.lengthSq() < 1e-12) return null;
+        normal.normalize();
+
+        const axisU = new THREE.Vector3(1, 0, 0);
+        if (Math.abs(normal.dot(axisU)) > 0.9) axisU.set(0, 1, 0);
+        axisU.sub(normal.clone().multiplyScalar(normal.dot(axisU))).normalize();
+        const axisV = normal.clone().cross(axisU);
+
+        // Solve x² + y² + Dx + Ey + F = 0 via normal equations
+        let sxx = 0, sxy = 0, syy = 0, sx = 0, sy = 0, sxz = 0, syz = 0, sz = 0;
+        const planar = points.map(p => {
+            const d = p.clone().sub(centroid);
+            return [d.dot(axisU), d.dot(axisV)];
+        });
+        planar.forEach(([x, y]) => {
+            const z = x * x + y * y;
+            sxx += x * x; sxy += x * y; syy += y * y;
+            sx += x; sy += y;
+            sxz += x * z; syz += y * z; sz += z;
+        });
+
+        const n = points.length;
+        const matrix = new THREE.Matrix3().set(
+            sxx, sxy, sx,
+            sxy, syy, sy,
+            sx, sy, n
+        );
+        if (Math.abs(matrix.determinant()) < 1e-12) return null;
+
+        const rhs = new THREE.Vector3(-sxz, -syz, -sz);
+        const [D, E, F] = rhs.applyMatrix3(matrix.invert()).toArray();
+        const cx = -D / 2;
+        const cy = -E / 2;
+        const radiusSq = cx * cx + cy * cy - F;
+        if (radiusSq <= 0) return null;
+        const radius = Math.sqrt(radiusSq);
+
+        const error = Math.sqrt(planar.reduce((sum, [x, y]) => {
+            const r = Math.hypot(x - cx, y - cy) - radius;
+            return sum + r * r;
+        }, 0) / n);
+
+        return {
+            center: centroid.clone()
+                .add(axisU.clone().multiplyScalar(cx))
+                .add(axisV.clone().multiplyScalar(cy)),
+            radius: radius,
+            normal: normal,
+            axisU: axisU,
+            axisV: axisV,
+            error: error
+        };
+    }
+
+    _addMarker(point, pending = false) {
+        const size = this._markerSize();
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(size, 12, 8),
+            new THREE.MeshBasicMaterial({ color: MEASURE_COLOR, depthTest: false })
+        );
+        marker.position.copy(point);
+        marker.renderOrder = 999;
+        marker.userData.pending = pending;
+        this.group.add(marker);
+        return marker;
+    }
+
+    _markerSize() {
+        const mesh = this.viewer.currentMesh;
+        if (!mesh) return 0.5;
+        const size = new THREE.Box3().setFromObject(mesh).getSize(new THREE.Vector3());
+        return Math.max(size.x, size.y, size.z) * 0.008 || 0.5;
+    }
+
+    _drawMeasurement(measurement) {
+        const objects = [];
+        const material = new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false });
+
+        const linePoints = measurement.outline || measurement.points;
+        if (linePoints.length > 1) {
+            const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(linePoints), material);
+            line.renderOrder = 999;
+            this.group.add(line);
+            objects.push(line);
+        }
+        measurement.points.forEach(point => objects.push(this._addMarker(point)));
+
+        if (!measurement.labelEl) {
+            measurement.labelEl = document.createElement('div');
+            measurement.labelEl.className = 'measure-label';
+            this.labelLayer.appendChild(measurement.labelEl);
+        }
+        measurement.labelEl.textContent = this.formatValue(measurement);
+        measurement.labelEl.title = measurement.detail || '';
+
+        measurement.objects = objects;
+    }
+
+    /**
+     * Re-measure after the mesh was moved, rotated or scaled
+     */
+    _redraw(measurement) {
+        if (!this._evaluate(measurement)) {
+            measurement.matrix.copy(this.viewer.currentMesh.matrixWorld);
+            return;
+        }
+        measurement.objects.forEach(object => this._disposeObject(object));
+        this._drawMeasurement(measurement);
+    }
+
+    _update() {
+        const mesh = this.viewer.currentMesh;
+        if (!mesh) return;
+
+        // Bring matrices up to date so labels don't trail the camera by a frame
+        mesh.updateMatrixWorld();
+        this.viewer.camera.updateMatrixWorld();
+
+        this.group.matrix.copy(mesh.matrixWorld);
+        this.group.matrixWorldNeedsUpdate = true;
+
+        const moved = this.measurements.filter(measurement => !measurement.matrix.equals(mesh.matrixWorld));
+        moved.forEach(measurement => this._redraw(measurement));
+        if (moved.length > 0) this._notifyChange();
+
+        this.measurements.forEach(measurement => {
+            const world = measurement.anchor.clone().applyMatrix4(mesh.matrixWorld);
+            const screen = this.viewer.projectToScreen(world);
+            measurement.labelEl.style.display = screen ? 'block' : 'none';
+            if (screen) {
+                measurement.labelEl.style.transform = `translate(${screen.x}px, ${screen.y}px)`;
+            }
+        });
+    }
+
+    _clearPending() {
+        this.pendingPicks = [];
+        const pending = this.group.children.filter(child => child.userData.pending);
+        pending.forEach(child => this._disposeObject(child));
+    }
+
+    _disposeObject(object) {
+        this.group.remove(object);
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+    }
+
+    /**
+     * Remove one measurement by id
+     */
+    remove(id) {
+        const index = this.measurements.findIndex(m => m.id === id);
+        if (index === -1) return;
+
+        const [measurement] = this.measurements.splice(index, 1);
+        measurement.objects.forEach(object => this._disposeObject(object));
+        measurement.labelEl.remove();
+        this._notifyChange();
+    }
+
+    /**
+     * Remove all measurements
+     */
+    clear() {
+        this._clearPending();
+        this.measurements.forEach(measurement => {
+            measurement.objects.forEach(object => this._disposeObject(object));
+            measurement.labelEl.remove();
+        });
+        this.measurements = [];
+        this._notifyChange();
+    }
+
+    /**
+     * Format a measurement value with its unit
+     */
+    formatValue(measurement) {
+        const prefix = measurement.type === 'diameter' ? '⌀ ' : '';
+        const separator = measurement.unit === '°' ? '' : ' ';
+        return `${prefix}${measurement.value.toFixed(2)}${separator}${measurement.unit}`;
+    }
+
+    /**
+     * Export the measurement list as CSV (coordinates in mesh space)
+     */
+    toCSV() {
+        const rows = [['id', 'type', 'value', 'unit', 'detail', 'points']];
+        this.measurements.forEach(m => {
+            rows.push([
+                m.id,
+                MEASURE_MODES[m.type].label,
+                m.value.toFixed(4),
+                m.unit,
+                m.detail || '',
+                m.points.map(p => `(${p.x.toFixed(3)} ${p.y.toFixed(3)} ${p.z.toFixed(3)})`).join(' ')
+            ]);
+        });
+        return rows
+            .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+            .join('\n') + '\n';
+    }
+
+    _flash(message) {
+        document.dispatchEvent(new CustomEvent('measureMessage', { detail: { message } }));
+    }
+
+    _notifyChange() {
+        document.dispatchEvent(new CustomEvent('measurementsChanged', {
+            detail: { measurements: this.measurements }
+        }));
+    }
+}
+
+// Global measure tool instance
+let measureTool = null;
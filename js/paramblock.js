@@ -0,0 +1,271 @@
+/**
+ * TeXmExDeX Type Modeler - Parameter Block Parser
+ * Reads the `parameters = {...}` literal under # [PARAMETERS] in the browser,
+ * so sliders follow the code without a parse_parameters round-trip, and
+ * locates each default so a slider can write its value back.
+ *
+ * Only Python literals are understood (numbers, strings, True/False/None,
+ * tuples, lists, dicts). Anything else (np.pi, 2 * x) raises ParamBlockError
+ * and the caller falls back to the backend parser.
+ */
+
+const PARAM_BLOCK_MARKER = '# [PARAMETERS]';
+
+class ParamBlockError extends Error {
+    constructor(message, offset) {
+        super(message);
+        this.name = 'ParamBlockError';
+        this.offset = offset;
+    }
+}
+
+class ParamBlock {
+    /**
+     * Offset of the block's opening brace, or -1. The assignment after the
+     * marker wins; otherwise the first top-level parameters/PARAMETERS.
+     */
+    static find(code) {
+        const assignment = /^(parameters|PARAMETERS)\s*=\s*\{/m;
+        const marker = code.indexOf(PARAM_BLOCK_MARKER);
+        const from = marker >= 0 ? marker : 0;
+
+        let match = assignment.exec(code.slice(from));
+        let offset = from;
+        if (!match && from > 0) {
+            match = assignment.exec(code);
+            offset = 0;
+        }
+        return match ? offset + match.index + match[0].length - 1 : -1;
+    }
+
+    /**
+     * Parse the block. Returns null when the script has none, otherwise
+     * { specs, defaults: { name: { start, end, raw, bare } | { insertAt } } }
+     * where specs has the shape parse_parameters returns and bare marks a
+     * plain number spec.
+     */
+    static parse(code) {
+        const open = ParamBlock.find(code);
+        if (open < 0) return null;
+
+        const node = new PythonLiteralReader(code, open).read();
+        const specs = {};
+        const defaults = {};
+        node.entries.forEach(({ key, value }) => {
+            if (key.type !== 'str') {
+                throw new ParamBlockError('Parameter names must be strings', key.start);
+            }
+            specs[key.value] = value.value;
+            defaults[key.value] = ParamBlock._defaultLocation(code, value);
+        });
+        return { specs: specs, defaults: defaults };
+    }
+
+    /**
+     * Text edit { start, end, text } that sets one parameter's default in
+     * the source, or null when the block can't be read. A plain number spec
+     * takes its range from its default, so given the slider's { min, max }
+     * it is written as a (default, min, max) tuple to keep that range.
+     */
+    static defaultEdit(code, name, value, range = null) {
+        let block;
+        try {
+            block = ParamBlock.parse(code);
+        } catch (error) {
+            return null;
+        }
+        const location = block && block.defaults[name];
+        if (!location) return null;
+
+        if ('insertAt' in location) {
+            // Dict spec without a default: add one as the first key
+            const text = `'default': ${ParamBlock.literal(value)}, `;
+            return { start: location.insertAt, end: location.insertAt, text: text };
+        }
+        let text = ParamBlock.literal(value, location.raw);
+        if (location.bare && range) {
+            const bound = (limit) => ParamBlock.literal(limit, location.raw);
+            text = `(${text}, ${bound(range.min)}, ${bound(range.max)})`;
+        }
+        return { start: location.start, end: location.end, text: text };
+    }
+
+    /**
+     * Python source for a value. Floats written with a decimal point stay floats.
+     */
+    static literal(value, previous = '') {
+        if (typeof value === 'boolean') return value ? 'True' : 'False';
+        if (value === null || value === undefined) return 'None';
+        if (typeof value === 'number') {
+            const text = String(value);
+            return /[.eE]/.test(previous) && /^-?\d+$/.test(text) ? `${text}.0` : text;
+        }
+        return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+    }
+
+    /**
+     * Where a spec keeps its default: the value itself, the first tuple item,
+     * or the dict's "default" (or "value") entry
+     */
+    static _defaultLocation(code, node) {
+        let target = node;
+        if (node.type === 'list' || node.type === 'tuple') {
+            target = node.items[0];
+        } else if (node.type === 'dict') {
+            const entry = node.entries.find(e => e.key.value === 'default')
+                || node.entries.find(e => e.key.value === 'value');
+            if (!entry) return { insertAt: node.start + 1 };
+            target = entry.value;
+        }
+
+        if (!target || !['num', 'str', 'bool', 'none'].includes(target.type)) return null;
+        return {
+            start: target.start,
+            end: target.end,
+            raw: code.slice(target.start, target.end),
+            bare: target === node && target.type === 'num'
+        };
+    }
+}
+
+/**
+ * Recursive-descent reader for one Python literal. Nodes are
+ * { type, value, start, end } plus items (list/tuple) or entries (dict).
+ */
+class PythonLiteralReader {
+    constructor(code, offset) {
+        this.code = code;
+        this.pos = offset;
+    }
+
+    read() {
+        this._skip();
+        const start = this.pos;
+        const ch = this.code[this.pos];
+
+        if (ch === '{') return this._dict(start);
+        if (ch === '[') return this._sequence(start, ']', 'list');
+        if (ch === '(') return this._sequence(start, ')', 'tuple');
+        if (/['"]/.test(ch) || /^[rRuU]['"]/.test(this.code.slice(this.pos, this.pos + 2))) return this._string(start);
+
+        const number = this._match(/[+-]?\s*(\d[\d_]*\.?[\d_]*|\.\d[\d_]*)([eE][+-]?\d+)?/y);
+        if (number) {
+            return this._node('num', Number(number[0].replace(/[\s_]/g, '')), start);
+        }
+
+        const name = this._match(/[A-Za-z_][\w.]*/y);
+        if (name && ['True', 'False', 'None'].includes(name[0])) {
+            return name[0] === 'None'
+                ? this._node('none', null, start)
+                : this._node('bool', name[0] === 'True', start);
+        }
+
+        const line = this.code.slice(0, start).split('\n').length;
+        const found = name ? `'${name[0]}'` : (ch ? `'${ch}'` : 'end of code');
+        throw new ParamBlockError(`Unsupported expression ${found} on line ${line}`, start);
+    }
+
+    _dict(start) {
+        this.pos++;
+        const entries = [];
+        while (!this._consume('}')) {
+            const key = this.read();
+            this._expect(':');
+            const value = this.read();
+            entries.push({ key: key, value: value });
+            if (!this._consume(',')) {
+                this._expect('}');
+                break;
+            }
+        }
+
+        const value = {};
+        entries.forEach(entry => {
+            value[entry.key.value] = entry.value.value;
+        });
+        return { ...this._node('dict', value, start), entries: entries };
+    }
+
+    _sequence(start, close, type) {
+        this.pos++;
+        const items = [];
+        let trailingComma = false;
+        while (!this._consume(close)) {
+            items.push(this.read());
+            trailingComma = this._consume(',');
+            if (!trailingComma) {
+                this._expect(close);
+                break;
+            }
+        }
+
+        // (x) is just x in parentheses, not a tuple
+        if (type === 'tuple' && items.length === 1 && !trailingComma) {
+            return { ...items[0], start: start, end: this.pos };
+        }
+        return { ...this._node(type, items.map(item => item.value), start), items: items };
+    }
+
+    _string(start) {
+        while (/[rRuU]/.test(this.code[this.pos])) this.pos++;
+        const raw = /[rR]/.test(this.code.slice(start, this.pos));
+        const quote = this.code.startsWith(this.code[this.pos].repeat(3), this.pos)
+            ? this.code[this.pos].repeat(3)
+            : this.code[this.pos];
+        this.pos += quote.length;
+
+        let value = '';
+        const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', '\'': '\'', '"': '"' };
+        while (!this.code.startsWith(quote, this.pos)) {
+            const ch = this.code[this.pos];
+            if (ch === undefined || (ch === '\n' && quote.length === 1)) {
+                throw new ParamBlockError('Unterminated string', start);
+            }
+            if (ch === '\\' && !raw) {
+                const next = this.code[this.pos + 1];
+                value += next in escapes ? escapes[next] : `\\${next}`;
+                this.pos += 2;
+            } else {
+                value += ch;
+                this.pos++;
+            }
+        }
+        this.pos += quote.length;
+        return this._node('str', value, start);
+    }
+
+    _node(type, value, start) {
+        return { type: type, value: value, start: start, end: this.pos };
+    }
+
+    /**
+     * Match a sticky pattern at the cursor and step over it
+     */
+    _match(pattern) {
+        pattern.lastIndex = this.pos;
+        const match = pattern.exec(this.code);
+        if (match) this.pos += match[0].length;
+        return match;
+    }
+
+    /**
+     * Skip whitespace, comments and line continuations
+     */
+    _skip() {
+        this._match(/(\s|#[^\n]*|\\\n)*/y);
+    }
+
+    _consume(ch) {
+        this._skip();
+        if (this.code[this.pos] !== ch) return false;
+        this.pos++;
+        return true;
+    }
+
+    _expect(ch) {
+        if (!this._consume(ch)) {
+            const line = this.code.slice(0, this.pos).split('\n').length;
+            throw new ParamBlockError(`Expected '${ch}' on line ${line}`, this.pos);
+        }
+    }
+}
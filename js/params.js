@@ -0,0 +1,187 @@
+/**
+ * TeXmExDeX Type Modeler - Parameter Schema
+ * Normalizes the specs returned by parse_parameters into typed descriptors
+ *
+ * Accepted spec forms (per parameter name):
+ *   12.5                          float, range 0..2x (legacy)
+ *   [12.5, 5, 40]                 float (default, min, max) (legacy)
+ *   [12.5, 5, 40, 0.5]            float with explicit step
+ *   true                          bool
+ *   { type, default, min, max, step, unit, options, group, label, description }
+ *
+ * type is one of 'float', 'int', 'bool', 'enum'. When omitted it is inferred:
+ * options → enum, boolean default → bool, otherwise float.
+ */
+
+const PARAM_TYPES = ['float', 'int', 'bool', 'enum'];
+const PARAM_DEFAULT_GROUP = 'General';
+
+class ParamSchema {
+    /**
+     * Normalize a whole spec map into { name: descriptor } in declaration order
+     */
+    static normalize(specs = {}) {
+        const result = {};
+        for (const [name, spec] of Object.entries(specs || {})) {
+            result[name] = ParamSchema.normalizeSpec(name, spec);
+        }
+        return result;
+    }
+
+    /**
+     * Normalize one spec. Normalizing a descriptor again returns an equal descriptor.
+     */
+    static normalizeSpec(name, spec) {
+        let raw;
+        if (Array.isArray(spec)) {
+            raw = { default: spec[0], min: spec[1], max: spec[2], step: spec[3] };
+        } else if (spec !== null && typeof spec === 'object') {
+            raw = { ...spec };
+            if (!('default' in raw) && 'value' in raw) raw.default = raw.value;
+            if (!raw.options && raw.choices) raw.options = raw.choices;
+        } else {
+            raw = { default: spec };
+        }
+
+        const type = ParamSchema._inferType(raw);
+        const descriptor = {
+            name: name,
+            type: type,
+            label: raw.label || ParamSchema.formatName(name),
+            unit: raw.unit || '',
+            group: raw.group || PARAM_DEFAULT_GROUP,
+            description: raw.description || ''
+        };
+
+        if (type === 'bool') {
+            descriptor.default = Boolean(raw.default);
+        } else if (type === 'enum') {
+            descriptor.options = (raw.options || []).map(option =>
+                option !== null && typeof option === 'object'
+                    ? { value: option.value, label: String(option.label ?? option.value) }
+                    : { value: option, label: String(option) }
+            );
+            const first = descriptor.options.length > 0 ? descriptor.options[0].value : '';
+            descriptor.default = 'default' in raw ? raw.default : first;
+        } else {
+            Object.assign(descriptor, ParamSchema._numericRange(raw, type));
+        }
+
+        return descriptor;
+    }
+
+    static _inferType(raw) {
+        if (PARAM_TYPES.includes(raw.type)) return raw.type;
+        if (raw.type === 'integer') return 'int';
+        if (raw.type === 'boolean') return 'bool';
+        if (Array.isArray(raw.options)) return 'enum';
+        if (typeof raw.default === 'boolean') return 'bool';
+        return 'float';
+    }
+
+    static _numericRange(raw, type) {
+        const isNumber = (value) => value !== undefined && value !== null && Number.isFinite(Number(value));
+        const fallback = Number(raw.default) || 0;
+
+        // Legacy scalars get a 0..2x range (or 2x..0 for negatives)
+        let min = isNumber(raw.min) ? Number(raw.min) : Math.min(0, fallback * 2);
+        let max = isNumber(raw.max) ? Number(raw.max) : Math.max(0, fallback * 2);
+        if (max <= min) max = min + (type === 'int' ? 10 : 1);
+
+        let step = Number(raw.step);
+        if (!Number.isFinite(step) || step <= 0) {
+            step = type === 'int' ? 1 : (max - min) / 100;
+        }
+        if (type === 'int') {
+            step = Math.max(1, Math.round(step));
+            min = Math.ceil(min);
+            max = Math.floor(max);
+        }
+
+        const range = { min: min, max: max, step: step };
+        range.default = ParamSchema.coerce({ type: type, ...range }, raw.default ?? min);
+        return range;
+    }
+
+    /**
+     * Default values for a spec map
+     */
+    static defaults(specs) {
+        const values = {};
+        for (const [name, descriptor] of Object.entries(ParamSchema.normalize(specs))) {
+            values[name] = descriptor.default;
+        }
+        return values;
+    }
+
+    /**
+     * Convert user input (string, number, bool) to a value valid for the descriptor
+     */
+    static coerce(descriptor, value) {
+        switch (descriptor.type) {
+            case 'bool':
+                return value === true || value === 'true' || value === 1 || value === '1';
+            case 'enum': {
+                // <select> values are strings; map back to the original option value
+                const match = descriptor.options.find(option => String(option.value) === String(value));
+                return match ? match.value : descriptor.default;
+            }
+            default: {
+                let number = Number(value);
+                if (!Number.isFinite(number)) return descriptor.default;
+                // Typed values may go past the slider range on purpose, so no clamping
+                return descriptor.type === 'int' ? Math.round(number) : number;
+            }
+        }
+    }
+
+    /**
+     * Display string for a value, with unit
+     */
+    static formatValue(descriptor, value) {
+        let text;
+        switch (descriptor.type) {
+            case 'bool':
+                text = value ? 'On' : 'Off';
+                break;
+            case 'enum': {
+                const match = descriptor.options.find(option => option.value === value);
+                text = match ? match.label : String(value);
+                break;
+            }
+            case 'int':
+                text = String(Math.round(value));
+                break;
+            default:
+                text = Number(value).toFixed(ParamSchema.decimals(descriptor));
+        }
+        return descriptor.unit && descriptor.type !== 'bool' ? `${text} ${descriptor.unit}` : text;
+    }
+
+    /**
+     * Number of decimals implied by the step (at least 0, at most 4)
+     */
+    static decimals(descriptor) {
+        if (descriptor.type === 'int') return 0;
+        const step = descriptor.step || 0.01;
+        return Math.min(4, Math.max(0, Math.ceil(-Math.log10(step))));
+    }
+
+    /**
+     * Group descriptors by their group name, keeping first-seen order
+     */
+    static groups(specs) {
+        const groups = new Map();
+        for (const descriptor of Object.values(ParamSchema.normalize(specs))) {
+            if (!groups.has(descriptor.group)) groups.set(descriptor.group, []);
+            groups.get(descriptor.group).push(descriptor);
+        }
+        return groups;
+    }
+
+    static formatName(name) {
+        return name
+            .replace(/_/g, ' ')
+            .replace(/\b\w/g, l => l.toUpperCase());
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * TeXmExDeX Type Modeler - Parameter Presets
+ * Named parameter sets and CSV/JSON design tables (one row per variant)
+ */
+
+const PRESET_FORMAT = 'texmexdex-presets';
+const PRESET_NAME_COLUMN = 'name';
+
+class PresetTable {
+    constructor(rows = []) {
+        this.rows = [];
+        rows.forEach(row => this.set(row.name, row.values));
+    }
+
+    get size() {
+        return this.rows.length;
+    }
+
+    names() {
+        return this.rows.map(row => row.name);
+    }
+
+    get(name) {
+        const row = this.rows.find(row => row.name === name);
+        return row ? { ...row.values } : null;
+    }
+
+    /**
+     * Add a preset, replacing any existing one with the same name
+     */
+    set(name, values) {
+        name = String(name || '').trim();
+        if (!name) {
+            throw new Error('Preset name is required');
+        }
+
+        const row = { name: name, values: { ...values } };
+        const index = this.rows.findIndex(existing => existing.name === name);
+        if (index >= 0) {
+            this.rows[index] = row;
+        } else {
+            this.rows.push(row);
+        }
+        return row;
+    }
+
+    remove(name) {
+        this.rows = this.rows.filter(row => row.name !== name);
+    }
+
+    /**
+     * Merge rows from another table; incoming rows win on name clashes
+     */
+    merge(other) {
+        other.rows.forEach(row => this.set(row.name, row.values));
+        return this;
+    }
+
+    toArray() {
+        return this.rows.map(row => ({ name: row.name, values: { ...row.values } }));
+    }
+
+    /**
+     * Union of parameter names across rows, in first-seen order
+     */
+    columns() {
+        const columns = [];
+        this.rows.forEach(row => {
+            Object.keys(row.values).forEach(key => {
+                if (!columns.includes(key)) columns.push(key);
+            });
+        });
+        return columns;
+    }
+
+    toJSON() {
+        return JSON.stringify({ format: PRESET_FORMAT, presets: this.toArray() }, null, 2);
+    }
+
+    /**
+     * Design table: header row of "name" plus parameter names, one row per preset
+     */
+    toCSV() {
+        const columns = this.columns();
+        const lines = [[PRESET_NAME_COLUMN, ...columns].map(PresetTable._quote).join(',')];
+        this.rows.forEach(row => {
+            const cells = columns.map(key => key in row.values ? row.values[key] : '');
+            lines.push([row.name, ...cells].map(PresetTable._quote).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Accepts { format, presets: [{name, values}] }, a bare array of those,
+     * or a flat array of row objects with a "name" key
+     */
+    static fromJSON(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Design table is not valid JSON');
+        }
+
+        const rows = Array.isArray(doc) ? doc : doc && doc.presets;
+        if (!Array.isArray(rows)) {
+            throw new Error('Design table has no presets');
+        }
+
+        return new PresetTable(rows.map((row, i) => {
+            if (row && row.values && typeof row.values === 'object') {
+                return { name: row.name || `Row ${i + 1}`, values: row.values };
+            }
+            const { [PRESET_NAME_COLUMN]: name, ...values } = row || {};
+            return { name: name || `Row ${i + 1}`, values: values };
+        }));
+    }
+
+    static fromCSV(text) {
+        const records = PresetTable._parseCSV(text).filter(record => record.some(cell => cell.trim() !== ''));
+        if (records.length < 2) {
+            throw new Error('Design table needs a header row and at least one variant');
+        }
+
+        const header = records[0].map(cell => cell.trim());
+        const nameIndex = header.findIndex(cell => cell.toLowerCase() === PRESET_NAME_COLUMN);
+
+        return new PresetTable(records.slice(1).map((record, i) => {
+            const values = {};
+            header.forEach((key, col) => {
+                if (col === nameIndex || !key) return;
+                const cell = (record[col] || '').trim();
+                if (cell !== '') values[key] = PresetTable._parseCell(cell);
+            });
+            const name = nameIndex >= 0 ? (record[nameIndex] || '').trim() : '';
+            return { name: name || `Row ${i + 1}`, values: values };
+        }));
+    }
+
+    /**
+     * Pick the parser from a file name (.csv, otherwise JSON)
+     */
+    static fromFile(filename, text) {
+        return /\.csv$/i.test(filename) ? PresetTable.fromCSV(text) : PresetTable.fromJSON(text);
+    }
+
+    static _parseCell(cell) {
+        if (/^(true|false)$/i.test(cell)) return cell.toLowerCase() === 'true';
+        const number = Number(cell);
+        return Number.isFinite(number) ? number : cell;
+    }
+
+    static _quote(value) {
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF
+     */
+    static _parseCSV(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                record.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+        return records;
+    }
+}
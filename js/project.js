@@ -0,0 +1,184 @@
+/**
+ * TeXmExDeX Type Modeler - Project Files
+ * Serializes a session to a versioned .tmxd file and autosaves it to IndexedDB
+ *
+ * Version 2 adds an optional assembly ({ active, parts }). The top-level
+ * code, parameters and transform always describe the active part, so a
+ * single-part project reads the same as version 1. Scale and saved camera
+ * views are optional and default when missing.
+ */
+
+const PROJECT_FORMAT = 'texmexdex-project';
+const PROJECT_VERSION = 2;
+const PROJECT_EXTENSION = '.tmxd';
+
+class Project {
+    /**
+     * Build a project document from the current session state
+     */
+    static serialize(state) {
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            name: state.name || 'Untitled',
+            savedAt: new Date().toISOString(),
+            code: state.code || '',
+            parameters: {
+                specs: state.paramSpecs || {},
+                values: state.params || {},
+                presets: state.presets || []
+            },
+            chat: {
+                history: state.chatHistory || [],
+                transcript: state.chatTranscript || []
+            },
+            transform: {
+                position: state.position || { x: 0, y: 0, z: 0 },
+                rotation: state.rotation || { x: 0, y: 0, z: 0 },
+                scale: state.scale || { x: 1, y: 1, z: 1 }
+            },
+            views: state.views || [],
+            assembly: state.assembly || null
+        };
+    }
+
+    /**
+     * Validate a parsed project document and return the session state it describes
+     */
+    static deserialize(doc) {
+        if (!doc || typeof doc !== 'object' || doc.format !== PROJECT_FORMAT) {
+            throw new Error('Not a TeXmExDeX project file');
+        }
+        if (typeof doc.version !== 'number' || doc.version > PROJECT_VERSION) {
+            throw new Error(`Unsupported project version: ${doc.version}`);
+        }
+
+        const parameters = doc.parameters || {};
+        const chat = doc.chat || {};
+        const transform = doc.transform || {};
+        const assembly = doc.assembly && Array.isArray(doc.assembly.parts) && doc.assembly.parts.length > 1
+            ? doc.assembly
+            : null;
+
+        return {
+            name: doc.name || 'Untitled',
+            savedAt: doc.savedAt || null,
+            code: doc.code || '',
+            paramSpecs: parameters.specs || {},
+            params: parameters.values || {},
+            presets: Array.isArray(parameters.presets) ? parameters.presets : [],
+            chatHistory: Array.isArray(chat.history) ? chat.history : [],
+            chatTranscript: Array.isArray(chat.transcript) ? chat.transcript : [],
+            position: { x: 0, y: 0, z: 0, ...transform.position },
+            rotation: { x: 0, y: 0, z: 0, ...transform.rotation },
+            scale: { x: 1, y: 1, z: 1, ...transform.scale },
+            views: Array.isArray(doc.views) ? doc.views.filter(Project._isView) : [],
+            assembly: assembly
+        };
+    }
+
+    /**
+     * A saved camera view needs a name and a position and target as [x, y, z]
+     */
+    static _isView(view) {
+        const isPoint = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+        return !!view && typeof view.name === 'string' && isPoint(view.position) && isPoint(view.target);
+    }
+
+    /**
+     * Serialize state to a JSON string
+     */
+    static toJSON(state) {
+        return JSON.stringify(Project.serialize(state), null, 2);
+    }
+
+    /**
+     * Parse a JSON string into session state
+     */
+    static fromJSON(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Project file is not valid JSON');
+        }
+        return Project.deserialize(doc);
+    }
+
+    /**
+     * Turn a project name into a safe download filename
+     */
+    static filename(name) {
+        const base = (name || 'project')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+        return (base || 'project') + PROJECT_EXTENSION;
+    }
+}
+
+/**
+ * IndexedDB-backed autosave slot
+ */
+class ProjectStore {
+    constructor(dbName = 'texmexdex', storeName = 'projects') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    async _open() {
+        if (this.db) return this.db;
+        if (!window.indexedDB) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    async _request(mode, fn) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = fn(tx.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store a project document under a key
+     */
+    async save(key, doc) {
+        return this._request('readwrite', store => store.put(doc, key));
+    }
+
+    /**
+     * Load a project document, or null when nothing is stored
+     */
+    async load(key) {
+        const doc = await this._request('readonly', store => store.get(key));
+        return doc || null;
+    }
+
+    /**
+     * Remove a stored project document
+     */
+    async remove(key) {
+        return this._request('readwrite', store => store.delete(key));
+    }
+}
+
+// Key for the rolling autosave slot
+const AUTOSAVE_KEY = 'autosave';
+
+// Global project store instance
+const projectStore = new ProjectStore();
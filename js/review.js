@@ -0,0 +1,320 @@
+/**
+ * TeXmExDeX Type Modeler - Code Review
+ * Monaco diff review of AI-proposed code with per-hunk accept and mesh preview
+ */
+
+const REVIEW_DEFAULT_TITLE = 'Review AI Changes';
+
+class CodeReview {
+    constructor() {
+        this.sheetEl = document.getElementById('review-sheet');
+        this.titleEl = document.getElementById('review-title');
+        this.hunksEl = document.getElementById('review-hunks');
+        this.summaryEl = document.getElementById('review-summary');
+        this.diffEditor = null;
+        this.originalModel = null;
+        this.modifiedModel = null;
+        this.callbacks = null;
+        this.proposedCode = '';
+        this.baseCode = '';  // Editor buffer the diff is taken against
+        this.rebased = false;  // Whether the buffer changed under the review
+        this.diffPending = false;  // Result side edited; hunk ranges are stale until the diff updates
+        this.notes = [];  // Explanations ({ line, message }) to pair with hunks
+        this.hunkNotes = null;  // Hunk key -> messages, assigned on the first diff
+        this.generalNotes = [];  // Explanations no hunk could claim
+        this.focusLine = null;
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        document.getElementById('btn-review-accept-all').addEventListener('click', () => this.acceptAll());
+        document.getElementById('btn-review-apply').addEventListener('click', () => this.apply());
+        document.getElementById('btn-review-reject').addEventListener('click', () => this.reject());
+        document.getElementById('btn-review-preview').addEventListener('click', () => this.previewMesh());
+    }
+
+    /**
+     * Open the review between the current buffer and the proposed code.
+     * callbacks: { onApply(code, baseCode), onReject(), getParams() }
+     * options: { title, notes: [{ line, message }], focusLine } where lines
+     * refer to the current buffer
+     */
+    open(originalCode, proposedCode, callbacks = {}, options = {}) {
+        if (typeof monaco === 'undefined') {
+            throw new Error('Editor is still loading');
+        }
+
+        viewer.clearGhost();
+        this.callbacks = callbacks;
+        this.proposedCode = proposedCode;
+        this.baseCode = originalCode;
+        this.rebased = false;
+        this.diffPending = false;
+        this.notes = options.notes || [];
+        this.hunkNotes = null;
+        this.generalNotes = [];
+        this.focusLine = options.focusLine || null;
+        this.titleEl.textContent = options.title || REVIEW_DEFAULT_TITLE;
+        this.sheetEl.classList.add('active');
+
+        if (!this.diffEditor) {
+            this.diffEditor = monaco.editor.createDiffEditor(document.getElementById('review-diff'), {
+                theme: 'texmexdex-dark',
+                readOnly: true,
+                originalEditable: false,
+                renderSideBySide: true,
+                automaticLayout: true,
+                minimap: { enabled: false },
+                fontSize: 12,
+                fontFamily: "'JetBrains Mono', 'Fira Code', monospace",
+                scrollBeyondLastLine: false
+            });
+            this.diffEditor.onDidUpdateDiff(() => this._renderHunks());
+        }
+
+        this._disposeModels();
+        this.originalModel = monaco.editor.createModel(originalCode, 'python');
+        this.modifiedModel = monaco.editor.createModel(proposedCode, 'python');
+        this.diffEditor.setModel({ original: this.originalModel, modified: this.modifiedModel });
+    }
+
+    /**
+     * Hunks still pending between the result buffer and the proposal
+     */
+    getHunks() {
+        return this.diffEditor ? this.diffEditor.getLineChanges() || [] : [];
+    }
+
+    /**
+     * Copy one hunk from the proposal into the result (left) side
+     */
+    acceptHunk(change) {
+        if (this.diffPending) return;
+
+        const eol = this.originalModel.getEOL();
+        const lines = this.originalModel.getLinesContent();
+        const proposed = this.modifiedModel.getLinesContent();
+
+        const inserted = change.modifiedEndLineNumber === 0
+            ? []
+            : proposed.slice(change.modifiedStartLineNumber - 1, change.modifiedEndLineNumber);
+
+        if (change.originalEndLineNumber === 0) {
+            // Pure insertion after originalStartLineNumber
+            lines.splice(change.originalStartLineNumber, 0, ...inserted);
+        } else {
+            lines.splice(
+                change.originalStartLineNumber - 1,
+                change.originalEndLineNumber - change.originalStartLineNumber + 1,
+                ...inserted
+            );
+        }
+
+        this._setResult(lines.join(eol));
+    }
+
+    acceptAll() {
+        this._finish(this.proposedCode);
+    }
+
+    /**
+     * Apply whatever hunks have been accepted so far
+     */
+    apply() {
+        this._finish(this.originalModel.getValue());
+    }
+
+    reject() {
+        const callbacks = this.callbacks;
+        this.close();
+        if (callbacks && callbacks.onReject) {
+            callbacks.onReject();
+        }
+    }
+
+    async previewMesh() {
+        const btn = document.getElementById('btn-review-preview');
+        btn.disabled = true;
+        btn.textContent = 'Generating...';
+
+        try {
+            const params = this.callbacks && this.callbacks.getParams ? this.callbacks.getParams() : {};
+            const result = await api.generateMesh(this.proposedCode, params);
+            if (!result.success || !(result.meshUrl || result.mesh)) {
+                throw new Error(result.error || result.status || 'Preview generation failed');
+            }
+            await viewer.showGhost(result.mesh || result.meshUrl);
+            this.summaryEl.textContent = 'Proposed mesh shown in green beside the current one';
+        } catch (error) {
+            this.summaryEl.textContent = `Preview failed: ${error.message}`;
+        } finally {
+            btn.disabled = false;
+            btn.textContent = 'Preview Mesh';
+        }
+    }
+
+    close() {
+        this.sheetEl.classList.remove('active');
+        this.callbacks = null;
+        viewer.clearGhost();
+        if (this.diffEditor) {
+            this.diffEditor.setModel(null);
+        }
+        this._disposeModels();
+    }
+
+    _finish(code) {
+        // Never overwrite edits made in the editor since the review opened
+        if (editor && editor.getCode() !== this.baseCode) {
+            this._rebase();
+            return;
+        }
+
+        const callbacks = this.callbacks;
+        const baseCode = this.baseCode;
+        this.close();
+        if (callbacks && callbacks.onApply) {
+            callbacks.onApply(code, baseCode);
+        }
+    }
+
+    /**
+     * Restart the result side from the live buffer so the diff shows what
+     * applying would now change; hunks accepted so far must be accepted again
+     */
+    _rebase() {
+        this.baseCode = editor.getCode();
+        this.rebased = true;
+        this._setResult(this.baseCode);
+    }
+
+    /**
+     * Replace the result side; the hunk buttons wait for the new diff
+     */
+    _setResult(code) {
+        this.diffPending = true;
+        this.hunksEl.querySelectorAll('button').forEach(button => {
+            button.disabled = true;
+        });
+        this.originalModel.setValue(code);
+    }
+
+    _disposeModels() {
+        if (this.originalModel) this.originalModel.dispose();
+        if (this.modifiedModel) this.modifiedModel.dispose();
+        this.originalModel = null;
+        this.modifiedModel = null;
+    }
+
+    _renderHunks() {
+        if (!this.originalModel) return;
+        this.diffPending = false;
+
+        const hunks = this.getHunks();
+        if (this.hunkNotes === null) {
+            this._assignNotes(hunks);
+        }
+        this.hunksEl.innerHTML = '';
+        this.summaryEl.textContent = (this.rebased ? 'Editor changed while reviewing, diff refreshed. ' : '') +
+            (hunks.length === 0
+                ? 'All changes accepted'
+                : `${hunks.length} change${hunks.length === 1 ? '' : 's'} pending`);
+
+        this.generalNotes.forEach(message => {
+            const item = document.createElement('li');
+            item.className = 'review-note';
+            item.textContent = message;
+            this.hunksEl.appendChild(item);
+        });
+
+        hunks.forEach(change => {
+            const item = document.createElement('li');
+            item.className = 'review-hunk';
+            item.innerHTML = `
+                <span class="review-hunk-range">${this._describe(change)}</span>
+                <button class="btn btn-secondary btn-small">Accept</button>
+            `;
+            item.querySelector('button').addEventListener('click', () => this.acceptHunk(change));
+            item.querySelector('.review-hunk-range').addEventListener('click', () => {
+                this.diffEditor.getModifiedEditor().revealLineInCenter(change.modifiedStartLineNumber || 1);
+            });
+
+            const notes = this.hunkNotes.get(this._key(change));
+            if (notes) {
+                const note = document.createElement('div');
+                note.className = 'review-hunk-note';
+                note.textContent = notes.join(' ');
+                item.appendChild(note);
+            }
+            this.hunksEl.appendChild(item);
+        });
+    }
+
+    /**
+     * Pair explanations with hunks once the first diff is in. A note with a
+     * line goes to the hunk covering it; the rest pair up in order when the
+     * counts agree and are listed above the hunks otherwise.
+     */
+    _assignNotes(hunks) {
+        this.hunkNotes = new Map();
+        const add = (change, message) => {
+            const key = this._key(change);
+            this.hunkNotes.set(key, [...(this.hunkNotes.get(key) || []), message]);
+        };
+
+        const unlocated = [];
+        this.notes.forEach(note => {
+            const change = note.line && hunks.find(hunk => this._covers(hunk, note.line));
+            if (change) add(change, note.message);
+            else unlocated.push(note);
+        });
+
+        const bare = hunks.filter(change => !this.hunkNotes.has(this._key(change)));
+        if (unlocated.length > 0 && unlocated.length === bare.length) {
+            bare.forEach((change, i) => add(change, unlocated[i].message));
+        } else {
+            this.generalNotes = unlocated.map(note => note.message);
+        }
+
+        const focus = this.focusLine && hunks.find(hunk => this._covers(hunk, this.focusLine));
+        if (focus) {
+            this.diffEditor.getModifiedEditor().revealLineInCenter(focus.modifiedStartLineNumber || 1);
+        }
+    }
+
+    /**
+     * Whether a hunk touches a line of the original buffer
+     */
+    _covers(change, line) {
+        if (change.originalEndLineNumber === 0) {
+            // Insertion after originalStartLineNumber
+            return line === change.originalStartLineNumber || line === change.originalStartLineNumber + 1;
+        }
+        return line >= change.originalStartLineNumber && line <= change.originalEndLineNumber;
+    }
+
+    /**
+     * Hunk identity across re-renders; only the result side changes while
+     * reviewing, so the proposal-side range is stable
+     */
+    _key(change) {
+        return `${change.modifiedStartLineNumber}:${change.modifiedEndLineNumber}`;
+    }
+
+    _describe(change) {
+        const span = (start, end) => start === end ? `${start}` : `${start}–${end}`;
+
+        if (change.originalEndLineNumber === 0) {
+            return `+ Lines ${span(change.modifiedStartLineNumber, change.modifiedEndLineNumber)}`;
+        }
+        if (change.modifiedEndLineNumber === 0) {
+            return `− Lines ${span(change.originalStartLineNumber, change.originalEndLineNumber)}`;
+        }
+        return `~ Lines ${span(change.originalStartLineNumber, change.originalEndLineNumber)} → ` +
+            span(change.modifiedStartLineNumber, change.modifiedEndLineNumber);
+    }
+}
+
+// Global review instance
+let codeReview = null;
@@ -0,0 +1,328 @@
+/**
+ * TeXmExDeX Type Modeler - Section View
+ * Up to three clipping planes with stencil-filled caps where they cut the mesh
+ */
+
+const SECTION_MAX_PLANES = 3;
+const SECTION_CAP_COLOR = 0xd9534f;
+
+// Plane directions for axis-aligned sections (world space, Y-up)
+const SECTION_AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+
+class SectionTool {
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.planes = [];
+        this.nextId = 1;
+        this.facePickCallback = null;  // Set while waiting for a face click
+        this.pointerDown = null;
+
+        // Stencil passes and caps are kept out of currentMesh so exports,
+        // picking and mesh info never see them
+        this.group = new THREE.Group();
+        this.viewer.scene.add(this.group);
+
+        this.viewer.renderer.localClippingEnabled = true;
+        this.viewer.onFrame(() => this._update());
+
+        document.addEventListener('meshChanged', () => this._rebuild());
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        const canvas = this.viewer.renderer.domElement;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            this.pointerDown = { x: e.clientX, y: e.clientY };
+        });
+
+        canvas.addEventListener('pointerup', (e) => {
+            if (!this.facePickCallback || !this.pointerDown) return;
+            const moved = Math.hypot(e.clientX - this.pointerDown.x, e.clientY - this.pointerDown.y);
+            this.pointerDown = null;
+            if (moved >= 4) return;
+
+            const hit = this.viewer.pickMesh(e.clientX, e.clientY);
+            if (!hit) return;
+
+            const callback = this.facePickCallback;
+            this.cancelFacePick();
+            callback(this.addFacePlane(hit));
+        });
+    }
+
+    /**
+     * Wait for the next click on the mesh and add a plane on that face
+     */
+    startFacePick(callback) {
+        this.facePickCallback = callback;
+        this.viewer.container.classList.add('measuring');
+    }
+
+    cancelFacePick() {
+        this.facePickCallback = null;
+        this.viewer.container.classList.remove('measuring');
+    }
+
+    /**
+     * Add a section plane along an axis ('x', 'y', 'z')
+     */
+    addAxisPlane(axis) {
+        const direction = SECTION_AXES[axis];
+        if (!direction) {
+            throw new Error(`Unknown section axis: ${axis}`);
+        }
+
+        const box = this._getBounds();
+        const origin = box ? box.getCenter(new THREE.Vector3()) : new THREE.Vector3();
+        return this._addPlane({ kind: axis, direction: direction.clone(), origin: origin });
+    }
+
+    /**
+     * Add a section plane aligned to a picked face (hit from viewer.pickMesh).
+     * The plane starts on the face and moves into the part as the offset decreases.
+     */
+    addFacePlane(hit) {
+        const normalMatrix = new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld);
+        const direction = hit.face.normal.clone().applyMatrix3(normalMatrix).normalize();
+        return this._addPlane({ kind: 'face', direction: direction, origin: hit.point.clone() });
+    }
+
+    _addPlane({ kind, direction, origin }) {
+        if (this.planes.length >= SECTION_MAX_PLANES) {
+            throw new Error(`At most ${SECTION_MAX_PLANES} section planes`);
+        }
+
+        const section = {
+            id: this.nextId++,
+            kind: kind,
+            direction: direction,
+            origin: origin,
+            offset: 0,
+            plane: new THREE.Plane(),
+            cap: null,
+            stencils: []
+        };
+        this.planes.push(section);
+        this._updatePlane(section);
+        this._rebuild();
+        return section;
+    }
+
+    /**
+     * Range of useful offsets for a plane, from the current mesh bounds
+     */
+    getRange(id) {
+        const section = this._find(id);
+        const box = this._getBounds();
+        if (!section || !box) return { min: -50, max: 50 };
+
+        // Project the box corners onto the plane direction relative to its origin
+        let min = Infinity;
+        let max = -Infinity;
+        const corner = new THREE.Vector3();
+        for (let i = 0; i < 8; i++) {
+            corner.set(
+                i & 1 ? box.max.x : box.min.x,
+                i & 2 ? box.max.y : box.min.y,
+                i & 4 ? box.max.z : box.min.z
+            );
+            const d = section.direction.dot(corner.sub(section.origin));
+            min = Math.min(min, d);
+            max = Math.max(max, d);
+        }
+        return { min: min, max: max };
+    }
+
+    /**
+     * Move a plane along its direction
+     */
+    setOffset(id, offset) {
+        const section = this._find(id);
+        if (!section) return;
+        section.offset = offset;
+        this._updatePlane(section);
+    }
+
+    /**
+     * Keep the other side of the cut
+     */
+    flip(id) {
+        const section = this._find(id);
+        if (!section) return;
+        section.direction.negate();
+        section.offset = -section.offset;
+        this._updatePlane(section);
+    }
+
+    removePlane(id) {
+        this._disposeHelpers();
+        this.planes = this.planes.filter(section => section.id !== id);
+        this._rebuild();
+    }
+
+    clear() {
+        this._disposeHelpers();
+        this.planes = [];
+        this._rebuild();
+    }
+
+    _find(id) {
+        return this.planes.find(section => section.id === id);
+    }
+
+    _getBounds() {
+        if (!this.viewer.currentMesh) return null;
+        const box = new THREE.Box3().setFromObject(this.viewer.currentMesh);
+        return box.isEmpty() ? null : box;
+    }
+
+    /**
+     * Keep everything on the origin side of origin + direction * offset
+     */
+    _updatePlane(section) {
+        section.plane.normal.copy(section.direction).negate();
+        section.plane.constant = section.direction.dot(section.origin) + section.offset;
+
+        if (section.cap) {
+            this._placeCap(section);
+        }
+    }
+
+    _placeCap(section) {
+        const box = this._getBounds();
+        const center = box ? box.getCenter(new THREE.Vector3()) : new THREE.Vector3();
+        const cap = section.cap;
+
+        section.plane.projectPoint(center, cap.position);
+        cap.lookAt(cap.position.clone().sub(section.plane.normal));
+    }
+
+    _sourceMeshes() {
+        const meshes = [];
+        if (this.viewer.currentMesh) {
+            this.viewer.currentMesh.traverse(child => {
+                if (child.isMesh && child.geometry) meshes.push(child);
+            });
+        }
+        return meshes;
+    }
+
+    /**
+     * Recreate clipping materials, stencil passes and caps for the current mesh
+     */
+    _rebuild() {
+        this._disposeHelpers();
+
+        const allPlanes = this.planes.map(section => section.plane);
+        const sources = this._sourceMeshes();
+
+        // Clip the model itself by every plane and draw it after the caps
+        if (this.viewer.currentMesh) {
+            this.viewer.currentMesh.traverse(child => {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(material => {
+                    if (!material) return;
+                    material.clippingPlanes = allPlanes.length > 0 ? allPlanes : null;
+                    material.needsUpdate = true;
+                });
+                if (child.isMesh) {
+                    child.renderOrder = allPlanes.length > 0 ? SECTION_MAX_PLANES + 1 : 0;
+                }
+            });
+        }
+
+        if (sources.length === 0) return;
+
+        const box = this._getBounds();
+        const size = box ? box.getSize(new THREE.Vector3()).length() * 2 : 100;
+
+        this.planes.forEach((section, i) => {
+            const otherPlanes = allPlanes.filter(plane => plane !== section.plane);
+
+            sources.forEach(source => {
+                section.stencils.push(
+                    this._createStencilMesh(source, section.plane, THREE.BackSide,
+                        THREE.IncrementWrapStencilOp, i + 1),
+                    this._createStencilMesh(source, section.plane, THREE.FrontSide,
+                        THREE.DecrementWrapStencilOp, i + 1)
+                );
+            });
+
+            // Cap drawn wherever the stencil count is non-zero, i.e. inside the solid
+            const capMaterial = new THREE.MeshStandardMaterial({
+                color: SECTION_CAP_COLOR,
+                metalness: 0.1,
+                roughness: 0.75,
+                clippingPlanes: otherPlanes,
+                stencilWrite: true,
+                stencilRef: 0,
+                stencilFunc: THREE.NotEqualStencilFunc,
+                stencilFail: THREE.ReplaceStencilOp,
+                stencilZFail: THREE.ReplaceStencilOp,
+                stencilZPass: THREE.ReplaceStencilOp
+            });
+            const cap = new THREE.Mesh(new THREE.PlaneGeometry(size, size), capMaterial);
+            cap.renderOrder = i + 1.1;
+            cap.onAfterRender = (renderer) => renderer.clearStencil();
+
+            section.cap = cap;
+            this.group.add(cap);
+            this._placeCap(section);
+        });
+    }
+
+    _createStencilMesh(source, plane, side, op, renderOrder) {
+        const material = new THREE.MeshBasicMaterial({
+            side: side,
+            depthWrite: false,
+            depthTest: false,
+            colorWrite: false,
+            stencilWrite: true,
+            stencilFunc: THREE.AlwaysStencilFunc,
+            stencilFail: op,
+            stencilZFail: op,
+            stencilZPass: op,
+            clippingPlanes: [plane]
+        });
+
+        const mesh = new THREE.Mesh(source.geometry, material);
+        mesh.matrixAutoUpdate = false;
+        mesh.renderOrder = renderOrder;
+        mesh.userData.source = source;
+        this.group.add(mesh);
+        return mesh;
+    }
+
+    _disposeHelpers() {
+        this.planes.forEach(section => {
+            section.stencils.forEach(mesh => {
+                this.group.remove(mesh);
+                mesh.material.dispose();
+            });
+            section.stencils = [];
+
+            if (section.cap) {
+                this.group.remove(section.cap);
+                section.cap.geometry.dispose();
+                section.cap.material.dispose();
+                section.cap = null;
+            }
+        });
+    }
+
+    _update() {
+        this.planes.forEach(section => {
+            section.stencils.forEach(mesh => {
+                mesh.matrix.copy(mesh.userData.source.matrixWorld);
+            });
+        });
+    }
+}
+
+// Global section tool instance
+let sectionTool = null;
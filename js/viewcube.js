@@ -0,0 +1,107 @@
+/**
+ * TeXmExDeX Type Modeler - View Cube
+ * Small orientation cube in the viewport corner; click a face, edge or
+ * corner to look at the model from that side
+ */
+
+const VIEW_CUBE_SIZE = 96;  // px
+
+// BoxGeometry material order: +X, -X, +Y, -Y, +Z, -Z
+const VIEW_CUBE_FACES = ['Right', 'Left', 'Top', 'Bottom', 'Front', 'Back'];
+
+class ViewCube {
+    constructor(viewer, containerId) {
+        this.viewer = viewer;
+        this.container = document.getElementById(containerId);
+        this.hovered = null;  // Material index under the pointer
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.OrthographicCamera(-0.9, 0.9, 0.9, -0.9, 0.1, 10);
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setSize(VIEW_CUBE_SIZE, VIEW_CUBE_SIZE);
+        this.container.appendChild(this.renderer.domElement);
+
+        this.cube = new THREE.Mesh(
+            new THREE.BoxGeometry(1, 1, 1),
+            VIEW_CUBE_FACES.map(label => new THREE.MeshBasicMaterial({ map: this._labelTexture(label) }))
+        );
+        this.scene.add(this.cube);
+        this.scene.add(new THREE.LineSegments(
+            new THREE.EdgesGeometry(this.cube.geometry),
+            new THREE.LineBasicMaterial({ color: 0x666666 })
+        ));
+
+        this.raycaster = new THREE.Raycaster();
+        this.viewer.onFrame(() => this._render());
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        const canvas = this.renderer.domElement;
+
+        canvas.addEventListener('pointermove', (e) => {
+            const hit = this._pick(e);
+            this._setHovered(hit ? hit.face.materialIndex : null);
+        });
+
+        canvas.addEventListener('pointerleave', () => this._setHovered(null));
+
+        canvas.addEventListener('click', (e) => {
+            const hit = this._pick(e);
+            if (!hit) return;
+
+            // Near an edge or corner the neighbouring faces join in: edge and iso views
+            const direction = hit.point.toArray().map(c => (Math.abs(c) > 0.35 ? Math.sign(c) : 0));
+            this.viewer.setView(direction);
+        });
+    }
+
+    _pick(e) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+        return this.raycaster.intersectObject(this.cube)[0] || null;
+    }
+
+    _setHovered(index) {
+        if (index === this.hovered) return;
+        this.cube.material.forEach((material, i) => {
+            material.color.setHex(i === index ? 0x9fc4f0 : 0xffffff);
+        });
+        this.hovered = index;
+        this.renderer.domElement.style.cursor = index === null ? '' : 'pointer';
+    }
+
+    /**
+     * Turn the cube's camera to match the main camera, then draw
+     */
+    _render() {
+        const main = this.viewer.camera;
+        const direction = main.position.clone().sub(this.viewer.controls.target).normalize();
+        this.camera.position.copy(direction.multiplyScalar(3));
+        this.camera.up.copy(main.up);
+        this.camera.lookAt(0, 0, 0);
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    _labelTexture(label) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 128;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#2a2a2a';
+        ctx.fillRect(0, 0, 128, 128);
+        ctx.fillStyle = '#e5e5e5';
+        ctx.font = '600 26px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label.toUpperCase(), 64, 64);
+        return new THREE.CanvasTexture(canvas);
+    }
+}
+
+// Global view cube instance
+let viewCube = null;
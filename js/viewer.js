@@ -3,16 +3,48 @@
  * Three.js-based CAD viewport with measurement tools
  */
 
+// Standard views: direction from the target to the camera (Y-up; front faces +Z)
+const VIEW_PRESETS = {
+    front: { label: 'Front', direction: [0, 0, 1] },
+    back: { label: 'Back', direction: [0, 0, -1] },
+    right: { label: 'Right', direction: [1, 0, 0] },
+    left: { label: 'Left', direction: [-1, 0, 0] },
+    top: { label: 'Top', direction: [0, 1, 0] },
+    bottom: { label: 'Bottom', direction: [0, -1, 0] },
+    iso: { label: 'Isometric', direction: [1, 1, 1] }
+};
+
+const VIEW_TRANSITION_MS = 400;
+
 class Viewer {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         this.scene = null;
-        this.camera = null;
+        this.camera = null;  // Whichever of the two cameras below is active
+        this.perspectiveCamera = null;
+        this.orthoCamera = null;  // Created on first switch to orthographic
+        this.orthoHeight = 100;  // Frustum height at zoom 1, set when switching
+        this.projection = 'perspective';
+        this.cameraTween = null;  // Per-frame step of a running view transition
         this.renderer = null;
         this.controls = null;
         this.currentMesh = null;
+        this.parts = null;  // Assembly mode: part id -> object under currentMesh
+        this.partVisibility = new Map();  // part id -> shown (before isolation)
+        this.isolatedPartId = null;
+        this.selectedPartId = null;
+        this.ghostMesh = null;  // Translucent preview shown beside currentMesh
+        this.previousMesh = null;  // Loaded mesh that the last load replaced, kept for comparison
+        this.splitObject = null;  // Side by side: drawn alone in the left half, currentMesh in the right
+        this.requestHeaders = {};  // Auth headers for mesh URLs on a private backend
         this.gridHelper = null;
         this.axisHelper = null;
+        this.raycaster = new THREE.Raycaster();
+        this.frameListeners = [];  // Called every frame after controls update
+        this.gizmo = null;  // TransformControls, created on first use
+        this.gizmoMode = null;  // 'translate' | 'rotate' | 'scale' | null (hidden)
+        this.facePickCallback = null;  // Set while waiting for a face to align
+        this.pointerDown = null;
 
         this.settings = {
             showGrid: true,
@@ -21,9 +53,18 @@ class Viewer {
             backgroundColor: 0x0d0d0d  // Match page background
         };
 
+        // Gizmo snapping: mm for moves, degrees for turns, factor for scale
+        this.snap = {
+            enabled: true,
+            translate: 1,
+            rotate: 15,
+            scale: 0.1
+        };
+
         // Object transform state
         this.objectPosition = { x: 0, y: 0, z: 0 };
         this.objectRotation = { x: 0, y: 0, z: 0 };
+        this.objectScale = { x: 1, y: 1, z: 1 };
 
         this._init();
     }
@@ -35,7 +76,8 @@ class Viewer {
 
         // Camera
         const aspect = this.container.clientWidth / this.container.clientHeight;
-        this.camera = new THREE.PerspectiveCamera(45, aspect, 0.1, 1000);
+        this.perspectiveCamera = new THREE.PerspectiveCamera(45, aspect, 0.1, 1000);
+        this.camera = this.perspectiveCamera;
         this.camera.position.set(50, 50, 50);
         this.camera.lookAt(0, 0, 0);
 
@@ -55,6 +97,11 @@ class Viewer {
         this.controls.dampingFactor = 0.05;
         this.controls.screenSpacePanning = true;
 
+        // Grabbing the view stops a transition in progress
+        this.controls.addEventListener('start', () => {
+            this.cameraTween = null;
+        });
+
         // Lighting
         this._setupLighting();
 
@@ -68,6 +115,8 @@ class Viewer {
         // Handle resize
         window.addEventListener('resize', () => this._onResize());
 
+        this._setupFacePick();
+
         // Start animation loop
         this._animate();
     }
@@ -106,96 +155,532 @@ class Viewer {
     }
 
     _onResize() {
-        const width = this.container.clientWidth;
-        const height = this.container.clientHeight;
+        this.perspectiveCamera.aspect = this._viewportAspect();
+        this.perspectiveCamera.updateProjectionMatrix();
+        this._updateOrthoFrustum();
+        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+    }
 
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(width, height);
+    /**
+     * Aspect of one view: the whole canvas, or half of it side by side
+     */
+    _viewportAspect() {
+        const width = this.container.clientWidth / (this.splitObject ? 2 : 1);
+        return width / this.container.clientHeight;
     }
 
     _animate() {
         requestAnimationFrame(() => this._animate());
+        if (this.cameraTween) {
+            this.cameraTween(performance.now());
+        }
         this.controls.update();
-        this.renderer.render(this.scene, this.camera);
+        this.frameListeners.forEach(fn => fn());
+        if (this.splitObject) {
+            this._renderSplit();
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    /**
+     * Show object in the left half and the current mesh in the right, both
+     * through the one camera so orbiting moves them together. null ends it.
+     */
+    setSplitView(object) {
+        if (object === this.splitObject) return;
+        if (this.splitObject) {
+            this.splitObject.visible = true;
+        }
+
+        this.splitObject = object;
+        this._attachGizmo();
+        this._onResize();
+    }
+
+    _renderSplit() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        const half = Math.floor(width / 2);
+        const current = this.currentMesh;
+
+        this.renderer.setScissorTest(true);
+        [[0, this.splitObject, current], [half, current, this.splitObject]].forEach(([x, shown, hidden]) => {
+            if (shown) shown.visible = true;
+            if (hidden) hidden.visible = false;
+            this.renderer.setViewport(x, 0, half, height);
+            this.renderer.setScissor(x, 0, half, height);
+            this.renderer.render(this.scene, this.camera);
+        });
+        this.renderer.setScissorTest(false);
+        this.renderer.setViewport(0, 0, width, height);
+
+        this.splitObject.visible = true;
+        if (current) current.visible = true;
+    }
+
+    /**
+     * Client rectangle of the view showing currentMesh: the canvas, or its right half side by side
+     */
+    _viewRect() {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        if (!this.splitObject) {
+            return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+        }
+        const half = Math.floor(rect.width / 2);
+        return { left: rect.left + half, top: rect.top, width: rect.width - half, height: rect.height };
+    }
+
+    /**
+     * Register a callback to run every animation frame
+     */
+    onFrame(fn) {
+        this.frameListeners.push(fn);
+    }
+
+    _notifyMeshChanged() {
+        document.dispatchEvent(new CustomEvent('meshChanged', {
+            detail: { mesh: this.currentMesh }
+        }));
+    }
+
+    /**
+     * Raycast from client coordinates onto the current mesh.
+     * Returns the nearest triangle hit or null.
+     */
+    pickMesh(clientX, clientY) {
+        if (!this.currentMesh) return null;
+
+        const rect = this._viewRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const hits = this.raycaster.intersectObject(this.currentMesh, true);
+        return hits.find(hit => hit.object.isMesh && hit.face) || null;
+    }
+
+    /**
+     * Project a world-space point to client coordinates inside the viewport.
+     * Returns null when the point is behind the camera.
+     */
+    projectToScreen(point) {
+        const projected = point.clone().project(this.camera);
+        if (projected.z > 1) return null;
+
+        const rect = this._viewRect();
+        const offset = rect.left - this.renderer.domElement.getBoundingClientRect().left;
+        return {
+            x: offset + (projected.x + 1) / 2 * rect.width,
+            y: (1 - projected.y) / 2 * rect.height
+        };
     }
 
     /**
      * Load GLB mesh from URL
      */
     async loadGLB(url) {
-        return new Promise((resolve, reject) => {
-            const loader = new THREE.GLTFLoader();
-
-            loader.load(
-                url,
-                (gltf) => {
-                    // Remove old mesh
-                    if (this.currentMesh) {
-                        this.scene.remove(this.currentMesh);
-                        this.currentMesh.traverse((child) => {
-                            if (child.geometry) child.geometry.dispose();
-                            if (child.material) {
-                                if (Array.isArray(child.material)) {
-                                    child.material.forEach(m => m.dispose());
-                                } else {
-                                    child.material.dispose();
-                                }
-                            }
-                        });
-                    }
+        const gltf = await this._fetchGLTF(url);
+        return this._setMesh(gltf.scene, true);
+    }
 
-                    // Add new mesh
-                    this.currentMesh = gltf.scene;
-
-                    // Apply material with proper shading
-                    this.currentMesh.traverse((child) => {
-                        if (child.isMesh) {
-                            // Compute normals for proper lighting
-                            if (child.geometry) {
-                                child.geometry.computeVertexNormals();
-                            }
-
-                            child.material = new THREE.MeshPhongMaterial({
-                                color: 0x4a90d9,  // Bright blue
-                                specular: 0x444444,
-                                shininess: 30,
-                                flatShading: true,  // Shows face edges clearly
-                                wireframe: this.settings.wireframe,
-                                side: THREE.DoubleSide
-                            });
-
-                            // Add edge highlighting
-                            if (!this.settings.wireframe) {
-                                const edges = new THREE.EdgesGeometry(child.geometry, 30);
-                                const edgeMaterial = new THREE.LineBasicMaterial({
-                                    color: 0x1a5070,
-                                    transparent: true,
-                                    opacity: 0.3
-                                });
-                                const edgeLine = new THREE.LineSegments(edges, edgeMaterial);
-                                edgeLine.name = 'edges';
-                                child.add(edgeLine);
-                            }
-                        }
-                    });
+    /**
+     * Load an indexed triangle mesh (viewer space, Y-up) from typed arrays
+     */
+    async loadMeshBuffers({ positions, indices }) {
+        return this._setMesh(this._meshFromBuffers(positions, indices), true);
+    }
+
+    /**
+     * Load a generate_mesh result: a GLB URL from the backend or buffers from the local runtime
+     */
+    loadResult(result) {
+        return result.mesh ? this.loadMeshBuffers(result.mesh) : this.loadGLB(result.meshUrl);
+    }
 
-                    this.scene.add(this.currentMesh);
+    _meshFromBuffers(positions, indices) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+        const group = new THREE.Group();
+        group.add(new THREE.Mesh(geometry));
+        return group;
+    }
+
+    /**
+     * Replace the current mesh with object, restyled and seated on the grid.
+     * With loaded, a replaced mesh that was itself loaded becomes previousMesh.
+     */
+    _setMesh(object, loaded = false) {
+        // Remove old mesh
+        if (this.currentMesh) {
+            this.scene.remove(this.currentMesh);
+            if (loaded && this.currentMesh.userData.loaded) {
+                this.clearPreviousMesh();
+                this.previousMesh = this.currentMesh;
+            } else {
+                this._disposeObject(this.currentMesh);
+            }
+        }
+
+        // Add new mesh
+        this.currentMesh = object;
+        this.currentMesh.userData.loaded = loaded;
+        this._styleObject(this.currentMesh);
+
+        this.scene.add(this.currentMesh);
+
+        // Position mesh so it sits ON the grid, not through it
+        this._positionMeshOnGrid();
+
+        this._centerAndFitCamera();
+        this._attachGizmo();
+        this._notifyMeshChanged();
+        this._syncTransform();
+
+        return this._getMeshInfo();
+    }
+
+    /**
+     * Drop the mesh kept for comparison
+     */
+    clearPreviousMesh() {
+        if (!this.previousMesh) return;
+        this._disposeObject(this.previousMesh);
+        this.previousMesh = null;
+    }
 
-                    // Position mesh so it sits ON the grid, not through it
-                    this._positionMeshOnGrid();
+    _disposeObject(object) {
+        object.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(m => m.dispose());
+                } else {
+                    child.material.dispose();
+                }
+            }
+        });
+    }
 
-                    this._centerAndFitCamera();
+    /**
+     * Apply the CAD material and edge lines to every mesh under object
+     */
+    _styleObject(object, color = 0x4a90d9) {
+        object.traverse((child) => {
+            if (child.isMesh) {
+                // Compute normals for proper lighting
+                if (child.geometry) {
+                    child.geometry.computeVertexNormals();
+                }
 
-                    resolve(this._getMeshInfo());
-                },
-                undefined,
-                (error) => {
-                    console.error('GLB load error:', error);
-                    reject(error);
+                child.material = new THREE.MeshPhongMaterial({
+                    color: color,
+                    specular: 0x444444,
+                    shininess: 30,
+                    flatShading: true,  // Shows face edges clearly
+                    wireframe: this.settings.wireframe,
+                    side: THREE.DoubleSide
+                });
+                child.material.userData.baseColor = color;
+
+                // Add edge highlighting
+                if (!this.settings.wireframe) {
+                    const edges = new THREE.EdgesGeometry(child.geometry, 30);
+                    const edgeMaterial = new THREE.LineBasicMaterial({
+                        color: 0x1a5070,
+                        transparent: true,
+                        opacity: 0.3
+                    });
+                    const edgeLine = new THREE.LineSegments(edges, edgeMaterial);
+                    edgeLine.name = 'edges';
+                    child.add(edgeLine);
                 }
-            );
+            }
+        });
+    }
+
+    /**
+     * Switch to assembly mode: currentMesh becomes a group with one child
+     * per part. An existing mesh is kept as partId with its transform.
+     */
+    enterAssembly(partId = null) {
+        if (this.parts) return;
+
+        this.clearPreviousMesh();
+        const root = new THREE.Group();
+        root.name = 'assembly';
+        this.parts = new Map();
+
+        if (this.currentMesh && partId) {
+            this.scene.remove(this.currentMesh);
+            this.currentMesh.userData.partId = partId;
+            root.add(this.currentMesh);
+            this.parts.set(partId, this.currentMesh);
+            this.partVisibility.set(partId, true);
+        } else if (this.currentMesh) {
+            this.scene.remove(this.currentMesh);
+            this._disposeObject(this.currentMesh);
+        }
+
+        this.currentMesh = root;
+        this.scene.add(root);
+        this.objectPosition = { x: 0, y: 0, z: 0 };
+        this.objectRotation = { x: 0, y: 0, z: 0 };
+        this.objectScale = { x: 1, y: 1, z: 1 };
+        this._attachGizmo();
+    }
+
+    /**
+     * Back to a single mesh: keepId's object becomes currentMesh, the rest
+     * are disposed. Without keepId the scene is emptied.
+     */
+    exitAssembly(keepId = null) {
+        if (!this.parts) return;
+
+        const root = this.currentMesh;
+        const kept = keepId ? this.parts.get(keepId) : null;
+        this.scene.remove(root);
+        this.parts.forEach((object, id) => {
+            root.remove(object);
+            if (object !== kept) this._disposeObject(object);
+        });
+
+        this.parts = null;
+        this.partVisibility.clear();
+        this.isolatedPartId = null;
+        this.selectedPartId = null;
+        this.currentMesh = kept;
+
+        if (kept) {
+            kept.visible = true;
+            this._highlight(kept, false);
+            this.scene.add(kept);
+            Object.assign(this, this._objectTransform(kept));
+        }
+        this._attachGizmo();
+        this._notifyMeshChanged();
+    }
+
+    isAssembly() {
+        return this.parts !== null;
+    }
+
+    getPartObject(partId) {
+        return this.parts ? this.parts.get(partId) || null : null;
+    }
+
+    /**
+     * Load a generate_mesh result as one part of the assembly.
+     * options: { position, rotation, color, place }. With place the part is
+     * seated on the grid beside the others and its new position returned.
+     */
+    async loadPartResult(partId, result, options = {}) {
+        const object = result.mesh
+            ? this._meshFromBuffers(result.mesh.positions, result.mesh.indices)
+            : (await this._fetchGLTF(result.meshUrl)).scene;
+        this._styleObject(object, options.color);
+        object.userData.partId = partId;
+
+        const root = this.currentMesh;
+        const previous = this.parts.get(partId);
+        if (previous) {
+            root.remove(previous);
+            this._disposeObject(previous);
+        }
+        root.add(object);
+        this.parts.set(partId, object);
+        if (!this.partVisibility.has(partId)) {
+            this.partVisibility.set(partId, true);
+        }
+
+        let position = { x: 0, y: 0, z: 0, ...options.position };
+        const rotation = { x: 0, y: 0, z: 0, ...options.rotation };
+        this._applyPartTransform(object, position, rotation, options.scale);
+
+        if (options.place) {
+            position = this._placePart(object);
+            this._fitCameraToBox(new THREE.Box3().setFromObject(root));
+        }
+
+        this._applyPartVisibility();
+        this._highlight(object, partId === this.selectedPartId);
+        this._attachGizmo();
+        this._notifyMeshChanged();
+
+        return { position: position, info: this._getMeshInfo() };
+    }
+
+    removePart(partId) {
+        const object = this.getPartObject(partId);
+        if (!object) return;
+
+        this.currentMesh.remove(object);
+        this._disposeObject(object);
+        this.parts.delete(partId);
+        this.partVisibility.delete(partId);
+        if (this.isolatedPartId === partId) {
+            this.isolatedPartId = null;
+            this._applyPartVisibility();
+        }
+        this._attachGizmo();
+        this._notifyMeshChanged();
+    }
+
+    setPartTransform(partId, position, rotation, scale) {
+        const object = this.getPartObject(partId);
+        if (object) {
+            this._applyPartTransform(object, position, rotation, scale);
+        }
+    }
+
+    setPartVisible(partId, visible) {
+        this.partVisibility.set(partId, visible);
+        this._applyPartVisibility();
+    }
+
+    /**
+     * Show only partId; null shows every part that isn't hidden
+     */
+    isolatePart(partId) {
+        this.isolatedPartId = partId;
+        this._applyPartVisibility();
+    }
+
+    /**
+     * Tint the selected part so it stands out from the rest of the assembly
+     */
+    selectPart(partId) {
+        this.selectedPartId = partId;
+        if (!this.parts) return;
+        this.parts.forEach((object, id) => this._highlight(object, id === partId));
+        this._attachGizmo();
+    }
+
+    fitAll() {
+        if (this.currentMesh) {
+            this._fitCameraToBox(new THREE.Box3().setFromObject(this.currentMesh));
+        }
+    }
+
+    _applyPartTransform(object, position, rotation, scale = { x: 1, y: 1, z: 1 }) {
+        object.position.set(position.x, position.y, position.z);
+        object.rotation.set(
+            rotation.x * Math.PI / 180,
+            rotation.y * Math.PI / 180,
+            rotation.z * Math.PI / 180
+        );
+        object.scale.set(scale.x, scale.y, scale.z);
+    }
+
+    _applyPartVisibility() {
+        if (!this.parts) return;
+        this.parts.forEach((object, id) => {
+            const shown = this.partVisibility.get(id) !== false;
+            object.visible = this.isolatedPartId ? id === this.isolatedPartId : shown;
+        });
+    }
+
+    /**
+     * Seat a new part on the grid, to the right of the parts already placed
+     */
+    _placePart(object) {
+        const box = new THREE.Box3().setFromObject(object);
+        object.position.y -= box.min.y;
+
+        const others = new THREE.Box3();
+        this.parts.forEach(other => {
+            if (other !== object) others.expandByObject(other);
+        });
+        if (!others.isEmpty()) {
+            const gap = Math.max(box.getSize(new THREE.Vector3()).x, 10) * 0.25;
+            object.position.x += others.max.x + gap - box.min.x;
+            object.position.z += others.getCenter(new THREE.Vector3()).z - box.getCenter(new THREE.Vector3()).z;
+        }
+
+        const round = value => Math.round(value * 100) / 100;
+        return { x: round(object.position.x), y: round(object.position.y), z: round(object.position.z) };
+    }
+
+    _highlight(object, selected) {
+        object.traverse(child => {
+            if (child.isMesh && child.material && child.material.emissive && !this.settings.wireframe) {
+                child.material.emissive.setHex(selected ? 0x1c2c40 : 0x000000);
+            }
+        });
+    }
+
+    _fetchGLTF(url) {
+        return new Promise((resolve, reject) => {
+            const loader = new THREE.GLTFLoader().setRequestHeader(this.requestHeaders);
+            loader.load(url, resolve, undefined, (error) => {
+                console.error('GLB load error:', error);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Show a translucent preview mesh beside the current one
+     */
+    async showGhost(source) {
+        // GLB URL from the backend or { positions, indices } from the local runtime
+        const object = typeof source === 'string'
+            ? (await this._fetchGLTF(source)).scene
+            : this._meshFromBuffers(source.positions, source.indices);
+        this.clearGhost();
+
+        this.ghostMesh = object;
+        this.ghostMesh.traverse((child) => {
+            if (child.isMesh) {
+                child.material = new THREE.MeshPhongMaterial({
+                    color: 0x4ade80,  // Green - matches the "proposed" side of the diff
+                    transparent: true,
+                    opacity: 0.45,
+                    depthWrite: false,
+                    side: THREE.DoubleSide
+                });
+            }
+        });
+
+        // Same orientation as the current mesh so the two compare directly
+        const { x, y, z } = this.objectRotation;
+        this.ghostMesh.rotation.set(x * Math.PI / 180, y * Math.PI / 180, z * Math.PI / 180);
+        this.scene.add(this.ghostMesh);
+
+        // Sit on the grid, to the right of the current mesh
+        const ghostBox = new THREE.Box3().setFromObject(this.ghostMesh);
+        this.ghostMesh.position.y -= ghostBox.min.y;
+        if (this.currentMesh) {
+            const box = new THREE.Box3().setFromObject(this.currentMesh);
+            const gap = Math.max(box.getSize(new THREE.Vector3()).x, 10) * 0.25;
+            this.ghostMesh.position.x += box.max.x + gap - ghostBox.min.x;
+            this.ghostMesh.position.z += box.getCenter(new THREE.Vector3()).z -
+                ghostBox.getCenter(new THREE.Vector3()).z;
+        }
+
+        const bounds = new THREE.Box3().setFromObject(this.ghostMesh);
+        if (this.currentMesh) {
+            bounds.union(new THREE.Box3().setFromObject(this.currentMesh));
+        }
+        this._fitCameraToBox(bounds);
+    }
+
+    /**
+     * Remove the preview mesh
+     */
+    clearGhost() {
+        if (!this.ghostMesh) return;
+
+        this.scene.remove(this.ghostMesh);
+        this.ghostMesh.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
         });
+        this.ghostMesh = null;
     }
 
     /**
@@ -233,18 +718,210 @@ class Viewer {
     _centerAndFitCamera() {
         if (!this.currentMesh) return;
 
-        const box = new THREE.Box3().setFromObject(this.currentMesh);
+        this._fitCameraToBox(new THREE.Box3().setFromObject(this.currentMesh));
+    }
+
+    /**
+     * Frame box from a direction (default isometric). With animate the
+     * camera travels there; otherwise it jumps.
+     */
+    _fitCameraToBox(box, direction = VIEW_PRESETS.iso.direction, animate = false) {
         const center = box.getCenter(new THREE.Vector3());
         const size = box.getSize(new THREE.Vector3());
 
         const maxDim = Math.max(size.x, size.y, size.z);
-        const fov = this.camera.fov * (Math.PI / 180);
-        let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2)) * 2;
+        const fov = this.perspectiveCamera.fov * (Math.PI / 180);
+        const cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2)) * 2;
+
+        // Same distance the original fixed iso offset (cameraZ on each axis) gave
+        const offset = this._viewDirection(direction).multiplyScalar(cameraZ * Math.sqrt(3));
+        const position = center.clone().add(offset);
+        const zoom = this.projection === 'orthographic'
+            ? this.orthoHeight / this._viewHeightAt(offset.length())
+            : 1;
+
+        if (animate) {
+            this._animateCamera(position, center, zoom);
+        } else {
+            this.cameraTween = null;
+            this.camera.position.copy(position);
+            this.camera.zoom = zoom;
+            this.camera.updateProjectionMatrix();
+            this.camera.lookAt(center);
+            this.controls.target.copy(center);
+            this.controls.update();
+        }
+    }
+
+    /**
+     * Look at the model from a standard view ('front', 'top', 'iso', ...)
+     * or any direction [x, y, z] from the model to the camera
+     */
+    setView(view) {
+        const direction = Array.isArray(view) ? view : (VIEW_PRESETS[view] || VIEW_PRESETS.iso).direction;
+        const box = this.currentMesh
+            ? new THREE.Box3().setFromObject(this.currentMesh)
+            : new THREE.Box3(new THREE.Vector3(-10, 0, -10), new THREE.Vector3(10, 20, 10));
+        this._fitCameraToBox(box, direction, true);
+    }
+
+    /**
+     * Frame the selected part (or the whole model) without changing the view direction
+     */
+    zoomToSelection() {
+        const target = this._transformTarget() || this.currentMesh;
+        if (!target) return false;
+
+        const box = new THREE.Box3().setFromObject(target);
+        if (box.isEmpty()) return false;
 
-        this.camera.position.set(cameraZ, cameraZ, cameraZ);
-        this.camera.lookAt(center);
-        this.controls.target.copy(center);
+        const direction = this.camera.position.clone().sub(this.controls.target);
+        this._fitCameraToBox(box, direction.toArray(), true);
+        return true;
+    }
+
+    /**
+     * Switch between 'perspective' and 'orthographic', keeping the framing
+     */
+    setProjection(mode) {
+        if (mode === this.projection || !['perspective', 'orthographic'].includes(mode)) {
+            return this.projection;
+        }
+
+        const from = this.camera;
+        const target = this.controls.target;
+        const offset = from.position.clone().sub(target);
+        let to;
+
+        if (mode === 'orthographic') {
+            if (!this.orthoCamera) {
+                this.orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+            }
+            to = this.orthoCamera;
+            this.orthoHeight = this._viewHeightAt(offset.length());
+            to.zoom = 1;
+            this._updateOrthoFrustum();
+        } else {
+            // Move the perspective camera to where the model looks the same size
+            to = this.perspectiveCamera;
+            const height = this.orthoHeight / from.zoom;
+            const fov = to.fov * (Math.PI / 180);
+            offset.setLength(height / 2 / Math.tan(fov / 2));
+            to.zoom = 1;
+            to.updateProjectionMatrix();
+        }
+
+        this.cameraTween = null;
+        to.position.copy(target).add(offset);
+        to.up.copy(from.up);
+        to.lookAt(target);
+
+        this.camera = to;
+        this.projection = mode;
+        this.controls.object = to;
+        if (this.gizmo) {
+            this.gizmo.camera = to;
+        }
         this.controls.update();
+        return mode;
+    }
+
+    /**
+     * Camera position, target, zoom and projection; for named views
+     */
+    getCameraState() {
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            projection: this.projection,
+            position: this.camera.position.toArray().map(round),
+            target: this.controls.target.toArray().map(round),
+            zoom: round(this.camera.zoom),
+            height: round(this.orthoHeight)
+        };
+    }
+
+    /**
+     * Travel to a state from getCameraState
+     */
+    setCameraState(state) {
+        this.setProjection(state.projection === 'orthographic' ? 'orthographic' : 'perspective');
+
+        if (this.projection === 'orthographic' && state.height > 0) {
+            // Adopt the saved frustum without a jump: rescale the current zoom to match
+            this.camera.zoom *= state.height / this.orthoHeight;
+            this.orthoHeight = state.height;
+            this._updateOrthoFrustum();
+        }
+
+        const target = new THREE.Vector3().fromArray(state.target);
+        const position = new THREE.Vector3().fromArray(state.position);
+        this._animateCamera(position, target, state.zoom || 1);
+    }
+
+    /**
+     * Ease the camera to position/target/zoom over VIEW_TRANSITION_MS, swinging
+     * around the target rather than cutting through the model
+     */
+    _animateCamera(position, target, zoom = 1) {
+        const camera = this.camera;
+        const fromTarget = this.controls.target.clone();
+        const fromOffset = camera.position.clone().sub(fromTarget);
+        const toOffset = position.clone().sub(target);
+        if (fromOffset.lengthSq() < 1e-9) {
+            fromOffset.copy(toOffset);
+        }
+        const fromZoom = camera.zoom;
+        const turn = new THREE.Quaternion().setFromUnitVectors(
+            fromOffset.clone().normalize(),
+            toOffset.clone().normalize()
+        );
+        const start = performance.now();
+
+        this.cameraTween = (now) => {
+            const t = Math.min((now - start) / VIEW_TRANSITION_MS, 1);
+            const ease = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+
+            const step = new THREE.Quaternion().slerp(turn, ease);
+            const length = fromOffset.length() + (toOffset.length() - fromOffset.length()) * ease;
+            const offset = fromOffset.clone().applyQuaternion(step).setLength(length);
+
+            this.controls.target.lerpVectors(fromTarget, target, ease);
+            camera.position.copy(this.controls.target).add(offset);
+            camera.zoom = fromZoom + (zoom - fromZoom) * ease;
+            camera.updateProjectionMatrix();
+
+            if (t >= 1) {
+                this.cameraTween = null;
+            }
+        };
+    }
+
+    /**
+     * Unit direction for a view; straight up or down is tilted a hair so
+     * the camera's up vector stays defined
+     */
+    _viewDirection(direction) {
+        const vector = new THREE.Vector3().fromArray(direction).normalize();
+        if (Math.abs(vector.y) > 0.9999) {
+            vector.z = 0.001;
+            vector.normalize();
+        }
+        return vector;
+    }
+
+    /**
+     * Height of the perspective camera's view at a distance
+     */
+    _viewHeightAt(distance) {
+        return 2 * distance * Math.tan(this.perspectiveCamera.fov * Math.PI / 360);
+    }
+
+    _updateOrthoFrustum() {
+        if (!this.orthoCamera) return;
+        const aspect = this._viewportAspect();
+        const half = this.orthoHeight / 2;
+        Object.assign(this.orthoCamera, { left: -half * aspect, right: half * aspect, top: half, bottom: -half });
+        this.orthoCamera.updateProjectionMatrix();
     }
 
     /**
@@ -285,14 +962,7 @@ class Viewer {
      * Reset camera view
      */
     resetView() {
-        if (this.currentMesh) {
-            this._centerAndFitCamera();
-        } else {
-            this.camera.position.set(50, 50, 50);
-            this.camera.lookAt(0, 0, 0);
-            this.controls.target.set(0, 0, 0);
-            this.controls.update();
-        }
+        this.setView('iso');
     }
 
     /**
@@ -311,7 +981,7 @@ class Viewer {
                         child.material.color.setHex(0x00ffff);  // Cyan
                         child.material.emissive.setHex(0x003333);
                     } else {
-                        child.material.color.setHex(0x4a90d9);  // Blue
+                        child.material.color.setHex(child.material.userData.baseColor || 0x4a90d9);
                         child.material.emissive.setHex(0x000000);
                     }
                 }
@@ -350,6 +1020,16 @@ class Viewer {
         }
     }
 
+    /**
+     * Set object scale (factor per axis)
+     */
+    setScale(x, y, z) {
+        this.objectScale = { x, y, z };
+        if (this.currentMesh) {
+            this.currentMesh.scale.set(x, y, z);
+        }
+    }
+
     /**
      * Get current position
      */
@@ -364,6 +1044,200 @@ class Viewer {
         return this.objectRotation;
     }
 
+    /**
+     * Get current scale
+     */
+    getScale() {
+        return this.objectScale;
+    }
+
+    /**
+     * Show the gizmo in a mode ('translate', 'rotate', 'scale') or hide it (null).
+     * It acts on the selected part in an assembly, otherwise on the mesh.
+     */
+    setGizmoMode(mode) {
+        this.gizmoMode = mode;
+        if (mode && !this.gizmo) {
+            this._createGizmo();
+        }
+        if (this.gizmo && mode) {
+            this.gizmo.setMode(mode);
+        }
+        this._attachGizmo();
+    }
+
+    /**
+     * Update snapping ({ enabled, translate, rotate, scale }) for the gizmo
+     */
+    setSnap(options) {
+        Object.assign(this.snap, options);
+        this._applySnap();
+    }
+
+    /**
+     * Move the transform target so its lowest point rests on the grid
+     */
+    dropToBed() {
+        const target = this._transformTarget();
+        if (!target) return false;
+
+        const box = new THREE.Box3().setFromObject(target);
+        target.position.y -= box.min.y;
+        this._syncTransform();
+        return true;
+    }
+
+    /**
+     * Move the transform target so its footprint is centered on the origin
+     */
+    centerOnBed() {
+        const target = this._transformTarget();
+        if (!target) return false;
+
+        const center = new THREE.Box3().setFromObject(target).getCenter(new THREE.Vector3());
+        target.position.x -= center.x;
+        target.position.z -= center.z;
+        this._syncTransform();
+        return true;
+    }
+
+    /**
+     * Turn the target so the picked face (hit from pickMesh) faces down,
+     * then drop it onto the grid
+     */
+    alignFaceToBed(hit) {
+        const target = this._transformTarget();
+        if (!target || !this._contains(target, hit.object)) return false;
+
+        const normalMatrix = new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld);
+        const normal = hit.face.normal.clone().applyMatrix3(normalMatrix).normalize();
+        const turn = new THREE.Quaternion().setFromUnitVectors(normal, new THREE.Vector3(0, -1, 0));
+        target.quaternion.premultiply(turn);
+        target.updateMatrixWorld(true);
+        return this.dropToBed();
+    }
+
+    /**
+     * Wait for the next click on the transform target and pass the hit to callback
+     */
+    pickFace(callback) {
+        this.facePickCallback = callback;
+        this.container.classList.add('measuring');
+    }
+
+    cancelFacePick() {
+        this.facePickCallback = null;
+        this.container.classList.remove('measuring');
+    }
+
+    _createGizmo() {
+        this.gizmo = new THREE.TransformControls(this.camera, this.renderer.domElement);
+        this.gizmo.setSize(0.8);
+        this.scene.add(this.gizmo);
+
+        // Orbiting while dragging a handle would fight the gizmo
+        this.gizmo.addEventListener('dragging-changed', (e) => {
+            this.controls.enabled = !e.value;
+        });
+        this.gizmo.addEventListener('objectChange', () => this._syncTransform());
+        this._applySnap();
+    }
+
+    _applySnap() {
+        if (!this.gizmo) return;
+        const { enabled, translate, rotate, scale } = this.snap;
+        this.gizmo.setTranslationSnap(enabled && translate > 0 ? translate : null);
+        this.gizmo.setRotationSnap(enabled && rotate > 0 ? THREE.MathUtils.degToRad(rotate) : null);
+        this.gizmo.setScaleSnap(enabled && scale > 0 ? scale : null);
+    }
+
+    _attachGizmo() {
+        if (!this.gizmo) return;
+        // Its pointer handling assumes the whole canvas, so no gizmo side by side
+        const target = this.gizmoMode && !this.splitObject ? this._transformTarget() : null;
+        if (target) {
+            this.gizmo.attach(target);
+        } else {
+            this.gizmo.detach();
+        }
+    }
+
+    /**
+     * The object transforms apply to: the selected part in an assembly, otherwise the mesh
+     */
+    _transformTarget() {
+        if (this.parts) {
+            return this.selectedPartId ? this.getPartObject(this.selectedPartId) : null;
+        }
+        return this.currentMesh;
+    }
+
+    _contains(root, object) {
+        for (let node = object; node; node = node.parent) {
+            if (node === root) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Rounded transform of an object: position in mm, rotation in degrees [0, 360), scale
+     */
+    _objectTransform(object) {
+        const round = (value, digits) => Math.round(value * digits) / digits;
+        const degrees = value => round(((value * 180 / Math.PI) % 360 + 360) % 360, 100) % 360;
+        const { position, rotation, scale } = object;
+        return {
+            objectPosition: { x: round(position.x, 100), y: round(position.y, 100), z: round(position.z, 100) },
+            objectRotation: { x: degrees(rotation.x), y: degrees(rotation.y), z: degrees(rotation.z) },
+            objectScale: { x: round(scale.x, 1000), y: round(scale.y, 1000), z: round(scale.z, 1000) }
+        };
+    }
+
+    /**
+     * Read the target's transform back after the gizmo or a bed action moved it,
+     * and announce it so the transform panel can follow
+     */
+    _syncTransform() {
+        const target = this._transformTarget();
+        if (!target) return;
+
+        const transform = this._objectTransform(target);
+        if (!this.parts) {
+            Object.assign(this, transform);
+        }
+        document.dispatchEvent(new CustomEvent('transformChanged', {
+            detail: {
+                partId: this.parts ? this.selectedPartId : null,
+                position: { ...transform.objectPosition },
+                rotation: { ...transform.objectRotation },
+                scale: { ...transform.objectScale }
+            }
+        }));
+    }
+
+    _setupFacePick() {
+        const canvas = this.renderer.domElement;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            this.pointerDown = { x: e.clientX, y: e.clientY };
+        });
+
+        canvas.addEventListener('pointerup', (e) => {
+            if (!this.facePickCallback || !this.pointerDown) return;
+            const moved = Math.hypot(e.clientX - this.pointerDown.x, e.clientY - this.pointerDown.y);
+            this.pointerDown = null;
+            if (moved >= 4) return;
+
+            const target = this._transformTarget();
+            const hit = this.pickMesh(e.clientX, e.clientY);
+            if (!hit || !target || !this._contains(target, hit.object)) return;
+
+            const callback = this.facePickCallback;
+            this.cancelFacePick();
+            callback(hit);
+        });
+    }
+
     /**
      * Toggle grid visibility
      */
@@ -391,6 +1265,7 @@ class Viewer {
         this.currentMesh = new THREE.Mesh(geometry, material);
         this.scene.add(this.currentMesh);
         this._centerAndFitCamera();
+        this._notifyMeshChanged();
     }
 
     /**
@@ -445,6 +1320,7 @@ class Viewer {
         this.currentMesh = group;
         this.scene.add(this.currentMesh);
         this._centerAndFitCamera();
+        this._notifyMeshChanged();
     }
 
     /**
@@ -454,6 +1330,7 @@ class Viewer {
         if (this.currentMesh) {
             this.scene.remove(this.currentMesh);
             this.currentMesh = null;
+            this._notifyMeshChanged();
         }
     }
 